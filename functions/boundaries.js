@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// DISTRICT BOUNDARIES - Offline district lookup from bundled polygons
+// ============================================================================
+// data/district-boundaries.geojson is a FeatureCollection of Polygon/MultiPolygon
+// features with properties {district, name, state}, where `district` is the same
+// lowercase_underscore key the geocoding providers return. The bundled outlines
+// are simplified; replace the file with finer boundaries without code changes.
+// Coordinates are GeoJSON order: [longitude, latitude].
+
+const BOUNDARIES_FILE = path.join(__dirname, 'data', 'district-boundaries.geojson');
+
+let boundaries = null;
+
+/**
+ * Bounding box of a list of polygons, for cheap pre-filtering
+ */
+function getBoundingBox(polygons) {
+  const box = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+  for (const polygon of polygons) {
+    for (const [lng, lat] of polygon[0]) {
+      box.minLng = Math.min(box.minLng, lng);
+      box.maxLng = Math.max(box.maxLng, lng);
+      box.minLat = Math.min(box.minLat, lat);
+      box.maxLat = Math.max(box.maxLat, lat);
+    }
+  }
+  return box;
+}
+
+/**
+ * Parse the bundled GeoJSON once per instance
+ * @returns {{district: string, name: string, state: string, polygons: number[][][][], box: object}[]}
+ */
+function loadBoundaries() {
+  if (boundaries) return boundaries;
+
+  const collection = JSON.parse(fs.readFileSync(BOUNDARIES_FILE, 'utf8'));
+  boundaries = collection.features
+    .filter(feature => feature.properties?.district &&
+      ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+    .map(feature => {
+      const polygons = feature.geometry.type === 'Polygon'
+        ? [feature.geometry.coordinates]
+        : feature.geometry.coordinates;
+      return {
+        district: feature.properties.district,
+        name: feature.properties.name || feature.properties.district,
+        state: feature.properties.state || null,
+        polygons,
+        box: getBoundingBox(polygons)
+      };
+    });
+
+  console.log(`🗺️  Loaded ${boundaries.length} district boundaries`);
+  return boundaries;
+}
+
+/**
+ * Ray casting: whether a point is inside a linear ring
+ */
+function isPointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Inside the outer ring and not inside any hole
+ */
+function isPointInPolygon(lng, lat, polygon) {
+  const [outer, ...holes] = polygon;
+  return isPointInRing(lng, lat, outer) && !holes.some(hole => isPointInRing(lng, lat, hole));
+}
+
+/**
+ * District containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{district: string, name: string, state: string|null}|null} null outside every boundary
+ */
+function findDistrictAt(lat, lng) {
+  for (const boundary of loadBoundaries()) {
+    const { box } = boundary;
+    if (lng < box.minLng || lng > box.maxLng || lat < box.minLat || lat > box.maxLat) continue;
+
+    if (boundary.polygons.some(polygon => isPointInPolygon(lng, lat, polygon))) {
+      return { district: boundary.district, name: boundary.name, state: boundary.state };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findDistrictAt
+};
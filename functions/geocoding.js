@@ -0,0 +1,201 @@
+const {defineString} = require('firebase-functions/params');
+
+const boundaries = require('./boundaries');
+
+// ============================================================================
+// GEOCODING PROVIDERS - Reverse geocode a point to a district key
+// ============================================================================
+// GEOCODING_PROVIDERS is a comma-separated list tried in order until one answers:
+//   ola_maps  - Ola Maps reverse geocoding (OLA_MAPS_API_KEY, OLA_MAPS_URL)
+//   nominatim - Any Nominatim-compatible server (NOMINATIM_URL)
+//   polygon   - Bundled district boundaries (boundaries.js), works offline
+//
+// A provider is an object {name, cacheable, reverseGeocode(lat, lng, signal)}
+// where reverseGeocode() resolves to the provider's {name, state} for the district
+// (or null if it has none for the point) and throws on failure. Names are turned
+// into district keys by normalizeDistrictKey(), so every provider yields the same
+// key; the state lets the caller tell same-named districts apart.
+// Add a provider by adding a factory to GEOCODING_PROVIDERS.
+
+const geocodingProviders = defineString('GEOCODING_PROVIDERS', { default: 'ola_maps,polygon' });
+const olaMapsApiKey = defineString('OLA_MAPS_API_KEY', { default: '' });
+const olaMapsUrl = defineString('OLA_MAPS_URL', { default: 'https://api.olamaps.io' });
+const nominatimUrl = defineString('NOMINATIM_URL', { default: '' });
+
+const DEFAULT_PROVIDERS = 'ola_maps,polygon';
+const PROVIDER_TIMEOUT_MS = 5 * 1000;
+const USER_AGENT = 'RRT-Cloud-Functions/1.0 (ask@rapid-response.in)';
+
+/**
+ * Turn a district name from any provider into a district key:
+ * "Dakshina Kannada" / "Dakshina Kannada District" -> "dakshina_kannada"
+ * @param {string} name
+ * @returns {string|null}
+ */
+function normalizeDistrictKey(name) {
+  if (typeof name !== 'string') return null;
+  const key = name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+district$/, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return key || null;
+}
+
+/**
+ * GET a JSON document, failing on non-2xx responses
+ */
+async function fetchJson(url, signal) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Ola Maps: results[0].address_components in Google Maps format.
+ * Prefers level 2 (district) over level 3 (sub-district/tehsil).
+ */
+function createOlaMapsProvider() {
+  const apiKey = olaMapsApiKey.value();
+  if (!apiKey) {
+    throw new Error('Ola Maps geocoding provider requires OLA_MAPS_API_KEY');
+  }
+  const baseUrl = (olaMapsUrl.value() || 'https://api.olamaps.io').replace(/\/+$/, '');
+
+  return {
+    name: 'ola_maps',
+    cacheable: true,
+    async reverseGeocode(lat, lng, signal) {
+      const params = new URLSearchParams({ latlng: `${lat},${lng}`, api_key: apiKey });
+      const data = await fetchJson(`${baseUrl}/places/v1/reverse-geocode?${params}`, signal);
+
+      const components = data?.results?.[0]?.address_components || [];
+      const districtComp =
+        components.find(c => c.types?.includes('administrative_area_level_2')) ||
+        components.find(c => c.types?.includes('administrative_area_level_3'));
+      const stateComp = components.find(c => c.types?.includes('administrative_area_level_1'));
+
+      return districtComp?.long_name ? { name: districtComp.long_name, state: stateComp?.long_name || null } : null;
+    }
+  };
+}
+
+/**
+ * Nominatim (OpenStreetMap) /reverse. In India the district is `state_district`;
+ * other servers/regions may use `district` or `county`.
+ */
+function createNominatimProvider() {
+  const baseUrl = (nominatimUrl.value() || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    throw new Error('Nominatim geocoding provider requires NOMINATIM_URL');
+  }
+
+  return {
+    name: 'nominatim',
+    cacheable: true,
+    async reverseGeocode(lat, lng, signal) {
+      const params = new URLSearchParams({
+        format: 'jsonv2',
+        lat: String(lat),
+        lon: String(lng),
+        zoom: '10',
+        addressdetails: '1'
+      });
+      const data = await fetchJson(`${baseUrl}/reverse?${params}`, signal);
+
+      const address = data?.address || {};
+      const name = address.state_district || address.district || address.county;
+      return name ? { name, state: address.state || null } : null;
+    }
+  };
+}
+
+/**
+ * Offline lookup in the bundled boundary polygons. Not cached - the polygons are
+ * already local, and a later online provider may give a finer answer.
+ */
+function createPolygonProvider() {
+  return {
+    name: 'polygon',
+    cacheable: false,
+    async reverseGeocode(lat, lng) {
+      const boundary = boundaries.findDistrictAt(lat, lng);
+      return boundary ? { name: boundary.district, state: boundary.state } : null;
+    }
+  };
+}
+
+const GEOCODING_PROVIDERS = {
+  ola_maps: createOlaMapsProvider,
+  nominatim: createNominatimProvider,
+  polygon: createPolygonProvider
+};
+
+/**
+ * Providers selected by GEOCODING_PROVIDERS, in order. Unknown names and providers
+ * that are not configured (e.g. no API key) are skipped and logged, so a config
+ * mistake degrades lookups instead of failing them.
+ * (param defaults only apply in deployed functions, hence the fallback)
+ * @returns {{name: string, cacheable: boolean, reverseGeocode: function}[]}
+ */
+function getGeocodingProviders() {
+  const names = (geocodingProviders.value() || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    const factory = GEOCODING_PROVIDERS[name];
+    if (!factory) {
+      console.error(`❌ Unknown geocoding provider "${name}" (expected one of: ${Object.keys(GEOCODING_PROVIDERS).join(', ')})`);
+      continue;
+    }
+    try {
+      providers.push(factory());
+    } catch (error) {
+      console.warn(`⚠️  Skipping geocoding provider ${name}: ${error.message}`);
+    }
+  }
+  return providers;
+}
+
+/**
+ * Reverse geocode a point with the configured providers, failing over to the next
+ * provider on an error, a timeout (PROVIDER_TIMEOUT_MS) or no answer.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<{district: string, state: string|null, provider: string, cacheable: boolean}|null>}
+ */
+async function resolveDistrict(lat, lng) {
+  for (const provider of getGeocodingProviders()) {
+    try {
+      const result = await provider.reverseGeocode(lat, lng, AbortSignal.timeout(PROVIDER_TIMEOUT_MS));
+      const district = normalizeDistrictKey(result?.name);
+      if (district) {
+        console.log(`🗺️  Reverse geocoded district via ${provider.name}: ${result.name} -> "${district}"`);
+        return { district, state: result.state || null, provider: provider.name, cacheable: provider.cacheable };
+      }
+      console.warn(`⚠️  ${provider.name} returned no district for ${lat},${lng}`);
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${PROVIDER_TIMEOUT_MS} ms` : error.message;
+      console.error(`❌ ${provider.name} reverse geocode failed: ${reason}`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  GEOCODING_PROVIDERS,
+  normalizeDistrictKey,
+  getGeocodingProviders,
+  resolveDistrict
+};
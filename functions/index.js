@@ -5,16 +5,29 @@ const express = require('express');
 const admin = require('firebase-admin');
 const cors = require('cors');
 const helmet = require('helmet');
-const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const geofire = require('geofire-common');
+const ExcelJS = require('exceljs');
 
-// Define Firebase secrets for Gmail credentials
-const gmailUser = defineString('GMAIL_USER');
-const gmailPass = defineString('GMAIL_PASS');
-const olaMapsApiKey = defineString('OLA_MAPS_API_KEY');
+const geocoding = require('./geocoding');
+const mailer = require('./mailer');
+const messages = require('./messages');
+const sms = require('./sms');
+const { validateRequest } = require('./validation');
+
+// Where admins land after setting their password from an invite link (optional)
+const adminDashboardUrl = defineString('ADMIN_DASHBOARD_URL', { default: '' });
+
+// Districts that opted in to SMS alerts, comma-separated registry keys (e.g. "udupi,dakshina_kannada")
+const smsEnabledDistricts = defineString('SMS_ENABLED_DISTRICTS', { default: '' });
 
 const app = express();
 
 // Middleware
+// Google's front end appends the client address to X-Forwarded-For; earlier entries are
+// whatever the client sent, so req.ip must come from the last hop only
+app.set('trust proxy', 1);
+
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -24,85 +37,34 @@ admin.initializeApp();
 console.log('✅ Firebase Admin SDK initialized successfully');
 
 // ============================================================================
-// EMAIL CONFIGURATION - Nodemailer setup
+// EMAIL - Transport, templates and mail_log live in mailer.js
 // ============================================================================
 
+const FEEDBACK_RECIPIENT = 'ask@rapid-response.in';
+
 /**
- * Send welcome email to newly created admin
+ * Send welcome email with a one-time invite link to a newly invited admin.
+ * The link lets the admin choose their own password - no password is ever emailed.
  * @param {string} email - Admin email address
- * @param {string} password - Temporary password
+ * @param {string} inviteLink - Firebase password-setup link
  * @param {string[]} assignedDistricts - List of assigned districts (empty for super-admin)
- * @param {string} role - Admin role: 'admin' or 'super-admin'
+ * @param {string} role - Admin role (one of ADMIN_ROLES)
+ * @param {Date} expiresAt - When the invite link stops working
  */
-async function sendWelcomeEmail(email, password, assignedDistricts, role = 'admin') {
-  // Create transporter at runtime to access secrets properly
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: gmailUser.value(),
-      pass: gmailPass.value()
-    }
-  });
-
-  const isSuperAdminRole = role === 'super-admin';
-  const roleLabel = isSuperAdminRole ? 'Super Admin' : 'Admin';
-  const districtsList = isSuperAdminRole
+async function sendWelcomeEmail(email, inviteLink, assignedDistricts, role = 'district-admin', expiresAt) {
+  const districtsList = role === 'super-admin'
     ? 'All Districts'
     : (assignedDistricts.length > 0
         ? assignedDistricts.map(d => d.toUpperCase()).join(', ')
         : 'None assigned');
-    
-  const mailOptions = {
-    from: 'RRT Admin <' + gmailUser.value() + '>',
-    to: email,
-    subject: '🔐 Your RRT Admin Account - Login Details',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Welcome to RRT Admin Dashboard</h2>
-        
-        <p>Your administrator account has been created successfully.</p>
-        
-        <div style="background: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
-          <h3 style="margin-top: 0;">Login Credentials</h3>
-          <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Temporary Password:</strong> <code style="background: white; padding: 5px 10px; border-radius: 3px;">${password}</code></p>
-          <p><strong>Role:</strong> ${roleLabel}</p>
-          <p><strong>Assigned Districts:</strong> ${districtsList}</p>
-        </div>
-        
-        <p><strong>Next Steps:</strong></p>
-        <ol>
-          <li>Login to the Admin Dashboard</li>
-          <li>Use the credentials above</li>
-          <li>Change your password using "Reset Password" option on the login screen</li>
-        </ol>
-        
-        <p style="color: #666; font-size: 12px; margin-top: 30px;">
-          This is an automated email. If you did not request this account, please contact support.
-        </p>
-      </div>
-    `,
-    text: `
-Welcome to RRT Admin Dashboard
-
-Your administrator account has been created successfully.
-
-LOGIN CREDENTIALS
-Email: ${email}
-Temporary Password: ${password}
-Role: ${roleLabel}
-Assigned Districts: ${districtsList}
-
-NEXT STEPS
-1. Login to the Admin Dashboard
-2. Use the credentials above
-3. Change your password using "Reset Password" option on the login screen
-
-This is an automated email. If you did not request this account, please contact support.
-    `
-  };
 
-  await transporter.sendMail(mailOptions);
+  await mailer.sendMail('welcome', {
+    email,
+    inviteLink,
+    roleLabel: ADMIN_ROLE_LABELS[role] || 'Admin',
+    districtsList,
+    expiresLabel: expiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) + ' IST'
+  }, { to: email });
 }
 
 // ============================================================================
@@ -110,7 +72,9 @@ This is an automated email. If you did not request this account, please contact
 // ============================================================================
 const FEATURES = {
   ENABLE_SOS_ALERT_SNAPSHOT: true,  // Set to false to disable SOS alert snapshot storage for admin dashboard
-  BLOCKED_USERS: true               // Always keep true - critical security feature
+  BLOCKED_USERS: true,              // Always keep true - critical security feature
+  RADIUS_TARGETING: true,           // Send SOS to subscribers near the sender instead of the whole district topic
+  SMS_FALLBACK: true                // Also text subscribers in SMS_ENABLED_DISTRICTS (costs money per message)
 };
 
 // ============================================================================
@@ -118,7 +82,274 @@ const FEATURES = {
 // ============================================================================
 const SCHEDULE_CONFIG = {
   ALERT_EXPIRATION_CHECK_INTERVAL: 'every 12 hours',  // How often to check for expired alerts (cron syntax or 'every X hours/minutes')
-  ALERT_EXPIRATION_THRESHOLD_MS: 60 * 60 * 1000      // How old an alert must be to expire (default: 1 hour in milliseconds)
+  ALERT_EXPIRATION_THRESHOLD_MS: 60 * 60 * 1000,     // Lifetime of 'general' alerts (other categories set lifetime_ms in SOS_CATEGORIES)
+  EXPIRATION_BATCH_ALERTS: 200,                       // Alerts expired per Firestore batch (2 writes each, 500 max)
+  BLOCK_EXPIRATION_CHECK_INTERVAL: 'every 1 hours',  // How often to lift temporary blocks whose expiresAt has passed
+  STATS_AGGREGATION_SCHEDULE: '30 0 * * *',          // Daily at 00:30 IST - aggregates the previous day into `stats`
+  INVITE_EXPIRATION_CHECK_INTERVAL: 'every 1 hours', // How often to mark unused admin invites accepted/expired
+  ESCALATION_CHECK_INTERVAL: 'every 1 minutes',      // How often to run escalation steps for unacknowledged alerts
+  WEBHOOK_RETRY_INTERVAL: 'every 1 minutes',         // How often to retry failed webhook deliveries
+  TOKEN_VALIDATION_SCHEDULE: '0 3 * * *',            // Daily FCM token check (03:00 IST)
+  DISTRICT_MIGRATION_SCHEDULE: '30 3 * * *'          // Daily legacy district key migration (03:30 IST)
+};
+
+// ============================================================================
+// ADMIN INVITE CONFIGURATION
+// ============================================================================
+const INVITE_CONFIG = {
+  EXPIRY_MS: 60 * 60 * 1000  // Matches the lifetime of Firebase password-reset links (1 hour)
+};
+
+// ============================================================================
+// LIVE LOCATION CONFIGURATION
+// ============================================================================
+const LOCATION_UPDATE_CONFIG = {
+  MIN_PUSH_INTERVAL_MS: 30 * 1000,  // At most one location push per alert in this window (breadcrumbs are always stored)
+  MIN_PUSH_DISTANCE_M: 25           // Skip the push if the sender moved less than this since the last push
+};
+
+// ============================================================================
+// RATE LIMIT CONFIGURATION
+// Sliding-window limits stored in Firestore (rate_limits collection) so they hold
+// across function instances. IP limits are looser because mobile carriers put many
+// users behind one NAT address.
+// ============================================================================
+const RATE_LIMIT_CONFIG = {
+  LIMITS: {
+    sos:         { SENDER: { WINDOW_MS: 10 * 60 * 1000, MAX_REQUESTS: 6 },  IP: { WINDOW_MS: 10 * 60 * 1000, MAX_REQUESTS: 30 } },
+    'test-push': { SENDER: { WINDOW_MS: 10 * 60 * 1000, MAX_REQUESTS: 10 }, IP: { WINDOW_MS: 10 * 60 * 1000, MAX_REQUESTS: 20 } },
+    // Requests asking another app user to accept being an emergency contact (never auto-blocks)
+    'contact-request': { SENDER: { WINDOW_MS: 24 * 60 * 60 * 1000, MAX_REQUESTS: 10 }, IP: { WINDOW_MS: 60 * 60 * 1000, MAX_REQUESTS: 30 } }
+  },
+  QUARANTINE_VIOLATIONS: 3,                  // Auto-block after this many windows in which a limit was exceeded...
+  QUARANTINE_WINDOW_MS: 24 * 60 * 60 * 1000  // ...within this period
+};
+
+// ============================================================================
+// SOS TARGETING CONFIGURATION
+// ============================================================================
+const TARGETING_CONFIG = {
+  RADIUS_KM: 10,                  // Subscribers within this distance of the sender receive the alert
+  DISTRICT_TOPIC_FALLBACK: true,  // Publish to district-${district} when nobody is in range (or radius lookup fails)
+  // Also publish to the district topics while subscribers without a stored location
+  // (every install that has not called /subscribe-user since radius targeting) exist.
+  // In-range devices already on those topics are not sent the radius copy.
+  DISTRICT_TOPIC_WITH_RADIUS: true,
+  MULTICAST_BATCH_SIZE: 500       // FCM limit for sendEachForMulticast
+};
+
+// ============================================================================
+// GEOCODING CONFIGURATION - District lookup cache (see reverseGeocodeDistrict)
+// ============================================================================
+const GEOCODE_CONFIG = {
+  CACHE_PRECISION: 6,                      // Geohash cell size (~1.2 km x 0.6 km)
+  SOS_CHECK_PRECISION: 8,                  // Finer cells for the SOS district check (~38 m x 19 m), so a
+                                           // cell near a boundary can't move an alert into the wrong district
+  CACHE_TTL_MS: 30 * 24 * 60 * 60 * 1000,  // Provider answers are reused for 30 days
+  MEMORY_CACHE_MAX_ENTRIES: 5000           // Per function instance
+};
+
+// ============================================================================
+// DISTRICT REGISTRY CONFIGURATION - Canonical district keys (see findDistrict)
+// ============================================================================
+// The districts collection has one doc per district, keyed by its canonical key
+// (also the FCM topic segment): {name, state, names: {<language>: name}, aliases}.
+// Keys are global; districts that share a name in different states get distinct
+// keys (e.g. aurangabad_bihar, aurangabad_maharashtra) and are told apart by state.
+// SEED is written once when the collection is empty.
+// Districts sent by the app that are not registered are used as sent (and flagged);
+// once a name or alias matching them is registered, migrateLegacyDistrictKeys moves
+// the stored values to the key.
+const DISTRICT_REGISTRY_CONFIG = {
+  CACHE_TTL_MS: 5 * 60 * 1000,  // Per function instance; writes through the API invalidate it
+  PUBLISH_LEGACY_TOPICS: true,  // Also send district pushes to the topics of names/aliases used as keys before the registry
+  MIGRATION_BATCH_SIZE: 400,    // Docs rewritten per Firestore batch (500 max)
+  SEED: [
+    { key: 'udupi', name: 'Udupi', state: 'Karnataka', names: { kn: 'ಉಡುಪಿ', hi: 'उडुपी' }, aliases: ['Udipi'] },
+    { key: 'dakshina_kannada', name: 'Dakshina Kannada', state: 'Karnataka', names: { kn: 'ದಕ್ಷಿಣ ಕನ್ನಡ', hi: 'दक्षिण कन्नड़' }, aliases: ['Mangalore', 'Mangaluru', 'South Canara', 'Dakshin Kannad'] },
+    { key: 'uttara_kannada', name: 'Uttara Kannada', state: 'Karnataka', names: { kn: 'ಉತ್ತರ ಕನ್ನಡ', hi: 'उत्तर कन्नड़' }, aliases: ['Karwar', 'North Canara', 'Uttar Kannad'] },
+    { key: 'shivamogga', name: 'Shivamogga', state: 'Karnataka', names: { kn: 'ಶಿವಮೊಗ್ಗ', hi: 'शिवमोग्गा' }, aliases: ['Shimoga'] },
+    { key: 'chikkamagaluru', name: 'Chikkamagaluru', state: 'Karnataka', names: { kn: 'ಚಿಕ್ಕಮಗಳೂರು', hi: 'चिकमगलूर' }, aliases: ['Chikmagalur', 'Chikkamagalur'] }
+  ]
+};
+
+// ============================================================================
+// DISTRICT CHECK CONFIGURATION - Verify the SOS district against the location
+// ============================================================================
+// When an SOS carries coordinates, the district is resolved server-side and compared
+// with userInfo.district. On a mismatch MISMATCH_ACTION decides what happens:
+//   override       - the alert goes to (and is stored under) the resolved district
+//   broadcast_both - like override, but the claimed district's topics are notified too
+//   flag           - keep the claimed district; only record the mismatch
+// Every check is recorded as `district_check` on the sos_alerts doc and history event.
+const DISTRICT_CHECK_CONFIG = {
+  ENABLED: true,
+  MISMATCH_ACTION: 'broadcast_both',
+  RESOLVE_TIMEOUT_MS: 3 * 1000  // Keep the claimed district if geocoding takes longer
+};
+
+// ============================================================================
+// FCM TOKEN CONFIGURATION - Daily dry-run validation of subscriber tokens
+// ============================================================================
+const TOKEN_CONFIG = {
+  VALIDATION_BATCH_SIZE: 500,  // Tokens per dry-run sendEach() call (FCM maximum)
+  // Errors that mean the token will never work again; anything else is retried next run
+  PRUNE_ERROR_CODES: [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+  ]
+};
+
+// ============================================================================
+// SOS CATEGORIES - What kind of emergency an alert is (POST /sos `category`)
+// ============================================================================
+// A category sets:
+//   message_key      - Notification title/body in messages.js
+//   channel_id       - Android notification channel (must exist in the app), plus icon/color
+//   skills           - Volunteers with any of these skills (subscribed_users.skills) are
+//                      also targeted up to skill_radius_km, beyond TARGETING_CONFIG.RADIUS_KM
+//   lifetime_ms      - How long the alert stays active before expireOldAlerts retires it
+// Alerts without a category use DEFAULT_SOS_CATEGORY.
+const VOLUNTEER_SKILLS = ['first_aid', 'medical', 'firefighting', 'rescue', 'swimming', 'driving'];
+
+const DEFAULT_SOS_CATEGORY = 'general';
+
+const SOS_CATEGORIES = {
+  general: {
+    message_key: 'sos_alert',
+    channel_id: 'sos_alerts',
+    icon: 'ic_notification',
+    color: '#FF0000',
+    skills: [],
+    skill_radius_km: null,
+    lifetime_ms: SCHEDULE_CONFIG.ALERT_EXPIRATION_THRESHOLD_MS
+  },
+  medical: {
+    message_key: 'sos_alert_medical',
+    channel_id: 'sos_medical',
+    icon: 'ic_sos_medical',
+    color: '#D32F2F',
+    skills: ['first_aid', 'medical'],
+    skill_radius_km: 20,
+    lifetime_ms: 60 * 60 * 1000
+  },
+  fire: {
+    message_key: 'sos_alert_fire',
+    channel_id: 'sos_fire',
+    icon: 'ic_sos_fire',
+    color: '#F57C00',
+    skills: ['firefighting', 'first_aid'],
+    skill_radius_km: 15,
+    lifetime_ms: 2 * 60 * 60 * 1000
+  },
+  accident: {
+    message_key: 'sos_alert_accident',
+    channel_id: 'sos_accident',
+    icon: 'ic_sos_accident',
+    color: '#FBC02D',
+    skills: ['first_aid', 'medical', 'driving'],
+    skill_radius_km: 20,
+    lifetime_ms: 90 * 60 * 1000
+  },
+  personal_safety: {
+    message_key: 'sos_alert_personal_safety',
+    channel_id: 'sos_personal_safety',
+    icon: 'ic_sos_personal_safety',
+    color: '#7B1FA2',
+    skills: [],
+    skill_radius_km: null,
+    lifetime_ms: 60 * 60 * 1000
+  },
+  flood: {
+    message_key: 'sos_alert_flood',
+    channel_id: 'sos_flood',
+    icon: 'ic_sos_flood',
+    color: '#1976D2',
+    skills: ['rescue', 'swimming'],
+    skill_radius_km: 30,
+    lifetime_ms: 6 * 60 * 60 * 1000
+  }
+};
+
+// ============================================================================
+// SMS FALLBACK CONFIGURATION - Provider is selected in sms.js (SMS_PROVIDER)
+// ============================================================================
+// Opted-in districts are configured per project with the SMS_ENABLED_DISTRICTS param
+const SMS_CONFIG = {
+  MAX_RECIPIENTS_PER_ALERT: 100,  // Nearest subscribers first when radius targeting applies
+  COST_PER_MESSAGE: 0.25,         // Estimated cost per SMS (INR) - used for the daily cap
+  DAILY_COST_CAP: 500,            // Max estimated SMS spend per IST day across all districts (INR)
+  SEND_CONCURRENCY: 10,           // Parallel provider requests
+  DEFAULT_COUNTRY_CODE: '+91'     // Prefixed to 10-digit numbers
+};
+
+// ============================================================================
+// EMERGENCY CONTACTS CONFIGURATION
+// ============================================================================
+const CONTACTS_CONFIG = {
+  MAX_CONTACTS: 5,      // Per user (FID)
+  SMS_ENABLED: true     // Text contacts with a phone number (still subject to SMS_CONFIG.DAILY_COST_CAP)
+};
+
+// ============================================================================
+// DEVICE CLAIM CONFIGURATION - Binding an already-known FID to a sign-in
+// ============================================================================
+const DEVICE_CLAIM_CONFIG = {
+  CODE_TTL_MS: 10 * 60 * 1000,             // Claim codes pushed to the install expire after 10 minutes
+  MAX_ATTEMPTS: 5,                         // Wrong codes before the claim has to be restarted
+  TOKEN_MIN_AGE_MS: 24 * 60 * 60 * 1000    // The FCM token on record must be this old (or predate fcm_token_updated_at)
+};
+
+// ============================================================================
+// ESCALATION CONFIGURATION - Steps for alerts nobody acknowledges
+// ============================================================================
+// Each step runs once per alert, in order, when the alert is still active
+// `after_minutes` after it was triggered and has not been acknowledged:
+//   unless: 'seen'      - skip once any volunteer has opened it with their ID token
+//                         (verified_seen_by; plain seen_by can be set by anyone)
+//   unless: 'responded' - skip once any volunteer has accepted it (responders)
+// An acknowledged step is recorded as 'skipped' and the next one is checked; a failed
+// action is retried on later runs (MAX_ATTEMPTS in total) before it is recorded as failed.
+// Actions:
+//   rebroadcast_neighbours - send the alert to the neighbouring districts' topics
+//   notify_admins          - email the district's admins (super admins if it has none)
+//   webhook                - send an 'sos.escalated' event to the district's webhook
+//                            subscriptions (control rooms subscribe via /admin/webhooks)
+// Per-district policies (neighbours, optionally steps) live in escalation_policies/{district},
+// managed via /admin/escalation-policies; DISTRICTS is used for districts without one.
+const ESCALATION_CONFIG = {
+  ENABLED: true,
+  ACTIONS: ['rebroadcast_neighbours', 'notify_admins', 'webhook'],
+  DEFAULT_STEPS: [
+    { after_minutes: 5, unless: 'seen', action: 'rebroadcast_neighbours' },
+    { after_minutes: 10, unless: 'responded', action: 'notify_admins' },
+    { after_minutes: 15, unless: 'responded', action: 'webhook' }
+  ],
+  MAX_ATTEMPTS: 3,                  // Per step, one per scheduled run
+  CLAIM_TIMEOUT_MS: 2 * 60 * 1000,  // A step being run is not claimed again for this long
+  MAX_STEPS: 10,
+  // Fallback per-district settings: neighbours, and optionally steps (replaces DEFAULT_STEPS)
+  DISTRICTS: {
+    udupi: {
+      neighbours: ['dakshina_kannada', 'uttara_kannada', 'shivamogga', 'chikkamagaluru']
+    }
+  }
+};
+
+// ============================================================================
+// WEBHOOK CONFIGURATION - Signed SOS events for partner systems
+// ============================================================================
+// Subscriptions live in webhook_subscriptions (managed via /admin/webhooks),
+// every delivery and its attempts in webhook_deliveries.
+const WEBHOOK_CONFIG = {
+  EVENTS: ['sos.triggered', 'sos.stopped', 'sos.expired', 'sos.escalated', 'sos.blocked_attempt'],
+  SIGNATURE_HEADER: 'X-RRT-Signature',
+  TIMEOUT_MS: 5 * 1000,            // Per attempt
+  ATTEMPT_LEASE_MS: 60 * 1000,     // A delivery being attempted is not retried before this (> TIMEOUT_MS)
+  MAX_ATTEMPTS: 6,                 // First attempt + 5 retries
+  RETRY_BASE_DELAY_MS: 30 * 1000,  // Doubles per retry: 30s, 1m, 2m, 4m, 8m
+  DISABLE_AFTER_FAILURES: 20,      // Consecutive failed attempts before a subscription is disabled
+  RETRY_BATCH_SIZE: 100            // Deliveries retried per scheduled run
 };
 
 // ============================================================================
@@ -137,7 +368,7 @@ async function isSenderBlocked(sender_id) {
       .doc(sender_id)
       .get();
     
-    return blockedDoc.exists && blockedDoc.data()?.blocked === true;
+    return blockedDoc.exists && isBlockActive(blockedDoc.data());
   } catch (error) {
     console.error('Error checking blocked status:', error);
     // Fail open or closed depending on your preference
@@ -145,63 +376,6 @@ async function isSenderBlocked(sender_id) {
   }
 }
 
-/**
- * Reverse geocode lat/lng using Ola Maps to extract the district name.
- * Returns a lowercase_underscore district key (e.g. "dakshina_kannada") on success,
- * or null if the district cannot be determined.
- *
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {Promise<string|null>} district key or null
- */
-async function reverseGeocodeDistrict(lat, lng) {
-  try {
-    const apiKey = olaMapsApiKey.value();
-    if (!apiKey) {
-      console.warn('⚠️  OLA_MAPS_API_KEY not set, skipping reverse geocode');
-      return null;
-    }
-
-    const url = `https://api.olamaps.io/places/v1/reverse-geocode?latlng=${lat},${lng}&api_key=${apiKey}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      console.error(`❌ Ola Maps reverse geocode failed: ${response.status} ${response.statusText}`);
-      return null;
-    }
-
-    const data = await response.json();
-
-    // Ola Maps returns results[0].address_components similar to Google Maps format.
-    const result = data?.results?.[0];
-    if (!result) return null;
-
-    const components = result.address_components || [];
-
-    // Prefer level 2 (actual district/zone) over level 3 (sub-district/tehsil)
-    const districtComp =
-      components.find(c => c.types?.includes('administrative_area_level_2')) ||
-      components.find(c => c.types?.includes('administrative_area_level_3'));
-
-    if (!districtComp) {
-      console.warn('⚠️  District component not found in Ola Maps response');
-      return null;
-    }
-
-    // Normalise to lowercase with underscores: "Dakshina Kannada" -> "dakshina_kannada"
-    const districtKey = districtComp.long_name
-      .trim()
-      .toLowerCase()
-      .replace(/\s+/g, '_');
-
-    console.log(`🗺️  Reverse geocoded district: ${districtComp.long_name} -> "${districtKey}"`);
-    return districtKey;
-  } catch (err) {
-    console.error('❌ Ola Maps reverse geocode error:', err.message);
-    return null;
-  }
-}
-
 /**
  * Store/Update SOS alert snapshot in Firestore for admin dashboard (OPTIONAL - can be disabled)
  * Uses sender_id as document ID for easy lookup and tabular display
@@ -210,10 +384,13 @@ async function reverseGeocodeDistrict(lat, lng) {
  * @param {boolean} active - true for SOS alert, false for stop
  * @param {object} location - GPS coordinates {latitude, longitude, accuracy}
  * @param {object} userInfo - User details {name, mobile_number, message}
- * @param {string} district - District name (e.g., "udupi", "mangalore")
+ * @param {string} district - District registry key (e.g., "udupi", "dakshina_kannada")
  * @param {string} state - State extracted from user location (last component of location string)
+ * @param {string} category - Key of SOS_CATEGORIES (defaults to DEFAULT_SOS_CATEGORY)
+ * @param {object} districtCheck - Result of the server-side district check (verifySOSDistrict)
+ * @param {boolean} districtUnregistered - district is not in the registry and was used as sent
  */
-async function storeSOSAlert(sender_id, active, location = null, userInfo = null, district = null, state = null) {
+async function storeSOSAlert(sender_id, active, location = null, userInfo = null, district = null, state = null, category = null, districtCheck = null, districtUnregistered = false) {
   if (!FEATURES.ENABLE_SOS_ALERT_SNAPSHOT) {
     console.log('⏭️  SOS alert snapshot disabled');
     return false;
@@ -230,6 +407,11 @@ async function storeSOSAlert(sender_id, active, location = null, userInfo = null
     if (active && location) {
       alertData.location = location;
     }
+
+    // Live updates move `location`; pushes about them go to the trigger's audience
+    if (active) {
+      alertData.trigger_location = hasCoordinates(location) ? location : admin.firestore.FieldValue.delete();
+    }
     
     if (active && userInfo) {
       alertData.userInfo = {
@@ -250,10 +432,25 @@ async function storeSOSAlert(sender_id, active, location = null, userInfo = null
       alertData.state = state;
     }
 
-    // Reset seen_by to empty map on every new alert trigger so stale views
-    // from a previous SOS by the same sender don't carry over.
+    if (active) {
+      alertData.category = category || DEFAULT_SOS_CATEGORY;
+      alertData.district_check = districtCheck || admin.firestore.FieldValue.delete();
+      // District used as sent because the registry doesn't know it (see findDistrictOrAsSent)
+      alertData.district_unregistered = districtUnregistered || admin.firestore.FieldValue.delete();
+    }
+
+    // Reset seen_by and responders to empty maps on every new alert trigger so
+    // stale views/acknowledgements from a previous SOS by the same sender don't carry over.
     if (active) {
       alertData.seen_by = {};
+      alertData.verified_seen_by = {};
+      alertData.responders = {};
+      alertData.location_updated_at = admin.firestore.FieldValue.delete();
+      alertData.last_location_push_at = admin.firestore.FieldValue.delete();
+      alertData.last_location_push_location = admin.firestore.FieldValue.delete();
+      alertData.sms_delivery = admin.firestore.FieldValue.delete();
+      alertData.contact_notifications = admin.firestore.FieldValue.delete();
+      alertData.escalation = admin.firestore.FieldValue.delete();
     }
     
     // Use sender_id as document ID for easy updates
@@ -282,6 +479,9 @@ async function storeSOSAlert(sender_id, active, location = null, userInfo = null
     if (active) {
       if (state) historyData.state = state;
       if (location) historyData.location = location;
+      historyData.category = category || DEFAULT_SOS_CATEGORY;
+      if (districtCheck) historyData.district_check = districtCheck;
+      if (districtUnregistered) historyData.district_unregistered = true;
     }
     await admin.firestore()
       .collection('sos_alert_history')
@@ -295,16 +495,46 @@ async function storeSOSAlert(sender_id, active, location = null, userInfo = null
   }
 }
 
+/**
+ * Parse a block duration such as "30m", "24h", "7d" or "permanent".
+ * @param {string} duration
+ * @returns {number|null|undefined} Milliseconds, null for permanent, undefined if invalid
+ */
+function parseBlockDuration(duration) {
+  if (duration === undefined || duration === null || duration === 'permanent') return null;
+
+  const match = /^(\d+)\s*([mhd])$/.exec(String(duration).trim());
+  if (!match || parseInt(match[1]) === 0) return undefined;
+
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1]) * unitMs[match[2]];
+}
+
+/**
+ * Check whether a blocked_users record is currently in force
+ * (temporary blocks stop applying once expiresAt has passed, even before the cleanup job runs)
+ * @param {object} data - blocked_users document data
+ * @returns {boolean}
+ */
+function isBlockActive(data) {
+  if (!data || data.blocked !== true) return false;
+  return !data.expiresAt || data.expiresAt.toMillis() > Date.now();
+}
+
 /**
  * Block a user in Firestore (CRITICAL - always enabled)
+ * district is the sender's district at block time, used to scope moderation to admins.
+ * @param {number|null} durationMs - Block length; null blocks permanently
  */
-async function blockUser(sender_id, reason, blocked_by) {
+async function blockUser(sender_id, reason, blocked_by, district = null, durationMs = null) {
   const blockData = {
     blocked: true,
     blockedAt: admin.firestore.FieldValue.serverTimestamp(),
     reason: reason || 'No reason provided',
-    blockedBy: blocked_by || 'admin'
+    blockedBy: blocked_by || 'admin',
+    expiresAt: durationMs ? admin.firestore.Timestamp.fromMillis(Date.now() + durationMs) : null
   };
+  if (district) blockData.district = district;
   
   await admin.firestore()
     .collection('blocked_users')
@@ -316,12 +546,77 @@ async function blockUser(sender_id, reason, blocked_by) {
 
 /**
  * Unblock a user in Firestore (CRITICAL - always enabled)
+ * The block record is copied to block_history before it is removed, so past blocks
+ * stay visible when a moderator looks up the sender.
+ * @param {string} lifted_by - Admin email, or 'block-expiry' for the scheduled job
+ * @param {string} lift_reason - 'manual' or 'expired'
  */
-async function unblockUser(sender_id) {
-  await admin.firestore()
+async function unblockUser(sender_id, lifted_by = 'admin', lift_reason = 'manual') {
+  const db = admin.firestore();
+  const blockedRef = db.collection('blocked_users').doc(sender_id);
+  const doc = await blockedRef.get();
+
+  const batch = db.batch();
+  if (doc.exists) {
+    batch.set(db.collection('block_history').doc(), {
+      sender_id,
+      ...doc.data(),
+      liftedAt: admin.firestore.FieldValue.serverTimestamp(),
+      liftedBy: lifted_by,
+      liftReason: lift_reason
+    });
+  }
+  batch.delete(blockedRef);
+  await batch.commit();
+}
+
+/**
+ * Get past (lifted) blocks of a sender, newest first
+ * @param {string} sender_id - Firebase Installation ID
+ * @returns {Promise<object[]>}
+ */
+async function getBlockHistory(sender_id) {
+  const snapshot = await admin.firestore()
+    .collection('block_history')
+    .where('sender_id', '==', sender_id)
+    .orderBy('blockedAt', 'desc')
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...toSerializable(doc.data()) }));
+}
+
+/**
+ * Lift temporary blocks whose expiresAt has passed (run by liftExpiredBlocksScheduled)
+ * @returns {object} Summary of lifted blocks
+ */
+async function liftExpiredBlocks() {
+  const snapshot = await admin.firestore()
     .collection('blocked_users')
-    .doc(sender_id)
-    .delete();
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+    .get();
+
+  const lifted = [];
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    await unblockUser(doc.id, 'block-expiry', 'expired');
+    await recordAuditLog(null, {
+      action: 'user.unblock',
+      actor: 'block-expiry',
+      target: { type: 'sender', id: doc.id },
+      before: data,
+      after: null,
+      districts: [data.district]
+    });
+    lifted.push({ sender_id: doc.id, district: data.district, blockedBy: data.blockedBy });
+  }
+
+  if (lifted.length > 0) {
+    console.log(`✅ Lifted ${lifted.length} expired blocks:`, lifted);
+  } else {
+    console.log('✅ No expired blocks to lift');
+  }
+
+  return { lifted: lifted.length, liftedBlocks: lifted };
 }
 
 /**
@@ -337,9 +632,11 @@ async function getBlockedUser(sender_id) {
 }
 
 /**
- * List all blocked users (CRITICAL - always enabled)
+ * List blocked users visible to an admin scope (CRITICAL - always enabled)
+ * Blocks recorded before district was stored on the doc fall back to a sender lookup.
+ * @param {object} scope - Admin scope from requirePermission
  */
-async function listBlockedUsers() {
+async function listBlockedUsers(scope) {
   const snapshot = await admin.firestore()
     .collection('blocked_users')
     .where('blocked', '==', true)
@@ -347,22 +644,32 @@ async function listBlockedUsers() {
     .get();
   
   const blockedUsers = [];
-  snapshot.forEach(doc => {
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (!isBlockActive(data)) continue; // Expired, waiting for liftExpiredBlocks
+
+    const district = data.district || (scope.isSuperAdmin ? null : await getSenderDistrict(doc.id));
+
+    if (!isDistrictInScope(scope, district)) continue;
+
     blockedUsers.push({
       sender_id: doc.id,
-      ...doc.data(),
-      blockedAt: doc.data().blockedAt?.toDate().toISOString()
+      ...data,
+      district: district || data.district,
+      blockedAt: data.blockedAt?.toDate().toISOString(),
+      expiresAt: data.expiresAt?.toDate().toISOString() || null
     });
-  });
+  }
   
   return blockedUsers;
 }
 
 /**
- * Get all SOS alert snapshots for admin dashboard (OPTIONAL - can be disabled)
+ * Get SOS alert snapshots for admin dashboard (OPTIONAL - can be disabled)
  * @param {boolean} activeOnly - If true, only return active alerts
+ * @param {object} scope - Admin scope from requirePermission
  */
-async function getSOSAlerts(activeOnly = false) {
+async function getSOSAlerts(activeOnly = false, scope) {
   if (!FEATURES.ENABLE_SOS_ALERT_SNAPSHOT) {
     return [];
   }
@@ -373,17 +680,25 @@ async function getSOSAlerts(activeOnly = false) {
     query = query.where('active', '==', true);
   }
   
-  const snapshot = await query.orderBy('timestamp', 'desc').get();
+  const docs = await getDocsInScope(query.orderBy('timestamp', 'desc'), scope);
+  // Results from several district chunks need re-sorting
+  docs.sort((a, b) => (b.data().timestamp?.toMillis() || 0) - (a.data().timestamp?.toMillis() || 0));
   
   const alerts = [];
-  snapshot.forEach(doc => {
+  docs.forEach(doc => {
     const data = doc.data();
     alerts.push({
       sender_id: doc.id,
       active: data.active,
       district: data.district,
+      category: data.category || DEFAULT_SOS_CATEGORY,
       location: data.location,
       userInfo: data.userInfo,
+      responders: formatResponders(data.responders),
+      sms_delivery: data.sms_delivery ? toSerializable(data.sms_delivery) : null,
+      escalation: data.escalation ? toSerializable(data.escalation) : null,
+      district_check: data.district_check || null,
+      location_updated_at: data.location_updated_at?.toDate().toISOString(),
       timestamp: data.timestamp?.toDate().toISOString()
     });
   });
@@ -393,7 +708,8 @@ async function getSOSAlerts(activeOnly = false) {
 
 /**
  * Expire old active SOS alerts (OPTIONAL - can be disabled)
- * Checks all active alerts and marks them as inactive if they exceed the threshold
+ * Checks all active alerts and marks them as inactive once they outlive their
+ * category's lifetime (SOS_CATEGORIES[].lifetime_ms)
  * @returns {object} Summary of expired alerts
  */
 async function expireOldAlerts() {
@@ -404,9 +720,8 @@ async function expireOldAlerts() {
   
   try {
     const now = Date.now();
-    const thresholdTime = now - SCHEDULE_CONFIG.ALERT_EXPIRATION_THRESHOLD_MS;
     
-    console.log(`🔍 Checking for alerts older than ${SCHEDULE_CONFIG.ALERT_EXPIRATION_THRESHOLD_MS / 1000 / 60} minutes`);
+    console.log('🔍 Checking for alerts past their category lifetime');
     
     // Query all active alerts
     const snapshot = await admin.firestore()
@@ -415,33 +730,61 @@ async function expireOldAlerts() {
       .get();
     
     const expiredAlerts = [];
-    const batch = admin.firestore().batch();
+    const expiredDocs = [];
     
     snapshot.forEach(doc => {
       const data = doc.data();
       const timestamp = data.timestamp?.toDate();
+      const thresholdTime = now - getSOSCategory(data.category).lifetime_ms;
       
       if (timestamp && timestamp.getTime() < thresholdTime) {
         // Alert is older than threshold, mark for expiration
-        const alertRef = admin.firestore().collection('sos_alerts').doc(doc.id);
-        batch.update(alertRef, {
-          active: false,
-          expiredAt: admin.firestore.FieldValue.serverTimestamp(),
-          expiredBy: 'scheduled_job'
-        });
-        
+        expiredDocs.push(doc);
         expiredAlerts.push({
           sender_id: doc.id,
           district: data.district,
+          category: data.category || DEFAULT_SOS_CATEGORY,
           age_minutes: Math.floor((now - timestamp.getTime()) / 1000 / 60)
         });
       }
     });
     
-    // Commit all updates in a single batch
-    if (expiredAlerts.length > 0) {
+    // Two writes per alert; a batch holds at most 500
+    for (let i = 0; i < expiredDocs.length; i += SCHEDULE_CONFIG.EXPIRATION_BATCH_ALERTS) {
+      const batch = admin.firestore().batch();
+      for (const doc of expiredDocs.slice(i, i + SCHEDULE_CONFIG.EXPIRATION_BATCH_ALERTS)) {
+        const data = doc.data();
+        batch.update(doc.ref, {
+          active: false,
+          expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiredBy: 'scheduled_job'
+        });
+        
+        // Record the expiry in history so stats can tell expired from manually stopped alerts
+        const historyData = {
+          sender_id: doc.id,
+          event: 'expired',
+          timestamp: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (data.district) historyData.district = data.district;
+        if (data.state) historyData.state = data.state;
+        batch.set(admin.firestore().collection('sos_alert_history').doc(), historyData);
+      }
       await batch.commit();
+    }
+    
+    if (expiredAlerts.length > 0) {
       console.log(`✅ Expired ${expiredAlerts.length} old alerts:`, expiredAlerts);
+
+      for (const doc of expiredDocs) {
+        const data = doc.data();
+        const webhooks = await dispatchWebhookEvent('sos.expired', data.district || null, {
+          ...buildWebhookAlertData(doc.id, data),
+          triggered_at: data.timestamp.toDate().toISOString(),
+          expired_at: new Date(now).toISOString()
+        });
+        await webhooks?.delivered;
+      }
     } else {
       console.log(`✅ No alerts to expire (checked ${snapshot.size} active alerts)`);
     }
@@ -458,877 +801,6538 @@ async function expireOldAlerts() {
   }
 }
 
-// ============================================================================
-// AUTHENTICATION MIDDLEWARE
-// ============================================================================
+/**
+ * Append a 'blocked_attempt' event to sos_alert_history when a blocked sender
+ * tries to send or stop an SOS (used for moderation stats). Never throws.
+ * @param {string} sender_id - Firebase Installation ID
+ * @param {string} sos_type - 'sos_alert' or 'stop'
+ * @param {object} userInfo - As sent by the app (district is recorded if present)
+ */
+async function recordBlockedAttempt(sender_id, sos_type, userInfo = null) {
+  try {
+    const historyData = {
+      sender_id: sender_id,
+      event: 'blocked_attempt',
+      sos_type: sos_type || null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (userInfo?.district) historyData.district = userInfo.district;
 
-// ============================================================================
-// SUPER ADMIN CACHE - Fetched from Firestore (admins collection, role: super-admin)
-// with a 1-hour TTL so repeated requests don't hammer the database.
-// ============================================================================
+    await admin.firestore()
+      .collection('sos_alert_history')
+      .add(historyData);
+  } catch (error) {
+    console.error('⚠️  Failed to record blocked attempt:', error);
+  }
 
-const superAdminCache = {
-  emails: /** @type {string[]|null} */ (null),
-  lastFetched: /** @type {number|null} */ (null),
-  TTL_MS: 60 * 60 * 1000 // 1 hour
-};
+  return dispatchWebhookEvent('sos.blocked_attempt', userInfo?.district || null, {
+    sender_id,
+    sos_type: sos_type || null
+  });
+}
 
 /**
- * Fetch super-admin emails from Firestore, using an in-memory cache (1-hour TTL).
- * Super admins are documents in the `admins` collection where role === 'super-admin'.
- * @returns {Promise<string[]>}
+ * Get a single SOS alert snapshot by sender ID
+ * @param {string} sender_id - Firebase Installation ID
+ * @returns {Promise<object|null>} alert data or null if not found
  */
-async function getSuperAdminEmails() {
-  const now = Date.now();
-  if (
-    superAdminCache.emails !== null &&
-    superAdminCache.lastFetched !== null &&
-    now - superAdminCache.lastFetched < superAdminCache.TTL_MS
-  ) {
-    return superAdminCache.emails;
-  }
-
-  console.log('🔄 Refreshing super admin cache from Firestore...');
-  const snapshot = await admin.firestore()
-    .collection('admins')
-    .where('role', '==', 'super-admin')
+async function getSOSAlert(sender_id) {
+  const doc = await admin.firestore()
+    .collection('sos_alerts')
+    .doc(sender_id)
     .get();
 
-  const emails = snapshot.docs.map(doc => doc.id);
-  superAdminCache.emails = emails;
-  superAdminCache.lastFetched = now;
-  console.log(`✅ Super admin cache updated: ${emails.length} super admin(s)`);
-  return emails;
+  return doc.exists ? { sender_id: doc.id, ...doc.data() } : null;
 }
 
 /**
- * Invalidate the super-admin cache so the next request re-fetches from Firestore.
- * Call this after creating or deleting a super-admin.
+ * Record a volunteer as responding to an active SOS alert.
+ * Responders are stored as a map { [fid]: {...} } on the sos_alerts doc (like seen_by),
+ * so accepting twice just updates the ETA. An immutable 'responded' event is appended
+ * to sos_alert_history.
+ *
+ * @param {string} alert_id - sos_alerts document ID (sender's FID)
+ * @param {string} fid - Responder's Firebase Installation ID
+ * @param {object} responder - {name, mobile_number, eta_minutes}
+ * @returns {Promise<object|null>} Updated alert data, or null if the alert is missing or inactive
  */
-function invalidateSuperAdminCache() {
-  superAdminCache.emails = null;
-  superAdminCache.lastFetched = null;
-  console.log('♻️  Super admin cache invalidated');
+async function recordSOSResponder(alert_id, fid, responder) {
+  const db = admin.firestore();
+  const alertRef = db.collection('sos_alerts').doc(alert_id);
+
+  const entry = {
+    name: responder.name || 'Volunteer',
+    mobile_number: responder.mobile_number || 'N/A',
+    eta_minutes: responder.eta_minutes ?? null
+  };
+
+  const alert = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(alertRef);
+    if (!doc.exists || doc.data().active !== true) return null;
+
+    const stored = { ...entry, responded_at: admin.firestore.Timestamp.now() };
+
+    // Dot-notation key sets only this map entry, leaving other responders untouched
+    transaction.update(alertRef, { [`responders.${fid}`]: stored });
+
+    const data = doc.data();
+    return { ...data, responders: { ...(data.responders || {}), [fid]: stored } };
+  });
+
+  if (!alert) return null;
+
+  const historyData = {
+    sender_id: alert_id,
+    event: 'responded',
+    responder: { fid, ...entry },
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (alert.district) historyData.district = alert.district;
+
+  await db.collection('sos_alert_history').add(historyData);
+
+  return alert;
 }
 
 /**
- * Middleware to verify Firebase ID token
- * Also sets custom claims for super admins if needed
+ * Append a location breadcrumb to an active alert's trail and move its current location.
+ * Breadcrumbs live in the sos_alerts/{sender_id}/trail subcollection. The alert's
+ * `timestamp` is left untouched so expireOldAlerts still measures age from the trigger.
+ * Also decides (inside the same transaction) whether this update is due for a push,
+ * based on LOCATION_UPDATE_CONFIG, so concurrent updates don't both notify.
+ *
+ * @param {string} sender_id - sos_alerts document ID
+ * @param {object} location - {latitude, longitude, accuracy}
+ * @returns {Promise<{status: string, alert?: object, shouldPush?: boolean}>}
+ *   status is 'ok', 'not_found', 'inactive' or 'expired'
  */
-async function authenticateUser(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'Unauthorized',
-        message: 'Missing or invalid authorization header'
-      });
+async function appendSOSLocation(sender_id, location) {
+  const db = admin.firestore();
+  const alertRef = db.collection('sos_alerts').doc(sender_id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(alertRef);
+    if (!doc.exists) return { status: 'not_found' };
+
+    const data = doc.data();
+    if (data.active !== true) return { status: 'inactive' };
+
+    // Treat alerts past their lifetime as expired even if the scheduled job hasn't run yet
+    const triggeredAt = data.timestamp?.toDate();
+    if (triggeredAt && Date.now() - triggeredAt.getTime() > getSOSCategory(data.category).lifetime_ms) {
+      return { status: 'expired' };
     }
-    
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
-    // Set custom claim for super admins if not already set
-    if (await isSuperAdmin(decodedToken.email) && !decodedToken.superadmin) {
-      await admin.auth().setCustomUserClaims(decodedToken.uid, { superadmin: true });
-      console.log(`✅ Set superadmin custom claim for ${decodedToken.email}`);
-    }
-    
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email
+
+    const point = {
+      latitude: location.latitude,
+      longitude: location.longitude
     };
-    
-    next();
-  } catch (error) {
-    console.error('Authentication error:', error);
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Invalid or expired token'
+    if (typeof location.accuracy === 'number') point.accuracy = location.accuracy;
+
+    const lastPushAt = data.last_location_push_at?.toDate();
+    const lastPushLocation = data.last_location_push_location;
+    const movedMeters = hasCoordinates(lastPushLocation)
+      ? geofire.distanceBetween(
+        [lastPushLocation.latitude, lastPushLocation.longitude],
+        [point.latitude, point.longitude]
+      ) * 1000
+      : Infinity;
+    const shouldPush =
+      (!lastPushAt || Date.now() - lastPushAt.getTime() >= LOCATION_UPDATE_CONFIG.MIN_PUSH_INTERVAL_MS) &&
+      movedMeters >= LOCATION_UPDATE_CONFIG.MIN_PUSH_DISTANCE_M;
+
+    const now = admin.firestore.Timestamp.now();
+    const alertUpdate = {
+      location: point,
+      location_updated_at: now
+    };
+    if (shouldPush) {
+      alertUpdate.last_location_push_at = now;
+      alertUpdate.last_location_push_location = point;
+    }
+    transaction.update(alertRef, alertUpdate);
+
+    transaction.set(alertRef.collection('trail').doc(), {
+      ...point,
+      // Groups breadcrumbs by trigger, since the same sender doc is reused across alerts
+      alert_triggered_at: data.timestamp || null,
+      timestamp: now
     });
-  }
+
+    return { status: 'ok', alert: { ...data, ...alertUpdate }, shouldPush };
+  });
 }
 
 /**
- * Middleware to verify super admin access
+ * Convert the responders map of an alert doc into a list for API responses,
+ * ordered by when each volunteer accepted.
+ * @param {object} responders - { [fid]: {name, mobile_number, eta_minutes, responded_at} }
+ * @returns {object[]}
  */
-async function requireSuperAdmin(req, res, next) {
-  if (!req.user) {
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Authentication required'
-    });
-  }
-  
-  if (!await isSuperAdmin(req.user.email)) {
-    return res.status(403).json({ 
-      error: 'Forbidden',
-      message: 'Super admin access required'
-    });
-  }
-  
-  next();
+function formatResponders(responders) {
+  return Object.entries(responders || {})
+    .map(([fid, r]) => ({
+      fid,
+      name: r.name,
+      mobile_number: r.mobile_number,
+      eta_minutes: r.eta_minutes ?? null,
+      responded_at: r.responded_at?.toDate().toISOString()
+    }))
+    .sort((a, b) => (a.responded_at || '').localeCompare(b.responded_at || ''));
 }
 
+// ============================================================================
+// DISTRICT REGISTRY - Canonical district keys, display names and aliases
+// ============================================================================
+
+// Registry index: {byKey: Map<key, district>, byTerm: Map<term, Set<key>>}
+const districtRegistryCache = {
+  registry: null,
+  lastFetched: /** @type {number|null} */ (null)
+};
+
 /**
- * Get admin document from Firestore
+ * Lookup form of a district key, name or alias: "Dakshina Kannada District" ->
+ * "dakshina_kannada". Like geocoding.normalizeDistrictKey, but keeps non-Latin
+ * scripts so the Kannada/Hindi display names match too.
+ * @param {string} value
+ * @returns {string|null}
  */
-async function getAdmin(email) {
-  const doc = await admin.firestore()
-    .collection('admins')
-    .doc(email)
-    .get();
-  
-  return doc.exists ? { email: doc.id, ...doc.data() } : null;
+function normalizeDistrictTerm(value) {
+  if (typeof value !== 'string') return null;
+  const term = value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+district$/, '')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+  return term || null;
 }
 
 /**
- * Check if email belongs to a super admin (uses cached Firestore lookup).
- * @param {string} email
- * @returns {Promise<boolean>}
+ * Every term a district is found by: its key, names and aliases
  */
-async function isSuperAdmin(email) {
-  const emails = await getSuperAdminEmails();
-  return emails.includes(email);
+function getDistrictTerms(district) {
+  return new Set([district.key, district.name, ...Object.values(district.names || {}), ...(district.aliases || [])]
+    .map(normalizeDistrictTerm)
+    .filter(Boolean));
 }
 
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
+/**
+ * District for API responses
+ */
+function formatDistrict(doc) {
+  const data = doc.data();
+  return {
+    key: doc.id,
+    name: data.name,
+    state: data.state,
+    names: data.names || {},
+    aliases: data.aliases || [],
+    ...toSerializable({
+      created_at: data.created_at || null,
+      updated_at: data.updated_at || null
+    }),
+    updated_by: data.updated_by || data.created_by || null
+  };
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    firebase: 'connected', // Always connected in CF
-    features: {
-      sosAlertSnapshot: FEATURES.ENABLE_SOS_ALERT_SNAPSHOT,
-      blockedUsers: FEATURES.BLOCKED_USERS
-    },
-    scheduledJobs: {
-      alertExpiration: {
-        enabled: FEATURES.ENABLE_SOS_ALERT_SNAPSHOT,
-        interval: SCHEDULE_CONFIG.ALERT_EXPIRATION_CHECK_INTERVAL,
-        thresholdMinutes: SCHEDULE_CONFIG.ALERT_EXPIRATION_THRESHOLD_MS / 1000 / 60
-      }
-    }
-  });
-});
+/**
+ * Load the districts collection into an in-memory index (DISTRICT_REGISTRY_CONFIG.CACHE_TTL_MS),
+ * writing DISTRICT_REGISTRY_CONFIG.SEED first if the collection is empty.
+ * @returns {Promise<{byKey: Map<string, object>, byTerm: Map<string, Set<string>>}>}
+ */
+async function getDistrictRegistry() {
+  const now = Date.now();
+  if (
+    districtRegistryCache.registry !== null &&
+    now - districtRegistryCache.lastFetched < DISTRICT_REGISTRY_CONFIG.CACHE_TTL_MS
+  ) {
+    return districtRegistryCache.registry;
+  }
 
-// Admin endpoint: Block a user
-app.post('/admin/block-user', authenticateUser, async (req, res) => {
-  console.log('🔒 Block user request received:', req.body);
-  
-  try {
-    const { sender_id, reason } = req.body;
-    const blocked_by = req.user.email;
-    
-    // Validate required fields
-    if (!sender_id) {
-      return res.status(400).json({ 
-        error: 'Missing required field',
-        required: ['sender_id']
-      });
-    }
-    
-    // Check if user is already blocked
-    const existingUser = await getBlockedUser(sender_id);
-    
-    if (existingUser && existingUser.blocked === true) {
-      return res.status(409).json({ 
-        error: 'User already blocked',
-        message: `User ${sender_id} is already in the blocked list`,
-        blockedAt: existingUser.blockedAt,
-        reason: existingUser.reason
+  const collection = admin.firestore().collection('districts');
+  let snapshot = await collection.get();
+
+  if (snapshot.empty) {
+    console.log(`🌱 Seeding districts registry with ${DISTRICT_REGISTRY_CONFIG.SEED.length} districts`);
+    const batch = admin.firestore().batch();
+    for (const { key, ...district } of DISTRICT_REGISTRY_CONFIG.SEED) {
+      batch.set(collection.doc(key), {
+        ...district,
+        created_by: 'seed',
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
       });
     }
-    
-    // Block the user
-    await blockUser(sender_id, reason, blocked_by);
-    
-    console.log(`✅ User blocked successfully: ${sender_id}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'User blocked successfully',
-      sender_id: sender_id,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Block user error:', error);
-    res.status(500).json({ 
-      error: 'Failed to block user',
-      message: error.message
-    });
+    await batch.commit();
+    snapshot = await collection.get();
   }
-});
 
-// Admin endpoint: Unblock a user
-app.post('/admin/unblock-user', authenticateUser, async (req, res) => {
-  console.log('🔓 Unblock user request received:', req.body);
-  
-  try {
-    const { sender_id } = req.body;
-    
-    // Validate required fields
-    if (!sender_id) {
-      return res.status(400).json({ 
-        error: 'Missing required field',
-        required: ['sender_id']
-      });
+  const byKey = new Map();
+  const byTerm = new Map();
+  for (const district of snapshot.docs.map(formatDistrict)) {
+    byKey.set(district.key, district);
+    for (const term of getDistrictTerms(district)) {
+      if (!byTerm.has(term)) byTerm.set(term, new Set());
+      byTerm.get(term).add(district.key);
     }
-    
-    // Check if user exists in blocked list
-    const existingUser = await getBlockedUser(sender_id);
-    
-    if (!existingUser) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        message: `User ${sender_id} is not in the blocked list`
-      });
-    }
-    
-    // Unblock the user
-    await unblockUser(sender_id);
-    
-    console.log(`✅ User unblocked successfully: ${sender_id}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'User unblocked successfully',
-      sender_id: sender_id,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Unblock user error:', error);
-    res.status(500).json({ 
-      error: 'Failed to unblock user',
-      message: error.message
-    });
   }
-});
 
-// Admin endpoint: List all blocked users
-app.get('/admin/blocked-users', async (req, res) => {
-  console.log('📋 List blocked users request received');
-  
+  districtRegistryCache.registry = { byKey, byTerm };
+  districtRegistryCache.lastFetched = now;
+  console.log(`✅ District registry loaded: ${byKey.size} district(s)`);
+  return districtRegistryCache.registry;
+}
+
+/**
+ * Invalidate the district registry so the next lookup re-reads Firestore.
+ * Call this after creating, updating or deleting a district.
+ */
+function invalidateDistrictRegistry() {
+  districtRegistryCache.registry = null;
+  districtRegistryCache.lastFetched = null;
+}
+
+/**
+ * Find a registered district by key, name or alias (any case, any language).
+ * A name shared by districts in several states is resolved with `state`;
+ * without a matching state it is ambiguous.
+ *
+ * @param {string} value - District key, name or alias
+ * @param {string|null} state - State name, to tell same-named districts apart
+ * @returns {Promise<{district?: object, error?: 'unknown'|'ambiguous', candidates?: object[]}>}
+ */
+async function findDistrict(value, state = null) {
+  const term = normalizeDistrictTerm(value);
+  if (!term) return { error: 'unknown' };
+
+  const { byKey, byTerm } = await getDistrictRegistry();
+  if (byKey.has(term)) return { district: byKey.get(term) };
+
+  const matches = [...(byTerm.get(term) || [])].map(key => byKey.get(key));
+  if (matches.length === 0) return { error: 'unknown' };
+  if (matches.length === 1) return { district: matches[0] };
+
+  const stateTerm = normalizeDistrictTerm(state);
+  const inState = stateTerm ? matches.filter(district => normalizeDistrictTerm(district.state) === stateTerm) : [];
+  if (inState.length === 1) return { district: inState[0] };
+
+  return {
+    error: 'ambiguous',
+    candidates: matches.map(district => ({ key: district.key, name: district.name, state: district.state }))
+  };
+}
+
+/**
+ * findDistrict for /sos and /subscribe-user, which fail open: a district that is
+ * unknown, ambiguous or cannot be looked up is used as sent (as before the registry)
+ * and marked `unregistered` so the caller can flag it
+ * @param {string} value - District key, name or alias
+ * @param {string|null} state
+ * @returns {Promise<{district: object, unregistered?: boolean}>}
+ */
+async function findDistrictOrAsSent(value, state) {
   try {
-    const blockedUsers = await listBlockedUsers();
-    
-    console.log(`✅ Found ${blockedUsers.length} blocked users`);
-    
-    res.json({ 
-      success: true,
-      count: blockedUsers.length,
-      blockedUsers: blockedUsers,
-      timestamp: new Date().toISOString()
-    });
+    const lookup = await findDistrict(value, state);
+    if (lookup.district) return lookup;
+    console.warn(`⚠️  District "${value}" is ${lookup.error}, using it as sent`);
   } catch (error) {
-    console.error('❌ List blocked users error:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve blocked users',
-      message: error.message
-    });
+    console.error('⚠️  District registry lookup failed, using district as sent:', error.message);
   }
-});
+  return { district: { key: value }, unregistered: true };
+}
 
-// Admin endpoint: Get SOS alerts for dashboard
-app.get('/admin/sos-alerts', async (req, res) => {
-  console.log('📊 Get SOS alerts request received');
-  
+/**
+ * District values stored before the registry (subscribers, admins and alerts kept
+ * whatever the app sent, e.g. "mangalore") that now resolve to a district: every
+ * name and alias of a district, as written and in lookup form, other than its key.
+ * Values shared by several districts are left out.
+ * @returns {Promise<Map<string, string>>} legacy value -> district key
+ */
+async function getLegacyDistrictKeys() {
+  const { byKey } = await getDistrictRegistry();
+  const owners = new Map();
+  for (const district of byKey.values()) {
+    const names = [district.name, ...Object.values(district.names || {}), ...(district.aliases || [])];
+    for (const value of names.flatMap(name => [name, normalizeDistrictTerm(name)])) {
+      if (!value || byKey.has(value)) continue;
+      if (!owners.has(value)) owners.set(value, new Set());
+      owners.get(value).add(district.key);
+    }
+  }
+
+  const legacy = new Map();
+  for (const [value, keys] of owners) {
+    if (keys.size === 1) legacy.set(value, [...keys][0]);
+  }
+  return legacy;
+}
+
+/**
+ * Legacy values of a district in the lowercase form the app used as topic segments,
+ * i.e. district topics devices may still be on (DISTRICT_REGISTRY_CONFIG.PUBLISH_LEGACY_TOPICS)
+ * @param {string} district - District key
+ * @returns {Promise<string[]>}
+ */
+async function getLegacyTopicKeys(district) {
+  if (!DISTRICT_REGISTRY_CONFIG.PUBLISH_LEGACY_TOPICS) return [];
   try {
-    const activeOnly = req.query.active === 'true';
-    const alerts = await getSOSAlerts(activeOnly);
-    
-    console.log(`✅ Found ${alerts.length} SOS alerts${activeOnly ? ' (active only)' : ''}`);
-    
-    res.json({ 
-      success: true,
-      count: alerts.length,
-      activeOnly: activeOnly,
-      alerts: alerts,
-      timestamp: new Date().toISOString()
-    });
+    const legacy = await getLegacyDistrictKeys();
+    return [...legacy]
+      .filter(([value, key]) => key === district && value === normalizeDistrictTerm(value) && /^[a-z0-9_]+$/.test(value))
+      .map(([value]) => value);
   } catch (error) {
-    console.error('❌ Get SOS alerts error:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve SOS alerts',
-      message: error.message
-    });
+    console.error('⚠️  Legacy district topics unavailable:', error.message);
+    return [];
   }
-});
+}
 
-// Admin endpoint: Get paginated list of users with search
-app.get('/admin/users', authenticateUser, async (req, res) => {
-  console.log('👥 Get users list request received');
-  
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 50;
-    const search = req.query.search || '';
-    
-    // Get admin profile to check permissions
-    const isSuperAdminUser = await isSuperAdmin(req.user.email);
-    let allowedDistricts = [];
-    
-    if (!isSuperAdminUser) {
-      const adminDoc = await getAdmin(req.user.email);
-      if (!adminDoc || !adminDoc.active) {
-        return res.status(403).json({ 
-          error: 'Forbidden',
-          message: 'Admin account is inactive or not found'
-        });
+/**
+ * Rewrite stored legacy district values (see getLegacyDistrictKeys) to their key:
+ * subscribed_users (moving each token onto the key's topic), admins'
+ * assignedDistricts, sos_alerts and sos_alert_history (which keep the old value as
+ * legacy_district). Safe to re-run; it runs daily so values used as sent become
+ * canonical once a matching name or alias is registered.
+ * @returns {Promise<{subscribers: number, admins: number, alerts: number, history: number}>}
+ */
+async function migrateLegacyDistrictKeys() {
+  const db = admin.firestore();
+  const legacy = await getLegacyDistrictKeys();
+  const result = { subscribers: 0, admins: 0, alerts: 0, history: 0 };
+
+  const values = [...legacy.keys()];
+  const chunks = [];
+  for (let i = 0; i < values.length; i += 30) {
+    chunks.push(values.slice(i, i + 30));
+  }
+
+  // Runs update(doc, data) for every doc of `collection` whose `field` holds a legacy
+  // value ('in' / 'array-contains-any' take 30 values at a time) and commits in batches
+  const rewrite = async (collection, field, operator, update) => {
+    let count = 0;
+    let batch = db.batch();
+    let batchSize = 0;
+    for (const chunk of chunks) {
+      for await (const doc of iterateQuery(db.collection(collection).where(field, operator, chunk))) {
+        batch.update(doc.ref, await update(doc.data()));
+        batchSize++;
+        count++;
+        if (batchSize >= DISTRICT_REGISTRY_CONFIG.MIGRATION_BATCH_SIZE) {
+          await batch.commit();
+          batch = db.batch();
+          batchSize = 0;
+        }
       }
-      allowedDistricts = adminDoc.assignedDistricts || [];
     }
-    
-    // Get all SOS alerts to extract unique users
-    let query = admin.firestore().collection('sos_alerts');
-    
-    // Filter by district if admin (not super admin)
-    if (!isSuperAdminUser && allowedDistricts.length > 0) {
-      query = query.where('district', 'in', allowedDistricts);
+    if (batchSize > 0) await batch.commit();
+    return count;
+  };
+
+  result.subscribers = await rewrite('subscribed_users', 'district', 'in', async data => {
+    const district = legacy.get(data.district);
+    const updates = { district };
+    if (data.fcm_token) {
+      const topic = await syncDistrictTopics(data.fcm_token, {
+        district,
+        language: messages.normalizeLanguage(data.language) || messages.DEFAULT_LANGUAGE,
+        previous: { token: data.fcm_token, district: data.district }
+      });
+      if (topic) updates.fcm_topic = topic;
     }
-    
-    const snapshot = await query.get();
-    
-    // Build user map (using sender_id as key to get unique users)
-    const userMap = new Map();
-    
-    for (const doc of snapshot.docs) {
+    return updates;
+  });
+
+  result.admins = await rewrite('admins', 'assignedDistricts', 'array-contains-any', async data => ({
+    assignedDistricts: [...new Set(data.assignedDistricts.map(value => legacy.get(value) || value))]
+  }));
+
+  for (const [collection, counter] of [['sos_alerts', 'alerts'], ['sos_alert_history', 'history']]) {
+    result[counter] = await rewrite(collection, 'district', 'in', async data => ({
+      district: legacy.get(data.district),
+      legacy_district: data.district
+    }));
+  }
+
+  console.log('🗺️  Legacy district keys migrated:', result);
+  return result;
+}
+
+/**
+ * Canonical keys for a list of district keys/names/aliases
+ * @param {string[]} values
+ * @returns {Promise<{keys?: string[], value?: string, lookup?: object}>} keys, or the first value that failed and its lookup
+ */
+async function resolveDistrictKeys(values) {
+  const keys = [];
+  for (const value of values) {
+    const lookup = await findDistrict(value);
+    if (!lookup.district) return { value, lookup };
+    keys.push(lookup.district.key);
+  }
+  return { keys: [...new Set(keys)] };
+}
+
+/**
+ * 400 response for a district that findDistrict could not resolve
+ * @param {object} res - Express response
+ * @param {string} prefix - Error code prefix of the endpoint, e.g. 'SOS'
+ * @param {string} field - Request field the value came from
+ * @param {string} value - The value as sent
+ * @param {object} lookup - findDistrict result
+ */
+function sendDistrictError(res, prefix, field, value, lookup) {
+  if (lookup.error === 'ambiguous') {
+    return res.status(400).json({
+      error: 'Ambiguous district',
+      code: `${prefix}_AMBIGUOUS_DISTRICT`,
+      message: `${field} "${value}" matches districts in several states - pass state or use one of the keys`,
+      candidates: lookup.candidates
+    });
+  }
+  return res.status(400).json({
+    error: 'Unknown district',
+    code: `${prefix}_UNKNOWN_DISTRICT`,
+    message: `${field} "${value}" is not a registered district (see GET /districts)`
+  });
+}
+
+/**
+ * Validate district fields from a request body
+ * @param {object} body - {key, name, state, names, aliases}
+ * @param {boolean} partial - Update: only validate the fields that are present (key cannot change)
+ * @returns {{district?: object, error?: string}}
+ */
+function parseDistrictEntry(body, partial = false) {
+  const { key, name, state, names, aliases } = body || {};
+  const district = {};
+
+  if (partial) {
+    if (key !== undefined) {
+      return { error: 'key cannot be changed - create a new district instead' };
+    }
+  } else {
+    if (typeof key !== 'string' || !/^[a-z0-9_]{2,60}$/.test(key)) {
+      return { error: 'key must be 2-60 characters of a-z, 0-9 and _ (it is part of FCM topic names)' };
+    }
+    district.key = key;
+  }
+  for (const [field, value] of [['name', name], ['state', state]]) {
+    if (value !== undefined || !partial) {
+      if (typeof value !== 'string' || !value.trim() || value.length > 100) {
+        return { error: `${field} must be a non-empty string (max 100 characters)` };
+      }
+      district[field] = value.trim();
+    }
+  }
+  if (names !== undefined && names !== null) {
+    if (typeof names !== 'object' || Array.isArray(names) ||
+        !Object.entries(names).every(([language, value]) =>
+          messages.SUPPORTED_LANGUAGES.includes(language) && typeof value === 'string' && value.trim())) {
+      return { error: `names must map languages (${messages.SUPPORTED_LANGUAGES.join(', ')}) to display names` };
+    }
+    district.names = Object.fromEntries(Object.entries(names).map(([language, value]) => [language, value.trim()]));
+  } else if (names === null || !partial) {
+    district.names = {};
+  }
+  if (aliases !== undefined) {
+    if (!isStringArray(aliases) || aliases.length > 20) {
+      return { error: 'aliases must be an array of alternative names (max 20)' };
+    }
+    district.aliases = [...new Set(aliases.map(alias => alias.trim()).filter(Boolean))];
+  } else if (!partial) {
+    district.aliases = [];
+  }
+
+  return { district };
+}
+
+/**
+ * Terms of `district` that clash with another district: another district's key,
+ * or a name/alias of another district in the same state. Same-named districts in
+ * different states are allowed - findDistrict tells them apart by state.
+ * @returns {{term: string, key: string, state: string}[]}
+ */
+function findDistrictConflicts(district, registry) {
+  const conflicts = [];
+  const stateTerm = normalizeDistrictTerm(district.state);
+  for (const term of getDistrictTerms(district)) {
+    for (const otherKey of registry.byTerm.get(term) || []) {
+      if (otherKey === district.key) continue;
+      const other = registry.byKey.get(otherKey);
+      if (term === otherKey || term === district.key || normalizeDistrictTerm(other.state) === stateTerm) {
+        conflicts.push({ term, key: otherKey, state: other.state });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// ============================================================================
+// GEOCODING - Cached district lookups (providers and failover live in geocoding.js)
+// ============================================================================
+
+// Geohash cell -> {district, provider, expiresAt}; Map order doubles as LRU order
+const geocodeMemoryCache = new Map();
+
+/**
+ * Geohash cell a point is cached under (GEOCODE_CONFIG.CACHE_PRECISION unless given)
+ */
+function getGeocodeCell(lat, lng, precision = GEOCODE_CONFIG.CACHE_PRECISION) {
+  return geofire.geohashForLocation([lat, lng], precision);
+}
+
+/**
+ * Remember a district in the instance's memory cache, evicting the oldest entry when full
+ */
+function rememberGeocode(cell, district, provider, expiresAt) {
+  geocodeMemoryCache.delete(cell);
+  geocodeMemoryCache.set(cell, { district, provider, expiresAt });
+  if (geocodeMemoryCache.size > GEOCODE_CONFIG.MEMORY_CACHE_MAX_ENTRIES) {
+    geocodeMemoryCache.delete(geocodeMemoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Cached district of a geohash cell: memory first, then geocode_cache in Firestore
+ * @returns {Promise<{district: string, provider: string}|null>} null on a miss or an expired entry
+ */
+async function readGeocodeCache(cell) {
+  const cached = geocodeMemoryCache.get(cell);
+  if (cached && cached.expiresAt > Date.now()) return { district: cached.district, provider: cached.provider };
+
+  const doc = await admin.firestore().collection('geocode_cache').doc(cell).get();
+  const data = doc.exists ? doc.data() : null;
+  if (!data?.district || !data.expires_at || data.expires_at.toMillis() <= Date.now()) return null;
+
+  rememberGeocode(cell, data.district, data.provider || null, data.expires_at.toMillis());
+  return { district: data.district, provider: data.provider || null };
+}
+
+/**
+ * Store a provider answer for a geohash cell in memory and in Firestore
+ */
+async function writeGeocodeCache(cell, district, provider) {
+  const expiresAt = Date.now() + GEOCODE_CONFIG.CACHE_TTL_MS;
+  rememberGeocode(cell, district, provider, expiresAt);
+
+  await admin.firestore().collection('geocode_cache').doc(cell).set({
+    district,
+    provider,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    expires_at: admin.firestore.Timestamp.fromMillis(expiresAt)
+  });
+}
+
+/**
+ * Resolve the district at a point: the geohash-cell cache (memory, then Firestore),
+ * then the GEOCODING_PROVIDERS in order (geocoding.js). Only answers of online
+ * providers are cached, so they are asked again once they recover; the bundled
+ * polygon provider reports source 'polygon'.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} [precision] - Geohash precision of the cache cell (GEOCODE_CONFIG.CACHE_PRECISION)
+ * @returns {Promise<{district: string, source: 'cache'|'provider'|'polygon', provider: string}|null>} null if unresolved
+ */
+async function reverseGeocodeDistrict(lat, lng, precision = GEOCODE_CONFIG.CACHE_PRECISION) {
+  const cell = getGeocodeCell(lat, lng, precision);
+
+  try {
+    const cached = await readGeocodeCache(cell);
+    if (cached) return { ...cached, source: 'cache' };
+  } catch (error) {
+    console.error('⚠️  Geocode cache read failed:', error.message);
+  }
+
+  const resolved = await geocoding.resolveDistrict(lat, lng);
+  if (!resolved) return null;
+
+  // Provider names map to registry keys through names/aliases ("Mangaluru" -> dakshina_kannada);
+  // districts outside the registry keep the provider's key
+  let district = resolved.district;
+  try {
+    const lookup = await findDistrict(resolved.district, resolved.state);
+    if (lookup.district) {
+      district = lookup.district.key;
+    } else {
+      console.warn(`⚠️  Geocoded district "${resolved.district}" (${resolved.state || 'unknown state'}) is ${lookup.error} in the registry`);
+    }
+  } catch (error) {
+    console.error('⚠️  District registry lookup failed:', error.message);
+  }
+
+  if (resolved.cacheable) {
+    try {
+      await writeGeocodeCache(cell, district, resolved.provider);
+    } catch (error) {
+      console.error('⚠️  Geocode cache write failed:', error.message);
+    }
+  }
+
+  return {
+    district,
+    source: resolved.cacheable ? 'provider' : 'polygon',
+    provider: resolved.provider
+  };
+}
+
+/**
+ * Check the district an SOS claims against the district at its coordinates
+ * (DISTRICT_CHECK_CONFIG). Resolution is bounded by RESOLVE_TIMEOUT_MS and fails
+ * open: if it errors or times out, the claimed district is used unchanged.
+ *
+ * @param {string|null} claimed - Registry key of userInfo.district (null if missing or not registered)
+ * @param {object|null} location - {latitude, longitude, ...}
+ * @returns {Promise<{district: string|null, districts: string[], check: object|null}>}
+ *   district the alert belongs to, districts whose topics receive it, and the
+ *   district_check record (null when no check was made)
+ */
+async function verifySOSDistrict(claimed, location) {
+  const unchecked = { district: claimed || null, districts: claimed ? [claimed] : [], check: null };
+  if (!DISTRICT_CHECK_CONFIG.ENABLED || !hasCoordinates(location)) return unchecked;
+
+  let resolved = null;
+  let timer;
+  try {
+    resolved = await Promise.race([
+      reverseGeocodeDistrict(location.latitude, location.longitude, GEOCODE_CONFIG.SOS_CHECK_PRECISION),
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), DISTRICT_CHECK_CONFIG.RESOLVE_TIMEOUT_MS); })
+    ]);
+  } catch (error) {
+    console.error('⚠️  District check failed, using claimed district:', error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const check = {
+    claimed: claimed || null,
+    resolved: resolved?.district || null,
+    source: resolved?.source || null,
+    provider: resolved?.provider || null,
+    mismatch: false,
+    action: 'none'
+  };
+
+  if (!resolved) {
+    console.warn(`⚠️  Could not resolve district for SOS location, using claimed "${claimed}"`);
+    return { ...unchecked, check };
+  }
+  if (!claimed) {
+    return { district: resolved.district, districts: [resolved.district], check: { ...check, action: 'resolved' } };
+  }
+  if (claimed === resolved.district) {
+    return { ...unchecked, check };
+  }
+
+  // The bundled polygons are simplified outlines - good enough to flag a mismatch,
+  // not to move an alert away from the district the user chose
+  const action = resolved.source === 'polygon' ? 'flag' : DISTRICT_CHECK_CONFIG.MISMATCH_ACTION;
+  console.warn(`⚠️  SOS district mismatch: claimed "${claimed}", location is in "${resolved.district}" (${action}, ${resolved.source})`);
+  check.mismatch = true;
+  check.action = action;
+
+  if (action === 'override') {
+    return { district: resolved.district, districts: [resolved.district], check };
+  }
+  if (action === 'broadcast_both') {
+    return { district: resolved.district, districts: [resolved.district, claimed], check };
+  }
+  return { ...unchecked, check };
+}
+
+/**
+ * Districts besides alert.district that the trigger was broadcast to (a
+ * 'broadcast_both' district check), so stop and location pushes reach them too
+ * @param {object} alert - sos_alerts doc
+ * @returns {string[]}
+ */
+function getAlertAlsoDistricts(alert) {
+  return alert?.district_check?.action === 'broadcast_both' && alert.district_check.claimed
+    ? [alert.district_check.claimed]
+    : [];
+}
+
+// ============================================================================
+// SOS DELIVERY - Radius targeting with district topic fallback
+// ============================================================================
+
+/**
+ * Check that a location object carries usable GPS coordinates
+ * @param {object} location - {latitude, longitude, ...}
+ * @returns {boolean}
+ */
+function hasCoordinates(location) {
+  const lat = location?.latitude;
+  const lng = location?.longitude;
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Normalize a requested SOS category
+ * @param {string|undefined|null} category - Missing means DEFAULT_SOS_CATEGORY
+ * @returns {string|null} Key of SOS_CATEGORIES, or null if unknown
+ */
+function parseSOSCategory(category) {
+  if (category === undefined || category === null || category === '') return DEFAULT_SOS_CATEGORY;
+  if (typeof category !== 'string') return null;
+  const key = category.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.hasOwn(SOS_CATEGORIES, key) ? key : null;
+}
+
+// Longest value kept for each userInfo field of /sos (longer values are truncated)
+const SOS_USER_INFO_MAX_LENGTHS = {
+  district: 100,
+  state: 100,
+  name: 100,
+  phone: 30,
+  mobile_number: 30,
+  message: 1000,
+  location: 200
+};
+
+/**
+ * userInfo of an SOS request with its fields coerced instead of rejected, so a
+ * malformed name or message never stops an alert: strings and numbers are trimmed
+ * and truncated (SOS_USER_INFO_MAX_LENGTHS), anything else is dropped. A userInfo
+ * that isn't an object counts as missing.
+ * @param {*} userInfo - req.body.userInfo
+ * @returns {object|null}
+ */
+function sanitizeSOSUserInfo(userInfo) {
+  if (!userInfo || typeof userInfo !== 'object' || Array.isArray(userInfo)) return null;
+
+  const sanitized = {};
+  for (const [field, maxLength] of Object.entries(SOS_USER_INFO_MAX_LENGTHS)) {
+    const value = userInfo[field];
+    if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) continue;
+    const text = String(value).trim().slice(0, maxLength);
+    if (text) sanitized[field] = text;
+  }
+  return sanitized;
+}
+
+/**
+ * Category settings of an alert (stored alerts from before categories use the default)
+ * @returns {object} Entry of SOS_CATEGORIES plus its `name`
+ */
+function getSOSCategory(category) {
+  const name = Object.hasOwn(SOS_CATEGORIES, category || '') ? category : DEFAULT_SOS_CATEGORY;
+  return { name, ...SOS_CATEGORIES[name] };
+}
+
+/**
+ * Find subscribers whose last-known location is within radiusKm, nearest first.
+ * Runs one geohash range query per bound (see geofire-common) and then drops the
+ * false positives at the corners of each geohash cell by exact distance.
+ *
+ * @param {object} location - Center {latitude, longitude}
+ * @param {number} radiusKm - Search radius in kilometres
+ * @param {string} excludeFid - FID to leave out (the sender's own device)
+ * @param {string} requiredField - Only return subscribers with this field set ('fcm_token' or 'number')
+ * @returns {Promise<{fid: string, fcm_token: string, number: string, language: string, skills: string[], district: string|null, distanceKm: number}[]>}
+ */
+async function findSubscribersNear(location, radiusKm, excludeFid = null, requiredField = 'fcm_token') {
+  const center = [location.latitude, location.longitude];
+  const bounds = geofire.geohashQueryBounds(center, radiusKm * 1000);
+
+  const snapshots = await Promise.all(bounds.map(([start, end]) =>
+    admin.firestore()
+      .collection('subscribed_users')
+      .orderBy('geohash')
+      .startAt(start)
+      .endAt(end)
+      .get()
+  ));
+
+  const subscribers = new Map();
+  for (const snapshot of snapshots) {
+    for (const doc of snapshot.docs) {
       const data = doc.data();
-      const senderId = doc.id;
-      const userInfo = data.userInfo || {};
-      
-      // Only include if we have user info
-      if (userInfo.name || userInfo.mobile_number) {
-        userMap.set(senderId, {
-          sender_id: senderId,
-          name: userInfo.name || 'Unknown',
-          mobile_number: userInfo.mobile_number || 'N/A',
-          state: data.state || 'Unknown',
-          district: data.district || 'Unknown',
-          blocked: false // Will be updated below
+      if (doc.id === excludeFid || !data[requiredField] || !hasCoordinates(data.location)) continue;
+
+      const distanceKm = geofire.distanceBetween(
+        [data.location.latitude, data.location.longitude],
+        center
+      );
+      if (distanceKm <= radiusKm) {
+        subscribers.set(doc.id, {
+          fid: doc.id,
+          fcm_token: data.fcm_token,
+          number: data.number,
+          language: messages.normalizeLanguage(data.language) || messages.DEFAULT_LANGUAGE,
+          skills: Array.isArray(data.skills) ? data.skills : [],
+          district: data.district || null,
+          distanceKm
+        });
+      }
+    }
+  }
+
+  return Array.from(subscribers.values()).sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Count subscribers registered for a district (used to report topic reach).
+ * Returns null if the count cannot be determined.
+ * @param {string} district - District key
+ * @returns {Promise<number|null>}
+ */
+async function countDistrictSubscribers(district) {
+  try {
+    const snapshot = await admin.firestore()
+      .collection('subscribed_users')
+      .where('district', '==', district)
+      .count()
+      .get();
+    return snapshot.data().count;
+  } catch (error) {
+    console.error('⚠️  Failed to count district subscribers:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Send an FCM payload to a list of device tokens in multicast batches
+ * @param {object} payload - FCM message without a target (notification/data/android/apns)
+ * @param {string[]} tokens - Device registration tokens
+ * @returns {Promise<{successCount: number, failureCount: number, messageId: string|null}>}
+ */
+async function sendToTokens(payload, tokens) {
+  let successCount = 0;
+  let failureCount = 0;
+  let messageId = null;
+
+  for (let i = 0; i < tokens.length; i += TARGETING_CONFIG.MULTICAST_BATCH_SIZE) {
+    const batch = tokens.slice(i, i + TARGETING_CONFIG.MULTICAST_BATCH_SIZE);
+    const response = await admin.messaging().sendEachForMulticast({ ...payload, tokens: batch });
+
+    successCount += response.successCount;
+    failureCount += response.failureCount;
+    messageId = messageId || response.responses.find(r => r.success)?.messageId || null;
+  }
+
+  return { successCount, failureCount, messageId };
+}
+
+/**
+ * FCM payload for an SOS alert, without a target or notification text
+ * (added per language by deliverSOSNotification / sendToDistrictTopics)
+ * @param {object} alert - {sender_id, district, location, timestamp, userInfo, category}
+ * @param {object} extraData - Additional string fields for the data payload
+ * @returns {object}
+ */
+function buildSOSAlertPayload({ sender_id, district, location, timestamp, userInfo, category }, extraData = {}) {
+  const categoryConfig = getSOSCategory(category);
+  return {
+    data: {
+      type: 'sos_alert',
+      sender_id: sender_id,
+      district: district,
+      category: categoryConfig.name,
+      location: JSON.stringify(location),
+      timestamp: timestamp,
+      userInfo: userInfo ? JSON.stringify(userInfo) : '{}',
+      ...extraData
+    },
+    android: {
+      priority: 'high',  // Critical: Forces immediate delivery bypassing Doze mode
+      notification: {
+        channelId: categoryConfig.channel_id,  // High-importance channel per category
+        icon: categoryConfig.icon,
+        color: categoryConfig.color,
+        sound: 'default',
+        priority: 'high',
+        defaultSound: true
+      }
+    },
+    apns: {
+      headers: {
+        'apns-priority': '10'  // High priority for iOS
+      },
+      payload: {
+        aps: {
+          contentAvailable: true, 
+          sound: 'default',
+          badge: 1
+        }
+      }
+    }
+  };
+}
+
+/**
+ * FCM topic for a district in one language. The default language keeps the
+ * original district-${district} topic so existing installs keep receiving alerts.
+ * @param {string} district - District key
+ * @param {string} language - Catalog language
+ * @returns {string}
+ */
+function getDistrictTopic(district, language = messages.DEFAULT_LANGUAGE) {
+  return language === messages.DEFAULT_LANGUAGE
+    ? `district-${district}`
+    : `district-${district}-${language}`;
+}
+
+/**
+ * Copy an FCM payload with the notification title/body (and APNs alert) filled in
+ * from the message catalog
+ * @param {object} payload - FCM message without notification text
+ * @param {object|null} text - {key, params} for messages.formatMessage; null leaves a
+ *   data-only payload as it is
+ * @param {string} language - Catalog language
+ * @returns {object}
+ */
+function localizePayload(payload, text, language) {
+  if (!text) return payload;
+
+  const { title, body } = messages.formatMessage(text.key, language, text.params);
+  const localized = { ...payload, notification: { title, body } };
+
+  if (payload.apns?.payload?.aps) {
+    localized.apns = {
+      ...payload.apns,
+      payload: {
+        ...payload.apns.payload,
+        aps: { ...payload.apns.payload.aps, alert: { title, body } }
+      }
+    };
+  }
+
+  return localized;
+}
+
+/**
+ * Send a payload to every language topic of a district, each in its own language.
+ * The default-language send must succeed; other languages, and the topics of the
+ * district's legacy keys (getLegacyTopicKeys), are best-effort.
+ * @param {object} payload - FCM message without a target or notification text
+ * @param {string} district - District key
+ * @param {object} text - {key, params} for messages.formatMessage
+ * @returns {Promise<{messageId: string, topics: string[], languages: string[]}>} messageId of the default-language send
+ */
+async function sendToDistrictTopics(payload, district, text) {
+  const defaultTopic = getDistrictTopic(district);
+  const messageId = await admin.messaging().send({
+    ...localizePayload(payload, text, messages.DEFAULT_LANGUAGE),
+    topic: defaultTopic
+  });
+
+  const topics = [defaultTopic];
+  const languages = [messages.DEFAULT_LANGUAGE];
+  for (const language of messages.SUPPORTED_LANGUAGES) {
+    if (language === messages.DEFAULT_LANGUAGE) continue;
+
+    const topic = getDistrictTopic(district, language);
+    try {
+      await admin.messaging().send({ ...localizePayload(payload, text, language), topic });
+      topics.push(topic);
+      languages.push(language);
+    } catch (error) {
+      console.error(`⚠️  Failed to send to ${topic}:`, error.message);
+    }
+  }
+
+  // Devices subscribed before the registry may still be on e.g. district-mangalore
+  // (until migrateLegacyDistrictKeys moves them). A condition names up to 5 topics and
+  // reaches a device on several of them once.
+  const legacyKeys = await getLegacyTopicKeys(district);
+  for (const language of messages.SUPPORTED_LANGUAGES) {
+    for (let i = 0; i < legacyKeys.length; i += 5) {
+      const legacyTopics = legacyKeys.slice(i, i + 5).map(key => getDistrictTopic(key, language));
+      try {
+        await admin.messaging().send({
+          ...localizePayload(payload, text, language),
+          condition: legacyTopics.map(topic => `'${topic}' in topics`).join(' || ')
         });
+        topics.push(...legacyTopics);
+      } catch (error) {
+        console.error(`⚠️  Failed to send to ${legacyTopics.join(', ')}:`, error.message);
+      }
+    }
+  }
+
+  return { messageId, topics, languages };
+}
+
+/**
+ * Keep a device on exactly one district topic: its district in its language.
+ * Subscribes the token to that topic and unsubscribes it from the district's other
+ * language topics, from every topic of the previous district when the user moved,
+ * and the previous token (if it was replaced) from the previous district's topics.
+ * Never throws - topic errors must not fail the subscription.
+ *
+ * @param {string} token - Current FCM token
+ * @param {object} target - {district, language, previous: {token, district} | null}
+ * @returns {Promise<string|null>} Topic the token is now on, or null if subscribing failed
+ */
+async function syncDistrictTopics(token, { district, language, previous = null }) {
+  const topic = getDistrictTopic(district, language);
+
+  // topic -> tokens to remove from it
+  const stale = new Map();
+  const addStale = (staleTopic, staleToken) => {
+    if (!stale.has(staleTopic)) stale.set(staleTopic, new Set());
+    stale.get(staleTopic).add(staleToken);
+  };
+
+  for (const other of messages.SUPPORTED_LANGUAGES) {
+    if (other !== language) addStale(getDistrictTopic(district, other), token);
+    if (previous?.district && previous.district !== district) {
+      addStale(getDistrictTopic(previous.district, other), token);
+    }
+    if (previous?.token && previous.token !== token) {
+      addStale(getDistrictTopic(previous.district || district, other), previous.token);
+    }
+  }
+
+  try {
+    const response = await admin.messaging().subscribeToTopic(token, topic);
+    if (response.failureCount > 0) {
+      console.error(`⚠️  Failed to subscribe token to ${topic}:`, response.errors[0]?.error?.message);
+      return null;
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to subscribe token to ${topic}:`, error.message);
+    return null;
+  }
+
+  // Unsubscribe failures (e.g. an already-dead previous token) are only logged
+  await Promise.all([...stale.entries()].map(async ([staleTopic, tokens]) => {
+    try {
+      await admin.messaging().unsubscribeFromTopic([...tokens], staleTopic);
+    } catch (error) {
+      console.error(`⚠️  Failed to unsubscribe from ${staleTopic}:`, error.message);
+    }
+  }));
+
+  console.log(`🌐 Token moved to ${topic}` + (previous?.district && previous.district !== district ? ` (from ${previous.district})` : ''));
+  return topic;
+}
+
+/**
+ * Deliver an SOS notification to every subscriber within TARGETING_CONFIG.RADIUS_KM
+ * of the sender, in each subscriber's language. Volunteers with one of `volunteers.skills`
+ * are also reached up to `volunteers.radiusKm`. Falls back to the district's language
+ * topics when radius targeting is disabled, the location has no coordinates, nobody is
+ * in range, or the lookup fails. `alsoDistricts` get the district fallback too (see
+ * verifySOSDistrict). With TARGETING_CONFIG.DISTRICT_TOPIC_WITH_RADIUS the district
+ * topics are published as well ('radius+district'), and only in-range devices of other
+ * districts get the radius copy.
+ *
+ * @param {object} payload - FCM message without a target or notification text (data/android/apns)
+ * @param {object} target - {district, alsoDistricts, location, excludeFid, text: {key, params}, volunteers: {skills, radiusKm}}
+ * @returns {Promise<object>} {targeting, messageId, topic, topics, radiusKm, targetedDevices, skilledDevices, deliveredDevices, languages}
+ */
+async function deliverSOSNotification(payload, { district, alsoDistricts = [], location = null, excludeFid = null, text, volunteers = null }) {
+  const withDistrictTopics = TARGETING_CONFIG.DISTRICT_TOPIC_WITH_RADIUS;
+  const districts = [district, ...alsoDistricts.filter(other => other !== district)];
+  let radius = null;
+
+  if (FEATURES.RADIUS_TARGETING && hasCoordinates(location)) {
+    try {
+      const skills = volunteers?.skills || [];
+      const skillRadiusKm = skills.length > 0 ? Math.max(volunteers.radiusKm || 0, TARGETING_CONFIG.RADIUS_KM) : TARGETING_CONFIG.RADIUS_KM;
+      const subscribers = (await findSubscribersNear(location, skillRadiusKm, excludeFid))
+        .filter(subscriber => subscriber.distanceKm <= TARGETING_CONFIG.RADIUS_KM ||
+          subscriber.skills.some(skill => skills.includes(skill)));
+      const skilledDevices = new Set(subscribers
+        .filter(subscriber => subscriber.distanceKm > TARGETING_CONFIG.RADIUS_KM)
+        .map(subscriber => subscriber.fcm_token)).size;
+
+      // language -> unique tokens (devices on the district topics get the topic copy)
+      const tokensByLanguage = new Map();
+      for (const subscriber of subscribers) {
+        if (withDistrictTopics && districts.includes(subscriber.district)) continue;
+        if (!tokensByLanguage.has(subscriber.language)) tokensByLanguage.set(subscriber.language, new Set());
+        tokensByLanguage.get(subscriber.language).add(subscriber.fcm_token);
+      }
+      const targetedDevices = [...tokensByLanguage.values()].reduce((sum, tokens) => sum + tokens.size, 0);
+
+      if (targetedDevices > 0 || withDistrictTopics || !TARGETING_CONFIG.DISTRICT_TOPIC_FALLBACK) {
+        let deliveredDevices = 0;
+        let messageId = null;
+        for (const [language, tokens] of tokensByLanguage.entries()) {
+          const result = await sendToTokens(localizePayload(payload, text, language), [...tokens]);
+          deliveredDevices += result.successCount;
+          messageId = messageId || result.messageId;
+        }
+
+        console.log(`📍 Radius delivery: ${deliveredDevices}/${targetedDevices} devices within ${TARGETING_CONFIG.RADIUS_KM} km` +
+          (skilledDevices > 0 ? ` (${skilledDevices} skilled volunteers up to ${skillRadiusKm} km)` : '') +
+          (withDistrictTopics ? ` outside ${districts.join(', ')}` : ''));
+        radius = {
+          messageId,
+          radiusKm: TARGETING_CONFIG.RADIUS_KM,
+          targetedDevices,
+          skilledDevices,
+          deliveredDevices,
+          languages: [...tokensByLanguage.keys()]
+        };
+        if (!withDistrictTopics) {
+          return { targeting: 'radius', topic: null, topics: [], ...radius };
+        }
+      } else {
+        console.log(`📍 No subscribers within ${TARGETING_CONFIG.RADIUS_KM} km, falling back to district topic`);
       }
+    } catch (error) {
+      console.error('⚠️  Radius targeting failed, falling back to district topic:', error.message);
+    }
+  }
+
+  const { messageId, topics, languages } = await sendToDistrictTopics(payload, district, text);
+  let targetedDevices = await countDistrictSubscribers(district);
+
+  for (const other of districts.slice(1)) {
+    try {
+      const extra = await sendToDistrictTopics(payload, other, text);
+      topics.push(...extra.topics);
+      // One unknown count makes the total unknown (null) rather than an undercount
+      const count = await countDistrictSubscribers(other);
+      targetedDevices = targetedDevices === null || count === null ? null : targetedDevices + count;
+    } catch (error) {
+      console.error(`⚠️  Failed to send to district ${other}:`, error.message);
+    }
+  }
+
+  if (radius) {
+    return {
+      targeting: 'radius+district',
+      messageId: messageId || radius.messageId,
+      topic: topics[0],
+      topics,
+      radiusKm: radius.radiusKm,
+      targetedDevices: targetedDevices === null ? null : targetedDevices + radius.targetedDevices,
+      skilledDevices: radius.skilledDevices,
+      deliveredDevices: null,
+      languages: [...new Set([...languages, ...radius.languages])]
+    };
+  }
+
+  return {
+    targeting: 'district',
+    messageId,
+    topic: topics[0],
+    topics,
+    radiusKm: null,
+    targetedDevices,
+    skilledDevices: 0,
+    deliveredDevices: null,
+    languages
+  };
+}
+
+// ============================================================================
+// FCM TOKENS - Dry-run validation, pruning and per-district subscriber counts
+// ============================================================================
+
+/**
+ * Check every subscriber's FCM token with dry-run sends, remove tokens FCM reports
+ * as unregistered/invalid, and write per-district counts to
+ * subscriber_counts/{date}_{district} (IST date; a re-run overwrites the day).
+ * Transient errors keep the token (counted as `unverified_tokens`), as does a token
+ * the device replaced while it was being checked.
+ * @returns {Promise<object>} Summary {date, checked, valid, pruned, unverified, districts}
+ */
+async function validateFcmTokens() {
+  const db = admin.firestore();
+  const date = toISTDateKey(new Date());
+  const districts = new Map();
+  const districtCounts = (district) => {
+    if (!districts.has(district)) {
+      districts.set(district, { subscribers: 0, valid_tokens: 0, pruned_tokens: 0, unverified_tokens: 0 });
+    }
+    return districts.get(district);
+  };
+
+  let pending = [];
+  const checkPending = async () => {
+    const response = await admin.messaging().sendEach(
+      pending.map(({ token }) => ({ token, data: { type: 'token_check' } })),
+      true // dryRun - validates the token without delivering anything
+    );
+
+    const dead = [];
+    response.responses.forEach((result, i) => {
+      const { district } = pending[i];
+      if (result.success) {
+        districtCounts(district).valid_tokens++;
+      } else if (TOKEN_CONFIG.PRUNE_ERROR_CODES.includes(result.error?.code)) {
+        dead.push(pending[i]);
+      } else {
+        districtCounts(district).unverified_tokens++;
+      }
+    });
+
+    // Only delete the token that was checked - /subscribe-user may have stored a new one since
+    await Promise.all(dead.map(async ({ ref, token, district }) => {
+      const pruned = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().fcm_token !== token) return false;
+        transaction.update(ref, {
+          fcm_token: admin.firestore.FieldValue.delete(),
+          fcm_topic: admin.firestore.FieldValue.delete(),
+          fcm_token_pruned_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+      });
+      districtCounts(district)[pruned ? 'pruned_tokens' : 'unverified_tokens']++;
+    }));
+    pending = [];
+  };
+
+  const query = db.collection('subscribed_users').orderBy(admin.firestore.FieldPath.documentId());
+  for await (const doc of iterateQuery(query)) {
+    const data = doc.data();
+    const district = data.district || 'unknown';
+    districtCounts(district).subscribers++;
+    if (!data.fcm_token) continue;
+
+    pending.push({ ref: doc.ref, token: data.fcm_token, district });
+    if (pending.length >= TOKEN_CONFIG.VALIDATION_BATCH_SIZE) await checkPending();
+  }
+  if (pending.length > 0) await checkPending();
+
+  const batch = db.batch();
+  for (const [district, counts] of districts.entries()) {
+    batch.set(db.collection('subscriber_counts').doc(`${date}_${district}`), {
+      date,
+      district,
+      ...counts,
+      computed_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  await batch.commit();
+
+  const totals = [...districts.values()].reduce((sum, counts) => ({
+    checked: sum.checked + counts.valid_tokens + counts.pruned_tokens + counts.unverified_tokens,
+    valid: sum.valid + counts.valid_tokens,
+    pruned: sum.pruned + counts.pruned_tokens,
+    unverified: sum.unverified + counts.unverified_tokens
+  }), { checked: 0, valid: 0, pruned: 0, unverified: 0 });
+
+  return { date, ...totals, districts: Object.fromEntries(districts) };
+}
+
+// ============================================================================
+// SMS FALLBACK - Texts subscribers of opted-in districts when an alert is triggered
+// ============================================================================
+
+/**
+ * Normalize a stored phone number to E.164 ("98765 43210" -> "+919876543210")
+ * @param {string} number
+ * @returns {string|null} null if it doesn't look like a phone number
+ */
+function normalizePhoneNumber(number) {
+  if (typeof number !== 'string' && typeof number !== 'number') return null;
+  const compact = String(number).replace(/[\s()-]/g, '');
+
+  if (/^\+\d{8,15}$/.test(compact)) return compact;
+  if (/^\d{10}$/.test(compact)) return SMS_CONFIG.DEFAULT_COUNTRY_CODE + compact;
+  if (/^0\d{10}$/.test(compact)) return SMS_CONFIG.DEFAULT_COUNTRY_CODE + compact.slice(1);
+  return null;
+}
+
+/**
+ * Districts that opted in to SMS alerts (SMS_ENABLED_DISTRICTS)
+ * @returns {string[]}
+ */
+function getSmsEnabledDistricts() {
+  return (smsEnabledDistricts.value() || '')
+    .split(',')
+    .map(district => district.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether an alert in this district is texted as well as pushed
+ */
+function isSmsEnabledDistrict(district) {
+  return FEATURES.SMS_FALLBACK && getSmsEnabledDistricts().includes(district);
+}
+
+/**
+ * Google Maps link for a location, or null without coordinates
+ */
+function getMapLink(location) {
+  return hasCoordinates(location)
+    ? `https://maps.google.com/?q=${location.latitude},${location.longitude}`
+    : null;
+}
+
+/**
+ * Subscribers to text for an alert: the radius subset when the push used radius
+ * targeting, otherwise every subscriber of the district. Numbers are normalized and
+ * de-duplicated; the sender is excluded.
+ * @returns {Promise<{fid: string, to: string, language: string}[]>}
+ */
+async function findSmsRecipients({ district, location, targeting, excludeFid }) {
+  let subscribers;
+  if (targeting !== 'district' && hasCoordinates(location)) {
+    subscribers = await findSubscribersNear(location, TARGETING_CONFIG.RADIUS_KM, excludeFid, 'number');
+  } else {
+    const snapshot = await admin.firestore()
+      .collection('subscribed_users')
+      .where('district', '==', district)
+      .get();
+    subscribers = snapshot.docs
+      .filter(doc => doc.id !== excludeFid && doc.data().number)
+      .map(doc => ({ fid: doc.id, ...doc.data() }));
+  }
+
+  const recipients = new Map();
+  for (const subscriber of subscribers) {
+    const to = normalizePhoneNumber(subscriber.number);
+    if (!to || recipients.has(to)) continue;
+    recipients.set(to, {
+      fid: subscriber.fid,
+      to,
+      language: messages.normalizeLanguage(subscriber.language) || messages.DEFAULT_LANGUAGE
+    });
+  }
+  return Array.from(recipients.values());
+}
+
+/**
+ * Reserve budget for up to `count` messages against today's (IST) SMS_CONFIG.DAILY_COST_CAP.
+ * @returns {Promise<number>} Number of messages that may be sent
+ */
+async function reserveSmsBudget(count) {
+  const db = admin.firestore();
+  const date = toISTDateKey(new Date());
+  const ref = db.collection('sms_usage').doc(date);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const spent = doc.exists ? (doc.data().cost || 0) : 0;
+    const affordable = Math.max(Math.floor((SMS_CONFIG.DAILY_COST_CAP - spent) / SMS_CONFIG.COST_PER_MESSAGE + 1e-9), 0);
+    const reserved = Math.min(count, affordable);
+
+    if (reserved > 0) {
+      transaction.set(ref, {
+        date,
+        cost: admin.firestore.FieldValue.increment(reserved * SMS_CONFIG.COST_PER_MESSAGE),
+        messages: admin.firestore.FieldValue.increment(reserved),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+    return reserved;
+  });
+}
+
+/**
+ * Give back reserved budget for messages that were not delivered to the provider
+ */
+async function releaseSmsBudget(count) {
+  if (count <= 0) return;
+  await admin.firestore()
+    .collection('sms_usage')
+    .doc(toISTDateKey(new Date()))
+    .set({
+      cost: admin.firestore.FieldValue.increment(-count * SMS_CONFIG.COST_PER_MESSAGE),
+      messages: admin.firestore.FieldValue.increment(-count),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+}
+
+/**
+ * Text an SOS alert to subscribers of an opted-in district (or the radius subset),
+ * within the daily cost cap. Records a summary on the alert (sms_delivery) and one
+ * doc per attempt in sos_alerts/{sender_id}/sms_attempts. Never throws.
+ *
+ * @param {string} sender_id - Firebase Installation ID
+ * @param {object} target - {district, location, targeting, params: {name, location}}
+ * @returns {Promise<object|null>} Summary, or null when the district has not opted in
+ */
+async function sendSOSSms(sender_id, { district, location, targeting, params }) {
+  if (!isSmsEnabledDistrict(district)) {
+    return null;
+  }
+
+  const summary = {
+    status: 'sent',
+    provider: null,
+    targeting,
+    recipients: 0,
+    sent: 0,
+    failed: 0,
+    skipped: 0,
+    estimated_cost: 0,
+    reason: null,
+    at: admin.firestore.FieldValue.serverTimestamp()
+  };
+  const attempts = [];
+
+  try {
+    const provider = sms.getSmsProvider();
+    summary.provider = provider.name;
+
+    const recipients = await findSmsRecipients({ district, location, targeting, excludeFid: sender_id });
+    const capped = recipients.slice(0, SMS_CONFIG.MAX_RECIPIENTS_PER_ALERT);
+    const reserved = capped.length > 0 ? await reserveSmsBudget(capped.length) : 0;
+    const toSend = capped.slice(0, reserved);
+
+    summary.recipients = recipients.length;
+    summary.skipped = recipients.length - toSend.length;
+    if (recipients.length === 0) {
+      summary.status = 'skipped';
+      summary.reason = 'no_recipients';
+    } else if (reserved < capped.length) {
+      summary.reason = 'cost_cap';
+    } else if (capped.length < recipients.length) {
+      summary.reason = 'recipient_cap';
+    }
+
+    const mapLink = getMapLink(location) || '';
+
+    for (let i = 0; i < toSend.length; i += SMS_CONFIG.SEND_CONCURRENCY) {
+      const chunk = toSend.slice(i, i + SMS_CONFIG.SEND_CONCURRENCY);
+      const results = await Promise.allSettled(chunk.map(recipient => {
+        const { body } = messages.formatMessage('sms_alert', recipient.language, { ...params, map: mapLink });
+        return provider.send(recipient.to, body.trim());
+      }));
+
+      results.forEach((result, index) => {
+        const recipient = chunk[index];
+        const ok = result.status === 'fulfilled';
+        attempts.push({
+          fid: recipient.fid,
+          to: maskPhone(recipient.to),
+          language: recipient.language,
+          status: ok ? 'sent' : 'failed',
+          provider_message_id: ok ? result.value.id : null,
+          error: ok ? null : result.reason.message
+        });
+        if (ok) summary.sent++; else summary.failed++;
+      });
+    }
+
+    await releaseSmsBudget(summary.failed);
+    summary.estimated_cost = summary.sent * SMS_CONFIG.COST_PER_MESSAGE;
+    if (toSend.length > 0 && summary.sent === 0) summary.status = 'failed';
+    else if (toSend.length === 0 && recipients.length > 0) summary.status = 'skipped';
+
+    console.log(`📱 SMS fallback for ${sender_id}: ${summary.sent}/${recipients.length} sent (${summary.reason || 'ok'})`);
+  } catch (error) {
+    console.error('⚠️  SMS fallback failed:', error);
+    summary.status = 'failed';
+    summary.reason = error.message;
+  }
+
+  await recordSmsDelivery(sender_id, summary, attempts);
+  return summary;
+}
+
+/**
+ * Store an SMS delivery summary on the alert and its attempts in the sms_attempts subcollection
+ */
+async function recordSmsDelivery(sender_id, summary, attempts) {
+  if (!FEATURES.ENABLE_SOS_ALERT_SNAPSHOT) return;
+
+  try {
+    const db = admin.firestore();
+    const alertRef = db.collection('sos_alerts').doc(sender_id);
+    const alertDoc = await alertRef.get();
+    const batch = db.batch();
+
+    batch.set(alertRef, { sms_delivery: summary }, { merge: true });
+    for (const attempt of attempts) {
+      batch.set(alertRef.collection('sms_attempts').doc(), {
+        ...attempt,
+        alert_triggered_at: alertDoc.data()?.timestamp || null,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    await batch.commit();
+  } catch (error) {
+    console.error('⚠️  Failed to record SMS delivery:', error);
+  }
+}
+
+// ============================================================================
+// EMERGENCY CONTACTS - Personal contacts notified on every SOS trigger/stop
+// ============================================================================
+
+/**
+ * Emergency contacts subcollection of a user
+ * @param {string} fid - Firebase Installation ID of the user
+ */
+function emergencyContactsRef(fid) {
+  return admin.firestore()
+    .collection('subscribed_users')
+    .doc(fid)
+    .collection('emergency_contacts');
+}
+
+/**
+ * Validate and normalize an emergency contact from a request body
+ * @param {object} body - {name, phone, email, contact_fid, language}
+ * @param {string} ownerFid - FID of the user who owns the list
+ * @returns {{contact?: object, error?: string}}
+ */
+function parseEmergencyContact(body, ownerFid) {
+  const { name, phone, email, contact_fid, language } = body || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    return { error: 'name is required (max 100 characters)' };
+  }
+  if (!phone && !email && !contact_fid) {
+    return { error: 'At least one of phone, email or contact_fid is required' };
+  }
+
+  const contact = { name: name.trim(), phone: null, email: null, contact_fid: null, contact_fid_status: null, language: null };
+
+  if (phone) {
+    contact.phone = normalizePhoneNumber(phone);
+    if (!contact.phone) return { error: 'phone must be a valid phone number' };
+  }
+  if (email) {
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      return { error: 'email must be a valid email address' };
+    }
+    contact.email = email.trim().toLowerCase();
+  }
+  if (contact_fid) {
+    if (typeof contact_fid !== 'string' || contact_fid === ownerFid) {
+      return { error: 'contact_fid must be the FID of another app user' };
+    }
+    contact.contact_fid = contact_fid;
+    contact.contact_fid_status = 'pending';  // Until they accept (see sendContactRequest)
+  }
+  if (language !== undefined && language !== null) {
+    contact.language = messages.normalizeLanguage(language);
+    if (!contact.language) {
+      return { error: `language must be one of: ${messages.SUPPORTED_LANGUAGES.join(', ')}` };
+    }
+  }
+
+  return { contact };
+}
+
+/**
+ * List a user's emergency contacts
+ * @returns {Promise<object[]>}
+ */
+async function listEmergencyContacts(fid) {
+  const snapshot = await emergencyContactsRef(fid).orderBy('created_at', 'asc').get();
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      name: data.name,
+      phone: data.phone,
+      email: data.email,
+      contact_fid: data.contact_fid,
+      contact_fid_status: data.contact_fid_status || (data.contact_fid ? 'pending' : null),
+      language: data.language,
+      created_at: data.created_at?.toDate().toISOString(),
+      updated_at: data.updated_at?.toDate().toISOString()
+    };
+  });
+}
+
+/**
+ * Ask another app user (contact.contact_fid) to accept being an emergency contact:
+ * a data-only push {type: 'contact_request', owner_fid, contact_id, owner_name} the app
+ * answers with POST /emergency-contacts/:contact_id/accept. Never throws.
+ * @returns {Promise<string>} 'sent', 'failed' or 'skipped' (the contact has no token)
+ */
+async function sendContactRequest(ownerFid, contactId, contactFid) {
+  try {
+    const db = admin.firestore();
+    const [ownerDoc, contactDoc] = await Promise.all([
+      db.collection('subscribed_users').doc(ownerFid).get(),
+      db.collection('subscribed_users').doc(contactFid).get()
+    ]);
+    const token = contactDoc.data()?.fcm_token;
+    if (!token) return 'skipped';
+
+    await admin.messaging().send({
+      token,
+      data: {
+        type: 'contact_request',
+        owner_fid: ownerFid,
+        contact_id: contactId,
+        owner_name: ownerDoc.data()?.name || ''
+      },
+      android: { priority: 'high' },
+      apns: {
+        headers: { 'apns-priority': '5', 'apns-push-type': 'background' },
+        payload: { aps: { contentAvailable: true } }
+      }
+    });
+    return 'sent';
+  } catch (error) {
+    console.error(`⚠️  Contact request to ${contactFid} failed:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Notify one emergency contact on every channel it has (push, email, SMS).
+ * @returns {Promise<{push: string, email: string, sms: string}>} Per-channel status:
+ *   'sent', 'failed', 'skipped' (channel not available) or 'none' (contact has no such channel)
+ */
+async function notifyEmergencyContact(contact, event) {
+  const resolved = event.resolved;
+  const params = { name: event.senderName, location: event.place, map: event.mapLink || '' };
+  const result = { push: 'none', email: 'none', sms: 'none' };
+
+  let language = contact.language;
+  const tasks = [];
+
+  // Another app user only gets alert pushes once they accepted (POST /emergency-contacts/:id/accept)
+  if (contact.contact_fid && contact.contact_fid_status !== 'accepted') {
+    result.push = 'skipped';
+  } else if (contact.contact_fid) {
+    tasks.push((async () => {
+      try {
+        const userDoc = await admin.firestore().collection('subscribed_users').doc(contact.contact_fid).get();
+        const token = userDoc.data()?.fcm_token;
+        if (!token) {
+          result.push = 'skipped';
+          return;
+        }
+        language = language || messages.normalizeLanguage(userDoc.data().language);
+
+        const { title, body } = messages.formatMessage(resolved ? 'contact_sos_resolved' : 'contact_sos_alert', language, params);
+        await admin.messaging().send({
+          token,
+          notification: { title, body },
+          data: {
+            type: resolved ? 'contact_sos_resolved' : 'contact_sos_alert',
+            sender_id: event.sender_id,
+            location: event.location ? JSON.stringify(event.location) : '',
+            timestamp: Date.now().toString()
+          },
+          android: {
+            priority: 'high',
+            notification: {
+              channelId: 'sos_alerts',
+              icon: 'ic_notification',
+              color: resolved ? '#00FF00' : '#FF0000',
+              sound: 'default',
+              priority: 'high'
+            }
+          },
+          apns: {
+            headers: { 'apns-priority': '10' },
+            payload: { aps: { alert: { title, body }, sound: 'default' } }
+          }
+        });
+        result.push = 'sent';
+      } catch (error) {
+        console.error(`⚠️  Contact push failed (${contact.id}):`, error.message);
+        result.push = 'failed';
+      }
+    })());
+  }
+
+  if (contact.email) {
+    tasks.push((async () => {
+      try {
+        await mailer.sendMail('sos_contact', {
+          contactName: contact.name,
+          senderName: event.senderName,
+          senderPhone: event.senderPhone,
+          resolved,
+          place: event.place,
+          mapLink: event.mapLink,
+          time: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) + ' IST'
+        }, { to: contact.email });
+        result.email = 'sent';
+      } catch (error) {
+        console.error(`⚠️  Contact email failed (${contact.id}):`, error.message);
+        result.email = 'failed';
+      }
+    })());
+  }
+
+  await Promise.all(tasks);
+
+  if (contact.phone) {
+    if (!FEATURES.SMS_FALLBACK || !CONTACTS_CONFIG.SMS_ENABLED || (await reserveSmsBudget(1)) === 0) {
+      result.sms = 'skipped';
+    } else {
+      try {
+        const { body } = messages.formatMessage(resolved ? 'sms_contact_resolved' : 'sms_contact_alert', language, params);
+        await sms.getSmsProvider().send(contact.phone, body.trim());
+        result.sms = 'sent';
+      } catch (error) {
+        console.error(`⚠️  Contact SMS failed (${contact.id}):`, error.message);
+        await releaseSmsBudget(1);
+        result.sms = 'failed';
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Notify all of a sender's emergency contacts that their SOS was triggered or stopped,
+ * and record a summary on the alert (contact_notifications). Never throws.
+ *
+ * @param {string} sender_id - Firebase Installation ID
+ * @param {object} event - {resolved, location, userInfo, place}
+ * @returns {Promise<object|null>} Summary, or null when the sender has no contacts
+ */
+async function notifyEmergencyContacts(sender_id, { resolved, location, userInfo, place }) {
+  try {
+    const snapshot = await emergencyContactsRef(sender_id).get();
+    if (snapshot.empty) return null;
+
+    const event = {
+      sender_id,
+      resolved,
+      location: hasCoordinates(location) ? location : null,
+      mapLink: getMapLink(location),
+      senderName: userInfo?.name || 'Someone',
+      senderPhone: userInfo?.phone || userInfo?.mobile_number || null,
+      place
+    };
+
+    const results = await Promise.all(snapshot.docs.map(doc =>
+      notifyEmergencyContact({ id: doc.id, ...doc.data() }, event)
+    ));
+
+    const summary = { event: resolved ? 'stopped' : 'triggered', contacts: results.length };
+    for (const channel of ['push', 'email', 'sms']) {
+      summary[channel] = {
+        sent: results.filter(r => r[channel] === 'sent').length,
+        failed: results.filter(r => r[channel] === 'failed').length,
+        skipped: results.filter(r => r[channel] === 'skipped').length
+      };
+    }
+
+    if (FEATURES.ENABLE_SOS_ALERT_SNAPSHOT) {
+      await admin.firestore()
+        .collection('sos_alerts')
+        .doc(sender_id)
+        .set({
+          contact_notifications: { ...summary, at: admin.firestore.FieldValue.serverTimestamp() }
+        }, { merge: true });
+    }
+
+    console.log(`👪 Notified ${results.length} emergency contact(s) of ${sender_id} (${summary.event})`);
+    return summary;
+  } catch (error) {
+    console.error('⚠️  Failed to notify emergency contacts:', error);
+    return null;
+  }
+}
+
+// ============================================================================
+// ESCALATION - Re-broadcast / notify admins / call webhooks for unacknowledged alerts
+// ============================================================================
+
+/**
+ * Escalation settings for a district: its escalation_policies doc, else
+ * ESCALATION_CONFIG.DISTRICTS (DEFAULT_STEPS unless the policy overrides them)
+ * @returns {Promise<{steps: object[], neighbours: string[], source: 'firestore'|'config'|'default'}>}
+ */
+async function getEscalationPolicy(district) {
+  const doc = district
+    ? await admin.firestore().collection('escalation_policies').doc(district).get()
+    : null;
+  const districtConfig = doc?.exists ? doc.data() : ESCALATION_CONFIG.DISTRICTS[district];
+
+  return {
+    steps: districtConfig?.steps || ESCALATION_CONFIG.DEFAULT_STEPS,
+    neighbours: districtConfig?.neighbours || [],
+    source: doc?.exists ? 'firestore' : (districtConfig ? 'config' : 'default')
+  };
+}
+
+/**
+ * Check escalation steps from a request body: {after_minutes, unless, action}
+ * each, ordered by after_minutes
+ * @returns {string|null} Reason they are invalid, or null
+ */
+function validateEscalationSteps(steps) {
+  for (const [index, step] of steps.entries()) {
+    if (!Number.isInteger(step.after_minutes) || step.after_minutes < 0 || step.after_minutes > 24 * 60) {
+      return `item ${index}: after_minutes must be an integer from 0 to 1440`;
+    }
+    if (!['seen', 'responded'].includes(step.unless)) {
+      return `item ${index}: unless must be one of: seen, responded`;
+    }
+    if (!ESCALATION_CONFIG.ACTIONS.includes(step.action)) {
+      return `item ${index}: action must be one of: ${ESCALATION_CONFIG.ACTIONS.join(', ')}`;
+    }
+    if (index > 0 && step.after_minutes < steps[index - 1].after_minutes) {
+      return 'must be ordered by after_minutes';
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an alert has been acknowledged enough to skip a step
+ * @param {object} alert - sos_alerts doc data
+ * @param {string} unless - 'seen' or 'responded'
+ */
+function isAlertAcknowledged(alert, unless) {
+  // Both only count authenticated acknowledgements: /sos/respond requires the responder's
+  // ID token, and /sos/mark-seen adds to verified_seen_by only when it has one
+  const responded = Object.keys(alert.responders || {}).length > 0;
+  if (unless === 'responded') return responded;
+  return responded || Object.keys(alert.verified_seen_by || {}).length > 0;
+}
+
+/**
+ * Active admins assigned to a district, or the super admins when it has none
+ * @returns {Promise<string[]>} Admin emails
+ */
+async function getDistrictAdminEmails(district) {
+  const snapshot = await admin.firestore()
+    .collection('admins')
+    .where('assignedDistricts', 'array-contains', district)
+    .get();
+
+  const emails = snapshot.docs
+    .filter(doc => doc.data().active === true)
+    .map(doc => doc.id);
+
+  return emails.length > 0 ? emails : getSuperAdminEmails();
+}
+
+/**
+ * Run one escalation action for an alert
+ * @param {string} action - See ESCALATION_CONFIG
+ * @param {object} alert - sos_alerts doc data plus sender_id
+ * @param {object} policy - From getEscalationPolicy
+ * @param {object} context - {step, minutesActive}
+ * @returns {Promise<{status: 'done'|'failed'|'skipped', detail: object}>}
+ */
+async function runEscalationAction(action, alert, policy, { step, minutesActive }) {
+  const place = alert.approx_loc || alert.district;
+
+  switch (action) {
+    case 'rebroadcast_neighbours': {
+      if (policy.neighbours.length === 0) return { status: 'skipped', detail: { reason: 'no_neighbours' } };
+
+      const payload = buildSOSAlertPayload({
+        sender_id: alert.sender_id,
+        district: alert.district,
+        location: alert.location || {},
+        timestamp: (alert.timestamp?.toMillis() || Date.now()).toString(),
+        userInfo: alert.userInfo,
+        category: alert.category
+      }, { escalation_level: String(step) });
+
+      const topics = [];
+      for (const neighbour of policy.neighbours) {
+        const result = await sendToDistrictTopics(payload, neighbour, {
+          key: getSOSCategory(alert.category).message_key,
+          params: { name: alert.userInfo?.name, location: place }
+        });
+        topics.push(...result.topics);
+      }
+      return { status: 'done', detail: { topics } };
+    }
+
+    case 'notify_admins': {
+      const emails = await getDistrictAdminEmails(alert.district);
+      if (emails.length === 0) return { status: 'skipped', detail: { reason: 'no_admins' } };
+
+      const results = await Promise.allSettled(emails.map(email => mailer.sendMail('sos_escalation', {
+        district: alert.district,
+        senderName: alert.userInfo?.name || 'Unknown',
+        senderPhone: alert.userInfo?.mobile_number && alert.userInfo.mobile_number !== 'N/A' ? alert.userInfo.mobile_number : null,
+        place,
+        mapLink: getMapLink(alert.location),
+        minutesActive,
+        step
+      }, { to: email })));
+
+      const sent = results.filter(r => r.status === 'fulfilled').length;
+      return { status: sent > 0 ? 'done' : 'failed', detail: { recipients: emails.length, sent } };
+    }
+
+    case 'webhook': {
+      // Signed and retried like every other event (see dispatchWebhookEvent)
+      const result = await dispatchWebhookEvent('sos.escalated', alert.district, {
+        ...buildWebhookAlertData(alert.sender_id, { ...alert, approx_loc: place }),
+        step,
+        minutes_active: minutesActive,
+        triggered_at: alert.timestamp?.toDate().toISOString() || null
+      });
+
+      if (!result) return { status: 'failed', detail: { reason: 'dispatch_failed' } };
+      if (result.subscriptions === 0) return { status: 'skipped', detail: { reason: 'no_subscriptions' } };
+      return {
+        status: result.queued > 0 ? 'done' : 'failed',
+        detail: { subscriptions: result.subscriptions, queued: result.queued, delivered: await result.delivered }
+      };
+    }
+
+    default:
+      return { status: 'skipped', detail: { reason: `unknown action ${action}` } };
+  }
+}
+
+/**
+ * Escalation record stored on the alert (escalation.steps) and in history
+ */
+function buildEscalationRecord(stepIndex, step, outcome, attempt) {
+  return {
+    step: stepIndex + 1,
+    action: step.action,
+    after_minutes: step.after_minutes,
+    status: outcome.status,
+    detail: outcome.detail,
+    attempt,
+    at: admin.firestore.Timestamp.now()
+  };
+}
+
+/**
+ * Claim the next escalation step of an alert (transaction, so overlapping runs
+ * never execute a step twice). An acknowledged step is recorded as skipped and the
+ * level advanced in the same transaction. Otherwise the step is leased to this run
+ * for CLAIM_TIMEOUT_MS; the level only advances once completeEscalationStep records
+ * the outcome.
+ * @returns {Promise<{skipped: object, district: string}|{alert: object, attempt: number}|null>} null if
+ *   the step is not due, already done or being run
+ */
+async function claimEscalationStep(sender_id, stepIndex, step) {
+  const db = admin.firestore();
+  const ref = db.collection('sos_alerts').doc(sender_id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    const escalation = data.escalation || {};
+    const triggeredAt = data.timestamp?.toMillis();
+    if (data.active !== true || !triggeredAt) return null;
+    if ((escalation.level || 0) !== stepIndex) return null;
+    if (Date.now() - triggeredAt < step.after_minutes * 60 * 1000) return null;
+    if (escalation.claimed_until && escalation.claimed_until.toMillis() > Date.now()) return null;
+
+    if (isAlertAcknowledged(data, step.unless)) {
+      const record = buildEscalationRecord(stepIndex, step, {
+        status: 'skipped',
+        detail: { reason: `acknowledged (${step.unless})` }
+      }, (escalation.attempts || 0) + 1);
+      transaction.update(ref, {
+        'escalation.level': stepIndex + 1,
+        'escalation.attempts': 0,
+        'escalation.steps': admin.firestore.FieldValue.arrayUnion(record)
+      });
+      return { skipped: record, district: data.district };
+    }
+
+    transaction.update(ref, {
+      'escalation.claimed_until': admin.firestore.Timestamp.fromMillis(Date.now() + ESCALATION_CONFIG.CLAIM_TIMEOUT_MS)
+    });
+    return { alert: { sender_id, ...data }, attempt: (escalation.attempts || 0) + 1 };
+  });
+}
+
+/**
+ * Record the outcome of a claimed step and release the claim. The level advances
+ * unless the action failed and has attempts left (it is retried on a later run).
+ * @returns {Promise<boolean>} Whether the level advanced
+ */
+async function completeEscalationStep(ref, record) {
+  const retry = record.status === 'failed' && record.attempt < ESCALATION_CONFIG.MAX_ATTEMPTS;
+  const update = {
+    'escalation.claimed_until': admin.firestore.FieldValue.delete(),
+    'escalation.steps': admin.firestore.FieldValue.arrayUnion(record)
+  };
+  if (retry) {
+    update['escalation.attempts'] = record.attempt;
+  } else {
+    update['escalation.level'] = record.step;
+    update['escalation.attempts'] = 0;
+  }
+
+  await ref.update(update);
+  return !retry;
+}
+
+/**
+ * Run due escalation steps for every active alert
+ * @returns {Promise<object>} Summary {checked, escalated}
+ */
+async function escalateAlerts() {
+  const snapshot = await admin.firestore()
+    .collection('sos_alerts')
+    .where('active', '==', true)
+    .get();
+
+  const escalated = [];
+  const policies = new Map(); // district -> policy, read once per run
+  for (const doc of snapshot.docs) {
+    const district = doc.data().district;
+    if (!policies.has(district)) policies.set(district, await getEscalationPolicy(district));
+    const policy = policies.get(district);
+
+    for (let stepIndex = doc.data().escalation?.level || 0; stepIndex < policy.steps.length; stepIndex++) {
+      const step = policy.steps[stepIndex];
+      const claim = await claimEscalationStep(doc.id, stepIndex, step);
+      if (!claim) break; // Steps run in order - a later step can't be due before this one
+
+      let record = claim.skipped;
+      let advanced = true;
+      if (!record) {
+        const minutesActive = Math.floor((Date.now() - claim.alert.timestamp.toMillis()) / 60000);
+        let outcome;
+        try {
+          outcome = await runEscalationAction(step.action, claim.alert, policy, { step: stepIndex + 1, minutesActive });
+        } catch (error) {
+          console.error(`⚠️  Escalation ${step.action} failed for ${doc.id}:`, error.message);
+          outcome = { status: 'failed', detail: { error: error.message } };
+        }
+
+        record = buildEscalationRecord(stepIndex, step, outcome, claim.attempt);
+        advanced = await completeEscalationStep(doc.ref, record);
+      }
+
+      await admin.firestore()
+        .collection('sos_alert_history')
+        .add({
+          sender_id: doc.id,
+          event: 'escalated',
+          district: (claim.alert || claim).district || null,
+          escalation: record,
+          timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+      console.log(`📣 Escalated ${doc.id} (step ${record.step}: ${record.action} → ${record.status}${advanced ? '' : ', will retry'})`);
+      escalated.push({ sender_id: doc.id, step: record.step, action: record.action, status: record.status });
+      if (!advanced) break;
+    }
+  }
+
+  return { checked: snapshot.size, escalated: escalated.length, steps: escalated };
+}
+
+// ============================================================================
+// WEBHOOKS - Signed SOS lifecycle events for partner systems
+// ============================================================================
+
+/**
+ * Webhook URLs must use https; plain http is only accepted for a local receiver
+ */
+function isValidWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > 2048) return false;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'https:') return true;
+    return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate webhook subscription fields from a request body
+ * @param {object} body - {url, districts, events, description, active}
+ * @param {boolean} partial - Update: only validate the fields that are present
+ * @returns {{subscription?: object, error?: string}}
+ */
+function parseWebhookSubscription(body, partial = false) {
+  const { url, districts, events, description, active } = body || {};
+  const subscription = {};
+
+  if (url !== undefined || !partial) {
+    if (!isValidWebhookUrl(url)) {
+      return { error: 'url must be an https URL (http is only allowed for localhost)' };
+    }
+    subscription.url = url;
+  }
+  if (districts !== undefined) {
+    if (!isStringArray(districts)) {
+      return { error: 'districts must be an array of district names (empty for all districts)' };
+    }
+    subscription.districts = [...new Set(districts)];
+  } else if (!partial) {
+    subscription.districts = [];
+  }
+  if (events !== undefined) {
+    if (!isStringArray(events) || events.length === 0 || !events.every(e => WEBHOOK_CONFIG.EVENTS.includes(e))) {
+      return { error: `events must be a non-empty array of: ${WEBHOOK_CONFIG.EVENTS.join(', ')}` };
+    }
+    subscription.events = [...new Set(events)];
+  } else if (!partial) {
+    subscription.events = [...WEBHOOK_CONFIG.EVENTS];
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 200)) {
+      return { error: 'description must be a string (max 200 characters)' };
+    }
+    subscription.description = description || null;
+  }
+  if (active !== undefined) {
+    if (!partial || typeof active !== 'boolean') {
+      return { error: partial ? 'active must be a boolean' : 'active cannot be set on create' };
+    }
+    subscription.active = active;
+  }
+
+  return { subscription };
+}
+
+/**
+ * New random HMAC secret for a subscription
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Subscription for API responses (never includes the secret)
+ */
+function formatWebhookSubscription(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    url: data.url,
+    description: data.description || null,
+    districts: data.districts || [],
+    events: data.events || [],
+    active: data.active === true,
+    consecutive_failures: data.consecutive_failures || 0,
+    disabled_reason: data.disabled_reason || null,
+    ...toSerializable({
+      disabled_at: data.disabled_at || null,
+      last_success_at: data.last_success_at || null,
+      last_failure_at: data.last_failure_at || null,
+      created_at: data.created_at || null,
+      updated_at: data.updated_at || null
+    }),
+    created_by: data.created_by || null
+  };
+}
+
+/**
+ * Track consecutive failed attempts of a subscription and disable it once
+ * WEBHOOK_CONFIG.DISABLE_AFTER_FAILURES is reached. A success resets the count.
+ */
+async function recordWebhookOutcome(subscriptionId, delivered, error) {
+  const db = admin.firestore();
+  const ref = db.collection('webhook_subscriptions').doc(subscriptionId);
+
+  const disabled = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return null;
+
+    if (delivered) {
+      transaction.update(ref, {
+        consecutive_failures: 0,
+        last_success_at: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return null;
+    }
+
+    const data = doc.data();
+    const failures = (data.consecutive_failures || 0) + 1;
+    const update = {
+      consecutive_failures: failures,
+      last_failure_at: admin.firestore.FieldValue.serverTimestamp(),
+      last_error: error
+    };
+    const disable = data.active === true && failures >= WEBHOOK_CONFIG.DISABLE_AFTER_FAILURES;
+    if (disable) {
+      update.active = false;
+      update.disabled_at = admin.firestore.FieldValue.serverTimestamp();
+      update.disabled_reason = `${failures} consecutive failed deliveries (last: ${error})`;
+    }
+    transaction.update(ref, update);
+    return disable ? { ...data, ...update } : null;
+  });
+
+  if (disabled) {
+    console.warn(`⛔ Webhook ${subscriptionId} disabled: ${disabled.disabled_reason}`);
+    await recordAuditLog(null, {
+      action: 'webhook.auto_disable',
+      actor: 'webhook-dispatcher',
+      target: { type: 'webhook', id: subscriptionId },
+      after: { active: false, disabled_reason: disabled.disabled_reason },
+      districts: disabled.districts || []
+    });
+  }
+}
+
+/**
+ * Make one signed delivery attempt and record it on the delivery doc.
+ * Failed attempts are retried with exponential backoff (WEBHOOK_CONFIG.RETRY_BASE_DELAY_MS)
+ * until MAX_ATTEMPTS, after which the delivery is marked 'failed'.
+ * @param {object} deliveryRef - webhook_deliveries doc
+ * @param {object} delivery - Delivery data ({event, body, attempts})
+ * @param {object} subscription - {id, url, secret}
+ * @returns {Promise<boolean>} Whether the endpoint accepted the event (2xx)
+ */
+async function attemptWebhookDelivery(deliveryRef, delivery, subscription) {
+  const attempt = (delivery.attempts || 0) + 1;
+  const startedAt = Date.now();
+  let httpStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RRT-Webhooks/1.0',
+        'X-RRT-Event': delivery.event,
+        'X-RRT-Delivery': deliveryRef.id,
+        [WEBHOOK_CONFIG.SIGNATURE_HEADER]: signWebhookBody(subscription.secret, delivery.body)
+      },
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.TIMEOUT_MS)
+    });
+    httpStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (fetchError) {
+    error = fetchError.name === 'TimeoutError' ? 'timeout' : (fetchError.cause?.code || fetchError.message);
+  }
+
+  const delivered = error === null;
+  const update = {
+    attempts: attempt,
+    last_http_status: httpStatus,
+    last_error: error,
+    attempt_log: admin.firestore.FieldValue.arrayUnion({
+      attempt,
+      at: admin.firestore.Timestamp.now(),
+      http_status: httpStatus,
+      error,
+      duration_ms: Date.now() - startedAt
+    })
+  };
+
+  if (delivered) {
+    update.status = 'delivered';
+    update.delivered_at = admin.firestore.FieldValue.serverTimestamp();
+    update.next_attempt_at = admin.firestore.FieldValue.delete();
+  } else if (attempt >= WEBHOOK_CONFIG.MAX_ATTEMPTS) {
+    update.status = 'failed';
+    update.next_attempt_at = admin.firestore.FieldValue.delete();
+  } else {
+    const delay = WEBHOOK_CONFIG.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    update.next_attempt_at = admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+  }
+
+  await deliveryRef.update(update);
+  await recordWebhookOutcome(subscription.id, delivered, error);
+
+  console.log(`🪝 Webhook ${delivery.event} → ${subscription.id} attempt ${attempt}: ${delivered ? 'delivered' : error}`);
+  return delivered;
+}
+
+/**
+ * Store a delivery for one subscription, leased for its first attempt: next_attempt_at
+ * is ATTEMPT_LEASE_MS away, so retryWebhookDeliveries only picks it up if that attempt
+ * never records an outcome (e.g. the instance was stopped mid-request).
+ * @returns {Promise<{deliveryRef: object, delivery: object, subscription: object}>}
+ *   Arguments for attemptWebhookDelivery
+ */
+async function queueWebhookDelivery(subscriptionDoc, event, district, data) {
+  const subscription = { id: subscriptionDoc.id, ...subscriptionDoc.data() };
+  const deliveryRef = admin.firestore().collection('webhook_deliveries').doc();
+
+  const delivery = {
+    subscription_id: subscription.id,
+    url: subscription.url,
+    event,
+    district: district || null,
+    // Serialized once so every retry sends (and signs) the same body
+    body: JSON.stringify({
+      id: deliveryRef.id,
+      event,
+      created_at: new Date().toISOString(),
+      district: district || null,
+      data
+    }),
+    status: 'pending',
+    attempts: 0,
+    attempt_log: [],
+    next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_CONFIG.ATTEMPT_LEASE_MS),
+    created_at: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await deliveryRef.set(delivery);
+
+  return { deliveryRef, delivery, subscription };
+}
+
+/**
+ * Queue an event for every active subscription that wants it (event type and
+ * district filter) and start the first attempts without waiting for them, so
+ * request handlers can respond first and await `delivered` afterwards. Failed or
+ * interrupted deliveries are left for retryWebhookDeliveries.
+ * Never throws - webhook problems must not affect the SOS flow.
+ * @param {string} event - One of WEBHOOK_CONFIG.EVENTS
+ * @param {string|null} district - Matched against the subscription's districts (empty = all)
+ * @param {object} data - Event payload
+ * @returns {Promise<{subscriptions: number, queued: number, delivered: Promise<number>}|null>}
+ *   delivered resolves (never rejects) to the number of first attempts that succeeded
+ */
+async function dispatchWebhookEvent(event, district, data) {
+  try {
+    const snapshot = await admin.firestore()
+      .collection('webhook_subscriptions')
+      .where('active', '==', true)
+      .get();
+
+    const matching = snapshot.docs.filter(doc => {
+      const { events = [], districts = [] } = doc.data();
+      return events.includes(event) && (districts.length === 0 || districts.includes(district));
+    });
+    if (matching.length === 0) return { subscriptions: 0, queued: 0, delivered: Promise.resolve(0) };
+
+    const results = await Promise.allSettled(matching.map(doc => queueWebhookDelivery(doc, event, district, data)));
+    results
+      .filter(r => r.status === 'rejected')
+      .forEach(r => console.error(`⚠️  Failed to queue ${event} webhook:`, r.reason));
+
+    const queued = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    const delivered = Promise.allSettled(queued.map(({ deliveryRef, delivery, subscription }) =>
+      attemptWebhookDelivery(deliveryRef, delivery, subscription)
+    )).then(attempts => {
+      attempts
+        .filter(r => r.status === 'rejected')
+        .forEach(r => console.error(`⚠️  ${event} webhook attempt failed:`, r.reason));
+      return attempts.filter(r => r.status === 'fulfilled' && r.value).length;
+    });
+
+    return { subscriptions: matching.length, queued: queued.length, delivered };
+  } catch (error) {
+    console.error(`⚠️  Failed to dispatch ${event} webhook:`, error);
+    return null;
+  }
+}
+
+/**
+ * Webhook payload for an alert (trigger, stop or expiry)
+ */
+function buildWebhookAlertData(sender_id, { district, state, location, userInfo, approx_loc, category }) {
+  return {
+    sender_id,
+    district: district || null,
+    category: getSOSCategory(category).name,
+    state: state || null,
+    location: hasCoordinates(location) ? location : null,
+    map_link: getMapLink(location),
+    approx_loc: approx_loc || userInfo?.location || null,
+    name: userInfo?.name || null,
+    mobile_number: userInfo?.phone || userInfo?.mobile_number || null
+  };
+}
+
+/**
+ * Lease a pending delivery for one attempt (transaction, so overlapping runs never
+ * attempt it twice): pushes next_attempt_at ATTEMPT_LEASE_MS ahead.
+ * @returns {Promise<object|null>} Delivery data, or null if it is no longer due
+ */
+async function leaseWebhookDelivery(ref) {
+  const db = admin.firestore();
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const delivery = doc.data();
+    if (!doc.exists || delivery.status !== 'pending' || !delivery.next_attempt_at ||
+        delivery.next_attempt_at.toMillis() > Date.now()) {
+      return null;
+    }
+
+    transaction.update(ref, {
+      next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_CONFIG.ATTEMPT_LEASE_MS)
+    });
+    return delivery;
+  });
+}
+
+/**
+ * Retry pending deliveries whose next_attempt_at has passed.
+ * Deliveries of deleted or disabled subscriptions are marked 'failed'.
+ * @returns {Promise<object>} Summary {retried, delivered, abandoned}
+ */
+async function retryWebhookDeliveries() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('webhook_deliveries')
+    .where('status', '==', 'pending')
+    .where('next_attempt_at', '<=', admin.firestore.Timestamp.now())
+    .orderBy('next_attempt_at', 'asc')
+    .limit(WEBHOOK_CONFIG.RETRY_BATCH_SIZE)
+    .get();
+
+  const subscriptions = new Map();
+  let abandoned = 0;
+  let skipped = 0;
+
+  const results = await Promise.allSettled(snapshot.docs.map(async (doc) => {
+    const delivery = await leaseWebhookDelivery(doc.ref);
+    if (!delivery) {
+      skipped++; // Attempted by another run since the query
+      return false;
+    }
+    if (!subscriptions.has(delivery.subscription_id)) {
+      subscriptions.set(delivery.subscription_id, db.collection('webhook_subscriptions').doc(delivery.subscription_id).get());
+    }
+    const subscriptionDoc = await subscriptions.get(delivery.subscription_id);
+
+    if (!subscriptionDoc.exists || subscriptionDoc.data().active !== true) {
+      abandoned++;
+      await doc.ref.update({
+        status: 'failed',
+        last_error: subscriptionDoc.exists ? 'subscription disabled' : 'subscription deleted',
+        next_attempt_at: admin.firestore.FieldValue.delete()
+      });
+      return false;
+    }
+
+    return attemptWebhookDelivery(doc.ref, delivery, { id: subscriptionDoc.id, ...subscriptionDoc.data() });
+  }));
+
+  return {
+    retried: snapshot.size - abandoned - skipped,
+    delivered: results.filter(r => r.status === 'fulfilled' && r.value).length,
+    abandoned
+  };
+}
+
+// ============================================================================
+// RATE LIMITING - Firestore-backed sliding windows with automatic quarantine
+// ============================================================================
+
+/**
+ * Resolve the caller's IP: the X-Forwarded-For entry added by Google's front end
+ * (req.ip with 'trust proxy' 1), not the first entry, which the client controls.
+ */
+function getClientIp(req) {
+  return req.ip || 'unknown';
+}
+
+/**
+ * Record a hit against one sliding-window counter (rate_limits/{key}).
+ * Keeps the request timestamps inside the window plus a list of recent violations.
+ * A violation is counted at most once per window, so a user hammering the button
+ * during one burst is a single strike.
+ *
+ * @param {string} key - Counter document ID
+ * @param {object} limit - {WINDOW_MS, MAX_REQUESTS}
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number, violations: number}>}
+ */
+async function recordRateLimitHit(key, limit) {
+  const db = admin.firestore();
+  const ref = db.collection('rate_limits').doc(key);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    const now = Date.now();
+
+    const hits = (data.hits || []).filter(t => t > now - limit.WINDOW_MS);
+    let violations = (data.violations || []).filter(t => t > now - RATE_LIMIT_CONFIG.QUARANTINE_WINDOW_MS);
+    const allowed = hits.length < limit.MAX_REQUESTS;
+
+    if (allowed) {
+      hits.push(now);
+    } else if (violations.length === 0 || violations[violations.length - 1] <= now - limit.WINDOW_MS) {
+      violations = [...violations, now];
+    }
+
+    transaction.set(ref, {
+      hits,
+      violations,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // For a Firestore TTL policy on rate_limits.expireAt
+      expireAt: admin.firestore.Timestamp.fromMillis(now + RATE_LIMIT_CONFIG.QUARANTINE_WINDOW_MS)
+    });
+
+    return {
+      allowed,
+      retryAfterMs: allowed ? 0 : Math.max(hits[0] + limit.WINDOW_MS - now, 0),
+      violations: violations.length
+    };
+  });
+}
+
+/**
+ * Apply the per-sender and per-IP limits for a scope ('sos' or 'test-push').
+ * Verified senders (the request carries the ID token of the install, see isDeviceOwner)
+ * who keep exceeding their own limit are blocked via blockUser() with blockedBy
+ * 'auto-rate-limiter' so they show up in /admin/blocked-users for review. An unverified
+ * sender_id is only rate limited - anyone can send someone else's FID, and blocking it
+ * would silence that user's real alerts.
+ * IP violations only rate limit: a shared or carrier-NAT IP says nothing about
+ * which of its senders is abusive.
+ * Fails open (allows the request) if Firestore is unavailable, like isSenderBlocked().
+ *
+ * @param {string} scope - Key of RATE_LIMIT_CONFIG.LIMITS
+ * @param {string} sender_id - Firebase Installation ID of the caller
+ * @param {string} ip - Client IP address
+ * @param {boolean} senderVerified - The caller proved it owns sender_id
+ * @returns {Promise<{limited: boolean, quarantined: boolean, retryAfterMs: number}>}
+ */
+async function checkRateLimit(scope, sender_id, ip, senderVerified = false) {
+  const limits = RATE_LIMIT_CONFIG.LIMITS[scope];
+
+  try {
+    const [senderResult, ipResult] = await Promise.all([
+      recordRateLimitHit(`${scope}_sender_${encodeURIComponent(sender_id)}`, limits.SENDER),
+      recordRateLimitHit(`${scope}_ip_${encodeURIComponent(ip)}`, limits.IP)
+    ]);
+
+    const limited = !senderResult.allowed || !ipResult.allowed;
+    if (!limited) {
+      return { limited: false, quarantined: false, retryAfterMs: 0 };
+    }
+
+    const retryAfterMs = Math.max(senderResult.retryAfterMs, ipResult.retryAfterMs);
+    if (senderVerified && !senderResult.allowed && senderResult.violations >= RATE_LIMIT_CONFIG.QUARANTINE_VIOLATIONS) {
+      const reason = `Exceeded ${scope} rate limit ${RATE_LIMIT_CONFIG.QUARANTINE_VIOLATIONS}+ times ` +
+        `in ${RATE_LIMIT_CONFIG.QUARANTINE_WINDOW_MS / 1000 / 60 / 60}h (sender ${sender_id})`;
+      const district = await getSenderDistrict(sender_id);
+      const blockData = await blockUser(sender_id, reason, 'auto-rate-limiter', district);
+      await recordAuditLog(null, {
+        action: 'user.block',
+        actor: 'auto-rate-limiter',
+        target: { type: 'sender', id: sender_id },
+        after: blockData,
+        districts: [district]
+      });
+      console.warn(`🚨 Auto-blocked ${sender_id}: ${reason}`);
+      return { limited: true, quarantined: true, retryAfterMs };
+    }
+
+    console.warn(`⏳ Rate limited ${scope} request from ${sender_id} (${ip})`);
+    return { limited: true, quarantined: false, retryAfterMs };
+  } catch (error) {
+    console.error('Error checking rate limit:', error);
+    return { limited: false, quarantined: false, retryAfterMs: 0 }; // Fail open
+  }
+}
+
+/**
+ * Send a 429 response for a rate-limited request
+ */
+function sendRateLimited(res, retryAfterMs) {
+  const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    message: `Rate limit exceeded. Try again in ${retryAfterSeconds} seconds`,
+    retryAfterSeconds
+  });
+}
+
+// ============================================================================
+// AUDIT LOG - Append-only record of admin actions (admin_audit_log collection)
+// ============================================================================
+
+/**
+ * Convert Firestore values (Timestamps, nested maps/arrays) into plain JSON for API responses
+ */
+function toSerializable(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toSerializable);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toSerializable(v)]));
+  }
+  return value;
+}
+
+/**
+ * Parse optional from/to query parameters (ISO 8601) into Firestore Timestamps
+ * @param {object} params - {from, to}
+ * @returns {{from: object|null, to: object|null}|null} null if either date is invalid
+ */
+function parseDateRange({ from, to }) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return null;
+  }
+
+  return {
+    from: fromDate ? admin.firestore.Timestamp.fromDate(fromDate) : null,
+    to: toDate ? admin.firestore.Timestamp.fromDate(toDate) : null
+  };
+}
+
+/**
+ * Fetch one page of an ordered query using a document-ID cursor.
+ * The cursor is the ID of the last document of the previous page.
+ * @param {object} query - Ordered Firestore query
+ * @param {object} collectionRef - Collection the cursor ID belongs to
+ * @param {string} cursor - Document ID to start after (optional)
+ * @param {number} limit - Page size
+ * @returns {Promise<{docs: object[], nextCursor: string|null}|null>} null if the cursor is unknown
+ */
+async function fetchPage(query, collectionRef, cursor, limit) {
+  if (cursor) {
+    const cursorDoc = await collectionRef.doc(cursor).get();
+    if (!cursorDoc.exists) return null;
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    docs,
+    nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * fetchPage over several queries ordered by `timestamp` desc (e.g. one per 30-value
+ * chunk of an 'in'/'array-contains-any' filter), merged into one page. A document
+ * matched by more than one query is returned once.
+ * @param {object[]} queries - Queries ordered by timestamp desc
+ * @returns {Promise<{docs: object[], nextCursor: string|null}|null>} null if the cursor is unknown
+ */
+async function fetchMergedPage(queries, collectionRef, cursor, limit) {
+  if (queries.length === 1) return fetchPage(queries[0], collectionRef, cursor, limit);
+
+  let cursorDoc = null;
+  if (cursor) {
+    cursorDoc = await collectionRef.doc(cursor).get();
+    if (!cursorDoc.exists) return null;
+  }
+
+  const snapshots = await Promise.all(queries.map(query =>
+    (cursorDoc ? query.startAfter(cursorDoc) : query).limit(limit + 1).get()
+  ));
+  const byId = new Map();
+  for (const doc of snapshots.flatMap(snapshot => snapshot.docs)) {
+    byId.set(doc.id, doc);
+  }
+  // Same order as Firestore: timestamp desc, then document ID desc
+  const merged = [...byId.values()].sort((a, b) =>
+    b.get('timestamp').toMillis() - a.get('timestamp').toMillis() || (a.id < b.id ? 1 : -1)
+  );
+  const docs = merged.slice(0, limit);
+
+  return {
+    docs,
+    nextCursor: merged.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Look up the district a sender belongs to: the latest alert snapshot first,
+ * then their subscription record. Returns null if unknown.
+ * @param {string} sender_id - Firebase Installation ID
+ * @returns {Promise<string|null>}
+ */
+async function getSenderDistrict(sender_id) {
+  const db = admin.firestore();
+  const alertDoc = await db.collection('sos_alerts').doc(sender_id).get();
+  if (alertDoc.exists && alertDoc.data().district) return alertDoc.data().district;
+
+  const userDoc = await db.collection('subscribed_users').doc(sender_id).get();
+  return userDoc.exists ? (userDoc.data().district || null) : null;
+}
+
+/**
+ * Append an entry to admin_audit_log. Entries are never updated or deleted.
+ * `districts` scopes who can read the entry: regular admins only see entries
+ * touching one of their assigned districts.
+ * Never throws - a failed audit write is logged but doesn't fail the admin action.
+ *
+ * @param {object} req - Express request (null for system actions)
+ * @param {object} entry - {action, actor, target: {type, id}, before, after, districts}
+ */
+async function recordAuditLog(req, { action, actor, target, before = null, after = null, districts = [] }) {
+  try {
+    await admin.firestore()
+      .collection('admin_audit_log')
+      .add({
+        action,
+        actor: actor || req?.user?.email || 'system',
+        target,
+        before,
+        after,
+        districts: [...new Set(districts.filter(Boolean))],
+        request: req ? {
+          method: req.method,
+          path: req.originalUrl,
+          ip: getClientIp(req),
+          userAgent: req.headers['user-agent'] || null
+        } : null,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+  } catch (error) {
+    console.error(`⚠️  Failed to write audit log for ${action}:`, error);
+  }
+}
+
+// ============================================================================
+// AUTHENTICATION MIDDLEWARE
+// ============================================================================
+
+// ============================================================================
+// SUPER ADMIN CACHE - Fetched from Firestore (admins collection, role: super-admin)
+// with a 1-hour TTL so repeated requests don't hammer the database.
+// ============================================================================
+
+const superAdminCache = {
+  emails: /** @type {string[]|null} */ (null),
+  lastFetched: /** @type {number|null} */ (null),
+  TTL_MS: 60 * 60 * 1000 // 1 hour
+};
+
+/**
+ * Fetch super-admin emails from Firestore, using an in-memory cache (1-hour TTL).
+ * Super admins are documents in the `admins` collection where role === 'super-admin'.
+ * @returns {Promise<string[]>}
+ */
+async function getSuperAdminEmails() {
+  const now = Date.now();
+  if (
+    superAdminCache.emails !== null &&
+    superAdminCache.lastFetched !== null &&
+    now - superAdminCache.lastFetched < superAdminCache.TTL_MS
+  ) {
+    return superAdminCache.emails;
+  }
+
+  console.log('🔄 Refreshing super admin cache from Firestore...');
+  const snapshot = await admin.firestore()
+    .collection('admins')
+    .where('role', '==', 'super-admin')
+    .get();
+
+  const emails = snapshot.docs.map(doc => doc.id);
+  superAdminCache.emails = emails;
+  superAdminCache.lastFetched = now;
+  console.log(`✅ Super admin cache updated: ${emails.length} super admin(s)`);
+  return emails;
+}
+
+/**
+ * Invalidate the super-admin cache so the next request re-fetches from Firestore.
+ * Call this after creating or deleting a super-admin.
+ */
+function invalidateSuperAdminCache() {
+  superAdminCache.emails = null;
+  superAdminCache.lastFetched = null;
+  console.log('♻️  Super admin cache invalidated');
+}
+
+/**
+ * Middleware to verify Firebase ID token
+ * Also sets custom claims for super admins if needed
+ */
+async function authenticateUser(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ 
+        error: 'Unauthorized',
+        code: 'AUTH_MISSING_TOKEN',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+    
+    const idToken = authHeader.split('Bearer ')[1];
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    
+    // Set custom claim for super admins if not already set
+    if (await isSuperAdmin(decodedToken.email) && !decodedToken.superadmin) {
+      await admin.auth().setCustomUserClaims(decodedToken.uid, { superadmin: true });
+      console.log(`✅ Set superadmin custom claim for ${decodedToken.email}`);
+      await recordAuditLog(req, {
+        action: 'admin.claims.set',
+        actor: 'system',
+        target: { type: 'admin', id: decodedToken.email },
+        before: { superadmin: false },
+        after: { superadmin: true }
+      });
+    }
+    
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email
+    };
+    
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(401).json({ 
+      error: 'Unauthorized',
+      code: 'AUTH_INVALID_TOKEN',
+      message: 'Invalid or expired token'
+    });
+  }
+}
+
+// ============================================================================
+// DEVICE OWNERSHIP - Proof that a mobile request comes from the install it names
+// ============================================================================
+// FIDs are not secrets (every SOS push carries the sender's), so routes that expose
+// or change one user's data check ownership instead. The app signs in with Firebase
+// Auth (anonymous sign-in is enough) and sends `Authorization: Bearer <ID token>`.
+// The token's uid is bound to subscribed_users/{fid}.owner_uid, and later calls for
+// that FID must use that uid:
+//   - a FID the server has never seen is bound by its first authenticated
+//     POST /subscribe-user (nobody else can know it yet)
+//   - a FID that is already known (subscribed or sent an SOS before it was bound,
+//     e.g. every install from before ownership) is bound by POST /device/claim: a code
+//     is pushed to the FCM token on record and the app returns it with
+//     POST /device/claim/confirm, proving it is that install
+
+/**
+ * uid of the Firebase ID token in the Authorization header
+ * @returns {Promise<string|null>} null when the request has no bearer token
+ * @throws when the token is invalid or expired
+ */
+async function getDeviceUid(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+  const decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+  return decodedToken.uid;
+}
+
+/**
+ * Check that the caller owns the app install `fid`.
+ * Sends a 401/403 and returns false when the ID token is missing or invalid, or its
+ * uid is not the owner bound to subscribed_users/{fid}.
+ * @returns {Promise<boolean>}
+ */
+async function requireDeviceOwner(req, res, fid) {
+  let uid;
+  try {
+    uid = await getDeviceUid(req);
+  } catch (error) {
+    console.warn(`⚠️  Invalid device token for ${fid}:`, error.message);
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'DEVICE_INVALID_TOKEN',
+      message: 'Invalid or expired token'
+    });
+    return false;
+  }
+
+  if (!uid) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'DEVICE_MISSING_TOKEN',
+      message: 'An ID token of the app install is required (Authorization: Bearer <token>)'
+    });
+    return false;
+  }
+
+  const userDoc = await admin.firestore().collection('subscribed_users').doc(fid).get();
+  const ownerUid = userDoc.exists ? userDoc.data().owner_uid : null;
+  if (ownerUid !== uid) {
+    res.status(403).json({
+      error: 'Forbidden',
+      code: ownerUid ? 'DEVICE_NOT_OWNER' : 'DEVICE_NOT_BOUND',
+      message: ownerUid
+        ? `The ID token does not belong to ${fid}`
+        : `${fid} has no owner yet - claim it with POST /device/claim`
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether the request carries the ID token of the install bound to `fid`. Sends no
+ * response: for routes that still serve unauthenticated app versions, where a
+ * verified caller only unlocks more (e.g. auto-blocking, contact notifications).
+ * @returns {Promise<boolean>}
+ */
+async function isDeviceOwner(req, fid) {
+  try {
+    const uid = await getDeviceUid(req);
+    if (!uid) return false;
+    const userDoc = await admin.firestore().collection('subscribed_users').doc(fid).get();
+    return userDoc.exists && userDoc.data().owner_uid === uid;
+  } catch (error) {
+    console.warn(`⚠️  Invalid device token for ${fid}:`, error.message);
+    return false;
+  }
+}
+
+// ============================================================================
+// ADMIN ROLES & PERMISSIONS
+// ============================================================================
+
+/**
+ * Permission matrix - every admin route is guarded by exactly one of these.
+ * Roles are cumulative: each role has its own permissions plus everything below it.
+ * District scoping still applies on top (only super-admins see every district).
+ */
+const ROLE_PERMISSIONS = {
+  'viewer': ['profile:read', 'alerts:read', 'users:read', 'stats:read'],
+  'moderator': ['users:block'],
+  'district-admin': ['data:export', 'audit:read'],
+  'super-admin': ['admins:manage', 'webhooks:manage', 'districts:manage']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ADMIN_ROLE_LABELS = {
+  'viewer': 'Viewer',
+  'moderator': 'Moderator',
+  'district-admin': 'District Admin',
+  'super-admin': 'Super Admin'
+};
+
+// Admin docs created before roles were split use role 'admin'
+const LEGACY_ROLE_ALIASES = { 'admin': 'district-admin' };
+
+/**
+ * Normalize a stored/requested role to one of ADMIN_ROLES.
+ * Missing roles default to 'district-admin' (the old 'admin').
+ * @param {string|undefined} role
+ * @returns {string|null} null if the role is unknown
+ */
+function normalizeRole(role) {
+  const resolved = LEGACY_ROLE_ALIASES[role] || role || 'district-admin';
+  return ADMIN_ROLES.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Role value the admin API returned before the permission matrix: super admins
+ * or 'admin' for everyone else. Responses keep it as `role` so existing
+ * dashboards work; the granular role is returned as `accessRole`.
+ * @deprecated Read `accessRole` instead
+ * @param {string} role - Normalized role
+ * @param {string} superAdminValue - 'superadmin' (/admin/profile) or 'super-admin' (/admin/admins)
+ * @returns {string}
+ */
+function legacyRoleName(role, superAdminValue) {
+  return role === 'super-admin' ? superAdminValue : 'admin';
+}
+
+/**
+ * Effective permissions of a role (its own plus those of every lower role)
+ * @param {string} role - One of ADMIN_ROLES
+ * @returns {string[]}
+ */
+function getRolePermissions(role) {
+  const rank = ADMIN_ROLES.indexOf(role);
+  if (rank === -1) return [];
+  return ADMIN_ROLES.slice(0, rank + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+}
+
+/**
+ * Middleware factory: resolve the caller's admin scope and require a permission.
+ * Must run after authenticateUser. Sets req.adminScope = {email, role, permissions,
+ * isSuperAdmin, assignedDistricts, admin} and rejects inactive or unknown admins.
+ * Route handlers then enforce the scope with isDistrictInScope (writes) and
+ * getDocsInScope (reads) instead of re-reading the admin doc.
+ * @param {string} permission - Entry of ROLE_PERMISSIONS
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          error: 'Unauthorized',
+          code: 'AUTH_REQUIRED',
+          message: 'Authentication required'
+        });
+      }
+
+      const superAdmin = await isSuperAdmin(req.user.email);
+      const adminDoc = superAdmin ? null : await getAdmin(req.user.email);
+
+      if (!superAdmin && (!adminDoc || !adminDoc.active)) {
+        return res.status(403).json({ 
+          error: 'Forbidden',
+          code: 'AUTH_ADMIN_INACTIVE',
+          message: 'Admin account is inactive or not found'
+        });
+      }
+
+      const role = superAdmin ? 'super-admin' : normalizeRole(adminDoc.role);
+      if (!role) {
+        return res.status(403).json({ 
+          error: 'Forbidden',
+          code: 'AUTH_UNKNOWN_ROLE',
+          message: `Unknown admin role: ${adminDoc.role}`
+        });
+      }
+
+      // First authenticated request from an invited admin completes onboarding
+      if (adminDoc?.invite && adminDoc.invite.status !== 'accepted') {
+        await markInviteAccepted(req.user.email);
+      }
+
+      const permissions = getRolePermissions(role);
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({ 
+          error: 'Forbidden',
+          code: 'AUTH_PERMISSION_DENIED',
+          message: `Permission ${permission} is required (your role: ${role})`
+        });
+      }
+
+      req.adminScope = {
+        email: req.user.email,
+        role,
+        permissions,
+        isSuperAdmin: superAdmin,
+        assignedDistricts: superAdmin ? [] : (adminDoc.assignedDistricts || []),
+        admin: adminDoc
+      };
+
+      next();
+    } catch (error) {
+      console.error('Admin permission error:', error);
+      return res.status(500).json({ 
+        error: 'Failed to resolve admin permissions',
+        code: 'INTERNAL_ERROR',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Check whether a district falls within an admin scope.
+ * Super admins can access every district (including unknown ones); regular admins
+ * only their assignedDistricts, so an unknown district is out of scope.
+ * @param {object} scope - req.adminScope
+ * @param {string|null} district
+ * @returns {boolean}
+ */
+function isDistrictInScope(scope, district) {
+  if (scope.isSuperAdmin) return true;
+  return !!district && scope.assignedDistricts.includes(district);
+}
+
+/**
+ * Run a query restricted to the districts in an admin scope and return its docs.
+ * Firestore 'in' filters accept at most 30 values, so larger assignments are queried
+ * in chunks and merged (callers that need an order must re-sort).
+ * @param {object} query - Firestore query
+ * @param {object} scope - req.adminScope
+ * @param {string} field - District field name on the documents
+ * @returns {Promise<object[]>} Document snapshots
+ */
+async function getDocsInScope(query, scope, field = 'district') {
+  if (scope.isSuperAdmin) {
+    return (await query.get()).docs;
+  }
+
+  const districts = scope.assignedDistricts;
+  const chunks = [];
+  for (let i = 0; i < districts.length; i += 30) {
+    chunks.push(districts.slice(i, i + 30));
+  }
+
+  const snapshots = await Promise.all(chunks.map(chunk => query.where(field, 'in', chunk).get()));
+  return snapshots.flatMap(snapshot => snapshot.docs);
+}
+
+/**
+ * Resolve a sender's district and check it against the caller's scope.
+ * Sends a 403 and returns null when the sender is outside the scope.
+ * @returns {Promise<{district: string|null}|null>}
+ */
+async function requireSenderInScope(req, res, sender_id) {
+  const district = await getSenderDistrict(sender_id);
+
+  if (!isDistrictInScope(req.adminScope, district)) {
+    res.status(403).json({ 
+      error: 'Forbidden',
+      code: 'SENDER_NOT_IN_SCOPE',
+      message: district
+        ? `Sender ${sender_id} belongs to district ${district}, which is not assigned to you`
+        : `District of sender ${sender_id} is unknown; only a super admin can act on this sender`
+    });
+    return null;
+  }
+
+  return { district };
+}
+
+/**
+ * Check that a value is an array of non-empty strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Get admin document from Firestore
+ */
+async function getAdmin(email) {
+  const doc = await admin.firestore()
+    .collection('admins')
+    .doc(email)
+    .get();
+  
+  return doc.exists ? { email: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Check if email belongs to a super admin (uses cached Firestore lookup).
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+async function isSuperAdmin(email) {
+  const emails = await getSuperAdminEmails();
+  return emails.includes(email);
+}
+
+// ============================================================================
+// REQUEST SCHEMAS - Enforced by validateRequest() before each route (validation.js)
+// ============================================================================
+// Failures return {error, code, message, details} with codes <PREFIX>_MISSING_<FIELD>
+// and <PREFIX>_INVALID_<FIELD>; route-level failures use the same envelope.
+
+// FIDs, Firestore doc IDs and UIDs; '.' and '/' would address another field or doc path
+const ID_RULE = { type: 'string', minLength: 1, maxLength: 200, pattern: /^[A-Za-z0-9_:-]+$/ };
+const LOCATION_RULE = {
+  type: 'object',
+  validate: location => hasCoordinates(location) ? null : 'must be { latitude, longitude } with latitude in [-90, 90] and longitude in [-180, 180]'
+};
+const LANGUAGE_RULE = {
+  type: 'string',
+  validate: language => messages.normalizeLanguage(language) ? null : `must be one of: ${messages.SUPPORTED_LANGUAGES.join(', ')}`
+};
+const EMAIL_RULE = {
+  type: 'string',
+  maxLength: 254,
+  validate: email => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()) ? null : 'must be a valid email address'
+};
+const ISO_DATE_RULE = { type: 'string', validate: value => Number.isNaN(Date.parse(value)) ? 'must be an ISO 8601 date' : null };
+const DAY_RULE = { type: 'string', validate: day => /^\d{4}-\d{2}-\d{2}$/.test(day) ? null : 'must be a date (YYYY-MM-DD)' };
+const DISTRICT_RULE = { type: 'string', minLength: 1, maxLength: 100 };
+const CATEGORY_RULE = {
+  type: 'string',
+  validate: category => parseSOSCategory(category) ? null : `must be one of: ${Object.keys(SOS_CATEGORIES).join(', ')}`
+};
+const DISTRICT_LIST_RULE = { type: 'array', maxItems: 100, items: DISTRICT_RULE };
+const PAGE_QUERY = {
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string', maxLength: 1500 }
+};
+const SOS_HISTORY_QUERY = {
+  from: ISO_DATE_RULE,
+  to: ISO_DATE_RULE,
+  district: DISTRICT_RULE,
+  state: { type: 'string', maxLength: 100 },
+  sender_id: ID_RULE,
+  event: { type: 'string', maxLength: 50 }
+};
+const CONTACT_BODY = {
+  fid: { ...ID_RULE, required: true },
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  phone: { type: 'string', maxLength: 30 },
+  email: EMAIL_RULE,
+  contact_fid: ID_RULE,
+  language: LANGUAGE_RULE
+};
+const WEBHOOK_BODY = {
+  url: { type: 'string', maxLength: 2000, validate: url => isValidWebhookUrl(url) ? null : 'must be an https URL (http is only allowed for localhost)' },
+  districts: DISTRICT_LIST_RULE,
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_CONFIG.EVENTS } },
+  description: { type: 'string', maxLength: 200 }
+};
+const DISTRICT_BODY = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  state: { type: 'string', minLength: 1, maxLength: 100 },
+  names: {
+    type: 'object',
+    validate: names => Object.entries(names).every(([language, value]) =>
+      messages.SUPPORTED_LANGUAGES.includes(language) && typeof value === 'string' && value.trim())
+      ? null
+      : `must map languages (${messages.SUPPORTED_LANGUAGES.join(', ')}) to display names`
+  },
+  aliases: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 100 } }
+};
+
+const REQUEST_SCHEMAS = {
+  // Mobile app
+  sos: {
+    prefix: 'SOS',
+    body: {
+      sender_id: { ...ID_RULE, required: true },
+      sos_type: { type: 'string', required: true, enum: ['sos_alert', 'stop'] },
+      location: { type: 'object', required: true }
+      // category and userInfo never fail an SOS: see parseSOSCategory and sanitizeSOSUserInfo
+    }
+  },
+  sosLocation: {
+    prefix: 'LOCATION',
+    body: {
+      sender_id: { ...ID_RULE, required: true },
+      location: { ...LOCATION_RULE, required: true }
+    }
+  },
+  sosMarkSeen: {
+    prefix: 'MARK_SEEN',
+    body: {
+      fid: { ...ID_RULE, required: true },
+      alert_ids: { type: 'array', required: true, minItems: 1, maxItems: 500, items: ID_RULE }  // one Firestore batch
+    }
+  },
+  sosRespond: {
+    prefix: 'RESPOND',
+    body: {
+      fid: { ...ID_RULE, required: true },
+      alert_id: { ...ID_RULE, required: true },
+      eta_minutes: { type: 'number', min: 0, max: 24 * 60 }
+    }
+  },
+  testPush: {
+    prefix: 'TEST_PUSH',
+    body: {
+      type: { type: 'string', enum: ['sos_alert', 'stop'] },
+      category: CATEGORY_RULE,
+      district: DISTRICT_RULE,
+      sender_id: ID_RULE,
+      name: { type: 'string', maxLength: 100 },
+      phone: { type: 'string', maxLength: 30 },
+      message: { type: 'string', maxLength: 1000 },
+      approx_loc: { type: 'string', maxLength: 200 },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      accuracy: { type: 'number', min: 0 }
+    }
+  },
+  subscribeUser: {
+    prefix: 'SUBSCRIBE',
+    body: {
+      fid: { ...ID_RULE, required: true },
+      district: { ...DISTRICT_RULE, required: true },
+      state: { type: 'string', maxLength: 100 },
+      name: { type: 'string', maxLength: 100 },
+      number: { type: 'string', maxLength: 30 },
+      fcm_token: { type: 'string', maxLength: 4096, pattern: /^[A-Za-z0-9_:.-]+$/, message: 'fcm_token must be an FCM registration token' },
+      location: LOCATION_RULE,
+      language: LANGUAGE_RULE,
+      skills: { type: 'array', items: { type: 'string', enum: VOLUNTEER_SKILLS } }
+    }
+  },
+  deviceClaim: {
+    prefix: 'CLAIM',
+    body: {
+      fid: { ...ID_RULE, required: true }
+    }
+  },
+  deviceClaimConfirm: {
+    prefix: 'CLAIM',
+    body: {
+      fid: { ...ID_RULE, required: true },
+      code: { type: 'string', required: true, pattern: /^[0-9]{6}$/, message: 'code must be the 6-digit claim code' }
+    }
+  },
+  geocodeDistrict: {
+    prefix: 'GEOCODE',
+    query: {
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 }
+    }
+  },
+  districts: {
+    prefix: 'DISTRICTS',
+    query: {
+      state: { type: 'string', maxLength: 100 },
+      language: LANGUAGE_RULE
+    }
+  },
+  contactsList: {
+    prefix: 'CONTACTS',
+    query: { fid: { ...ID_RULE, required: true } }
+  },
+  contactsCreate: {
+    prefix: 'CONTACTS',
+    body: CONTACT_BODY
+  },
+  contactsUpdate: {
+    prefix: 'CONTACTS',
+    params: { contact_id: ID_RULE },
+    body: CONTACT_BODY
+  },
+  contactsDelete: {
+    prefix: 'CONTACTS',
+    params: { contact_id: ID_RULE },
+    query: { fid: { ...ID_RULE, required: true } }
+  },
+  contactsAccept: {
+    prefix: 'CONTACTS',
+    params: { contact_id: ID_RULE },
+    body: {
+      fid: { ...ID_RULE, required: true },
+      contact_fid: { ...ID_RULE, required: true }
+    }
+  },
+  feedback: {
+    prefix: 'FEEDBACK',
+    body: {
+      message: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+      name: { type: 'string', maxLength: 100 },
+      email: EMAIL_RULE,
+      subject: { type: 'string', maxLength: 200 }
+    }
+  },
+
+  // Admin dashboard
+  blockUser: {
+    prefix: 'BLOCK',
+    body: {
+      sender_id: { ...ID_RULE, required: true },
+      reason: { type: 'string', maxLength: 500 },
+      duration: {
+        type: 'string',
+        validate: duration => parseBlockDuration(duration) === undefined ? 'must be "permanent" or a number followed by m, h or d (e.g. "24h", "7d")' : null
+      }
+    }
+  },
+  unblockUser: {
+    prefix: 'UNBLOCK',
+    body: { sender_id: { ...ID_RULE, required: true } }
+  },
+  blockedUser: {
+    prefix: 'BLOCKED_USERS',
+    params: { sender_id: ID_RULE }
+  },
+  sosAlerts: {
+    prefix: 'ALERTS',
+    query: { active: { type: 'boolean' } }
+  },
+  sosHistory: {
+    prefix: 'HISTORY',
+    query: { ...SOS_HISTORY_QUERY, ...PAGE_QUERY }
+  },
+  users: {
+    prefix: 'USERS',
+    query: {
+      page: { type: 'integer', min: 1 },
+      pageSize: { type: 'integer', min: 1, max: 500 },
+      search: { type: 'string', maxLength: 100 }
+    }
+  },
+  export: {
+    prefix: 'EXPORT',
+    params: { dataset: { type: 'string', maxLength: 50 } },
+    query: {
+      format: { type: 'string', validate: format => EXPORT_CONFIG.FORMATS.includes(format) ? null : `must be one of: ${EXPORT_CONFIG.FORMATS.join(', ')}` },
+      maskPhones: { type: 'boolean' },
+      active: { type: 'boolean' },
+      search: { type: 'string', maxLength: 100 },
+      ...SOS_HISTORY_QUERY
+    }
+  },
+  stats: {
+    prefix: 'STATS',
+    query: { from: DAY_RULE, to: DAY_RULE, district: DISTRICT_RULE }
+  },
+  subscriberCounts: {
+    prefix: 'SUBSCRIBER_COUNTS',
+    query: { date: DAY_RULE }
+  },
+  auditLog: {
+    prefix: 'AUDIT',
+    query: {
+      actor: { type: 'string', maxLength: 254 },
+      target: { type: 'string', maxLength: 200 },
+      action: { type: 'string', maxLength: 100 },
+      from: ISO_DATE_RULE,
+      to: ISO_DATE_RULE,
+      ...PAGE_QUERY
+    }
+  },
+  adminCreate: {
+    prefix: 'ADMIN',
+    body: {
+      email: { ...EMAIL_RULE, required: true },
+      password: { type: 'any', validate: () => 'is not accepted - admins set their own password via the emailed invite link' },
+      role: { type: 'string', validate: role => normalizeRole(role) ? null : `must be one of: ${ADMIN_ROLES.join(', ')}` },
+      assignedDistricts: DISTRICT_LIST_RULE
+    }
+  },
+  adminUpdate: {
+    prefix: 'ADMIN',
+    params: { email: EMAIL_RULE },
+    body: {
+      role: { type: 'string', validate: role => normalizeRole(role) ? null : `must be one of: ${ADMIN_ROLES.join(', ')}` },
+      assignedDistricts: DISTRICT_LIST_RULE,
+      active: { type: 'boolean' }
+    }
+  },
+  adminByEmail: {
+    prefix: 'ADMIN',
+    params: { email: EMAIL_RULE }
+  },
+  webhookCreate: {
+    prefix: 'WEBHOOK',
+    body: {
+      ...WEBHOOK_BODY,
+      url: { ...WEBHOOK_BODY.url, required: true },
+      active: { type: 'any', validate: () => 'cannot be set on create' }
+    }
+  },
+  webhookUpdate: {
+    prefix: 'WEBHOOK',
+    params: { id: ID_RULE },
+    body: { ...WEBHOOK_BODY, active: { type: 'boolean' } }
+  },
+  webhookById: {
+    prefix: 'WEBHOOK',
+    params: { id: ID_RULE }
+  },
+  webhookDeliveries: {
+    prefix: 'WEBHOOK',
+    params: { id: ID_RULE },
+    query: { status: { type: 'string', enum: ['pending', 'delivered', 'failed'] }, ...PAGE_QUERY }
+  },
+  districtCreate: {
+    prefix: 'DISTRICT',
+    body: {
+      key: { type: 'string', required: true, pattern: /^[a-z0-9_]{2,60}$/, message: 'key must be 2-60 characters of a-z, 0-9 and _ (it is part of FCM topic names)' },
+      ...DISTRICT_BODY,
+      name: { ...DISTRICT_BODY.name, required: true },
+      state: { ...DISTRICT_BODY.state, required: true }
+    }
+  },
+  districtUpdate: {
+    prefix: 'DISTRICT',
+    params: { key: ID_RULE },
+    body: {
+      key: { type: 'any', validate: () => 'cannot be changed - create a new district instead' },
+      ...DISTRICT_BODY
+    }
+  },
+  districtByKey: {
+    prefix: 'DISTRICT',
+    params: { key: ID_RULE }
+  },
+  escalationPolicyUpdate: {
+    prefix: 'ESCALATION',
+    params: { district: DISTRICT_RULE },
+    body: {
+      neighbours: { ...DISTRICT_LIST_RULE, required: true },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        maxItems: ESCALATION_CONFIG.MAX_STEPS,
+        items: { type: 'object' },
+        validate: validateEscalationSteps
+      }
+    }
+  },
+  escalationPolicyByDistrict: {
+    prefix: 'ESCALATION',
+    params: { district: DISTRICT_RULE }
+  }
+};
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    firebase: 'connected', // Always connected in CF
+    features: {
+      sosAlertSnapshot: FEATURES.ENABLE_SOS_ALERT_SNAPSHOT,
+      blockedUsers: FEATURES.BLOCKED_USERS,
+      radiusTargeting: FEATURES.RADIUS_TARGETING
+    },
+    targeting: {
+      radiusKm: TARGETING_CONFIG.RADIUS_KM,
+      districtTopicFallback: TARGETING_CONFIG.DISTRICT_TOPIC_FALLBACK,
+      languages: messages.SUPPORTED_LANGUAGES,
+      categories: Object.keys(SOS_CATEGORIES),
+      volunteerSkills: VOLUNTEER_SKILLS
+    },
+    smsFallback: {
+      enabled: FEATURES.SMS_FALLBACK,
+      districts: getSmsEnabledDistricts(),
+      dailyCostCap: SMS_CONFIG.DAILY_COST_CAP
+    },
+    scheduledJobs: {
+      alertExpiration: {
+        enabled: FEATURES.ENABLE_SOS_ALERT_SNAPSHOT,
+        interval: SCHEDULE_CONFIG.ALERT_EXPIRATION_CHECK_INTERVAL,
+        thresholdMinutes: SCHEDULE_CONFIG.ALERT_EXPIRATION_THRESHOLD_MS / 1000 / 60,
+        categoryLifetimeMinutes: Object.fromEntries(
+          Object.entries(SOS_CATEGORIES).map(([name, config]) => [name, config.lifetime_ms / 1000 / 60])
+        )
+      },
+      blockExpiration: {
+        enabled: FEATURES.BLOCKED_USERS,
+        interval: SCHEDULE_CONFIG.BLOCK_EXPIRATION_CHECK_INTERVAL
+      },
+      statsAggregation: {
+        schedule: SCHEDULE_CONFIG.STATS_AGGREGATION_SCHEDULE
+      },
+      tokenValidation: {
+        schedule: SCHEDULE_CONFIG.TOKEN_VALIDATION_SCHEDULE
+      },
+      escalation: {
+        enabled: ESCALATION_CONFIG.ENABLED,
+        interval: SCHEDULE_CONFIG.ESCALATION_CHECK_INTERVAL,
+        defaultSteps: ESCALATION_CONFIG.DEFAULT_STEPS
+      },
+      webhookRetries: {
+        interval: SCHEDULE_CONFIG.WEBHOOK_RETRY_INTERVAL,
+        maxAttempts: WEBHOOK_CONFIG.MAX_ATTEMPTS
+      },
+      inviteExpiration: {
+        interval: SCHEDULE_CONFIG.INVITE_EXPIRATION_CHECK_INTERVAL,
+        inviteExpiryMs: INVITE_CONFIG.EXPIRY_MS
+      }
+    }
+  });
+});
+
+// Admin endpoint: Block a user
+app.post('/admin/block-user', authenticateUser, requirePermission('users:block'), validateRequest(REQUEST_SCHEMAS.blockUser), async (req, res) => {
+  console.log('🔒 Block user request received:', req.body);
+  
+  try {
+    const { sender_id, reason, duration } = req.body;
+    const blocked_by = req.user.email;
+    const durationMs = parseBlockDuration(duration);
+    
+    // Admins can only block senders from their assigned districts
+    const senderScope = await requireSenderInScope(req, res, sender_id);
+    if (!senderScope) return;
+    
+    // Check if user is already blocked
+    const existingUser = await getBlockedUser(sender_id);
+    
+    if (existingUser && isBlockActive(existingUser)) {
+      return res.status(409).json({ 
+        error: 'User already blocked',
+        code: 'BLOCK_ALREADY_BLOCKED',
+        message: `User ${sender_id} is already in the blocked list`,
+        blockedAt: existingUser.blockedAt,
+        expiresAt: existingUser.expiresAt?.toDate().toISOString() || null,
+        reason: existingUser.reason
+      });
+    }
+
+    // An expired block that the cleanup job hasn't lifted yet goes to history first
+    if (existingUser) {
+      await unblockUser(sender_id, 'block-expiry', 'expired');
+    }
+    
+    // Block the user
+    const blockData = await blockUser(sender_id, reason, blocked_by, senderScope.district, durationMs);
+
+    await recordAuditLog(req, {
+      action: 'user.block',
+      target: { type: 'sender', id: sender_id },
+      before: existingUser,
+      after: blockData,
+      districts: [senderScope.district]
+    });
+    
+    console.log(`✅ User blocked successfully: ${sender_id}`);
+    
+    res.json({ 
+      success: true, 
+      message: 'User blocked successfully',
+      sender_id: sender_id,
+      expiresAt: blockData.expiresAt?.toDate().toISOString() || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Block user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to block user',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint: Unblock a user
+app.post('/admin/unblock-user', authenticateUser, requirePermission('users:block'), validateRequest(REQUEST_SCHEMAS.unblockUser), async (req, res) => {
+  console.log('🔓 Unblock user request received:', req.body);
+  
+  try {
+    const { sender_id } = req.body;
+    
+    // Check if user exists in blocked list
+    const existingUser = await getBlockedUser(sender_id);
+    
+    if (!existingUser) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'UNBLOCK_NOT_FOUND',
+        message: `User ${sender_id} is not in the blocked list`
+      });
+    }
+
+    // Prefer the district recorded at block time; fall back to a sender lookup
+    const district = existingUser.district || await getSenderDistrict(sender_id);
+    if (!isDistrictInScope(req.adminScope, district)) {
+      return res.status(403).json({ 
+        error: 'Forbidden',
+        code: 'SENDER_NOT_IN_SCOPE',
+        message: `Sender ${sender_id} is not in one of your assigned districts`
+      });
+    }
+    
+    // Unblock the user
+    await unblockUser(sender_id, req.user.email, 'manual');
+
+    await recordAuditLog(req, {
+      action: 'user.unblock',
+      target: { type: 'sender', id: sender_id },
+      before: existingUser,
+      after: null,
+      districts: [district]
+    });
+    
+    console.log(`✅ User unblocked successfully: ${sender_id}`);
+    
+    res.json({ 
+      success: true, 
+      message: 'User unblocked successfully',
+      sender_id: sender_id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Unblock user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unblock user',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint: List all blocked users
+app.get('/admin/blocked-users', authenticateUser, requirePermission('users:read'), async (req, res) => {
+  console.log('📋 List blocked users request received');
+  
+  try {
+    const blockedUsers = await listBlockedUsers(req.adminScope);
+    
+    console.log(`✅ Found ${blockedUsers.length} blocked users`);
+    
+    res.json({ 
+      success: true,
+      count: blockedUsers.length,
+      blockedUsers: blockedUsers,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ List blocked users error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve blocked users',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint: Look up a sender's current block and past blocks
+app.get('/admin/blocked-users/:sender_id', authenticateUser, requirePermission('users:read'), validateRequest(REQUEST_SCHEMAS.blockedUser), async (req, res) => {
+  console.log('🔎 Block lookup request received:', req.params.sender_id);
+
+  try {
+    const { sender_id } = req.params;
+
+    const senderScope = await requireSenderInScope(req, res, sender_id);
+    if (!senderScope) return;
+
+    const [current, history] = await Promise.all([
+      getBlockedUser(sender_id),
+      getBlockHistory(sender_id)
+    ]);
+
+    res.json({
+      success: true,
+      sender_id,
+      district: senderScope.district,
+      blocked: isBlockActive(current),
+      currentBlock: current && isBlockActive(current) ? toSerializable(current) : null,
+      previousBlocks: history.length,
+      history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Block lookup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve block history',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Admin endpoint: Get SOS alerts for dashboard
+app.get('/admin/sos-alerts', authenticateUser, requirePermission('alerts:read'), validateRequest(REQUEST_SCHEMAS.sosAlerts), async (req, res) => {
+  console.log('📊 Get SOS alerts request received');
+  
+  try {
+    const activeOnly = req.query.active === 'true';
+    const alerts = await getSOSAlerts(activeOnly, req.adminScope);
+    
+    console.log(`✅ Found ${alerts.length} SOS alerts${activeOnly ? ' (active only)' : ''}`);
+    
+    res.json({ 
+      success: true,
+      count: alerts.length,
+      activeOnly: activeOnly,
+      alerts: alerts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get SOS alerts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve SOS alerts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Build the sos_alert_history query for /admin/sos-history and its export,
+ * applying filters and the caller's district scope.
+ * @param {object} params - {district, state, sender_id, event, from, to}
+ * @param {object} scope - req.adminScope
+ * @returns {{error?: {status: number, body: object}, query?: object|null}}
+ *   query is null when the scope allows no districts at all
+ */
+function buildSOSHistoryQuery({ district, state, sender_id, event, from, to }, scope) {
+  const range = parseDateRange({ from, to });
+  if (!range) {
+    return { error: { status: 400, body: {
+      error: 'Invalid parameters',
+      code: 'HISTORY_INVALID_DATE',
+      message: 'from and to must be ISO 8601 dates'
+    } } };
+  }
+
+  if (district && !isDistrictInScope(scope, district)) {
+    return { error: { status: 403, body: { 
+      error: 'Forbidden',
+      code: 'DISTRICT_NOT_IN_SCOPE',
+      message: `District ${district} is not assigned to you`
+    } } };
+  }
+
+  if (!district && !scope.isSuperAdmin) {
+    if (scope.assignedDistricts.length === 0) {
+      return { query: null };
+    }
+    // A paginated query can't be split across 'in' chunks
+    if (scope.assignedDistricts.length > 30) {
+      return { error: { status: 400, body: {
+        error: 'District filter required',
+        code: 'HISTORY_DISTRICT_REQUIRED',
+        message: 'Admins with more than 30 assigned districts must filter by district'
+      } } };
+    }
+  }
+
+  let query = admin.firestore().collection('sos_alert_history');
+
+  if (district) {
+    query = query.where('district', '==', district);
+  } else if (!scope.isSuperAdmin) {
+    query = query.where('district', 'in', scope.assignedDistricts);
+  }
+  if (state) query = query.where('state', '==', state.toUpperCase());
+  if (sender_id) query = query.where('sender_id', '==', sender_id);
+  if (event) query = query.where('event', '==', event);
+  if (range.from) query = query.where('timestamp', '>=', range.from);
+  if (range.to) query = query.where('timestamp', '<=', range.to);
+
+  return { query: query.orderBy('timestamp', 'desc') };
+}
+
+// Admin endpoint: Search SOS event history (triggered/stopped/responded...)
+// GET /admin/sos-history?from=&to=&district=&state=&sender_id=&event=&limit=&cursor=
+app.get('/admin/sos-history', authenticateUser, requirePermission('alerts:read'), validateRequest(REQUEST_SCHEMAS.sosHistory), async (req, res) => {
+  console.log('🗂️  Get SOS history request received:', req.query);
+
+  try {
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { error, query } = buildSOSHistoryQuery(req.query, req.adminScope);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+    if (!query) {
+      return res.json({ success: true, count: 0, events: [], nextCursor: null, timestamp: new Date().toISOString() });
+    }
+
+    const collectionRef = admin.firestore().collection('sos_alert_history');
+    const page = await fetchPage(query, collectionRef, cursor, limit);
+    if (!page) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        code: 'HISTORY_INVALID_CURSOR',
+        message: 'cursor does not refer to a history event'
+      });
+    }
+
+    const events = page.docs.map(doc => ({
+      id: doc.id,
+      ...toSerializable(doc.data())
+    }));
+
+    console.log(`✅ Found ${events.length} SOS history events`);
+
+    res.json({
+      success: true,
+      count: events.length,
+      events,
+      nextCursor: page.nextCursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get SOS history error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve SOS history',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Build a /admin/users row from an sos_alerts doc (null if it has no user info)
+ */
+function toUserRow(doc) {
+  const data = doc.data();
+  const userInfo = data.userInfo || {};
+
+  // Only include if we have user info
+  if (!userInfo.name && !userInfo.mobile_number) return null;
+
+  return {
+    sender_id: doc.id,
+    name: userInfo.name || 'Unknown',
+    mobile_number: userInfo.mobile_number || 'N/A',
+    state: data.state || 'Unknown',
+    district: data.district || 'Unknown',
+    blocked: false // Merged with blocked_users by the caller
+  };
+}
+
+/**
+ * Blocked-status fields merged into a /admin/users row
+ */
+function toBlockInfo(data) {
+  return {
+    blocked: true,
+    blockedAt: data.blockedAt?.toDate().toISOString(),
+    blockedBy: data.blockedBy,
+    reason: data.reason,
+    expiresAt: data.expiresAt?.toDate().toISOString() || null
+  };
+}
+
+/**
+ * Case-insensitive match of a /admin/users row against the search term
+ */
+function matchesUserSearch(user, search) {
+  const searchLower = search.toLowerCase();
+  return user.name.toLowerCase().includes(searchLower) ||
+    user.mobile_number.toLowerCase().includes(searchLower) ||
+    user.state.toLowerCase().includes(searchLower) ||
+    user.district.toLowerCase().includes(searchLower);
+}
+
+// Admin endpoint: Get paginated list of users with search
+app.get('/admin/users', authenticateUser, requirePermission('users:read'), validateRequest(REQUEST_SCHEMAS.users), async (req, res) => {
+  console.log('👥 Get users list request received');
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 50;
+    const search = req.query.search || '';
+    
+    // Get SOS alerts in the caller's districts to extract unique users
+    const docs = await getDocsInScope(admin.firestore().collection('sos_alerts'), req.adminScope);
+    
+    // Build user map (using sender_id as key to get unique users)
+    const userMap = new Map();
+    
+    for (const doc of docs) {
+      const user = toUserRow(doc);
+      if (user) {
+        userMap.set(user.sender_id, user);
+      }
+    }
+    
+    // Get blocked users information
+    const blockedSnapshot = await admin.firestore()
+      .collection('blocked_users')
+      .where('blocked', '==', true)
+      .get();
+    
+    const blockedMap = new Map();
+    blockedSnapshot.forEach(doc => {
+      const data = doc.data();
+      if (!isBlockActive(data)) return;
+      blockedMap.set(doc.id, toBlockInfo(data));
+    });
+    
+    // Merge blocked info into user map
+    for (const [senderId, userData] of userMap.entries()) {
+      if (blockedMap.has(senderId)) {
+        const blockedInfo = blockedMap.get(senderId);
+        userMap.set(senderId, { ...userData, ...blockedInfo });
+      }
+    }
+    
+    // Convert map to array
+    let users = Array.from(userMap.values());
+    
+    // Apply search filter if provided
+    if (search) {
+      users = users.filter(user => matchesUserSearch(user, search));
+    }
+    
+    // Sort by name
+    users.sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Calculate pagination
+    const total = users.length;
+    const totalPages = Math.ceil(total / pageSize);
+    const startIndex = (page - 1) * pageSize;
+    const endIndex = startIndex + pageSize;
+    const paginatedUsers = users.slice(startIndex, endIndex);
+    
+    console.log(`✅ Found ${total} users (showing ${paginatedUsers.length} on page ${page})`);
+    
+    res.json({ 
+      success: true,
+      users: paginatedUsers,
+      total: total,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get users list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve users',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// DATA EXPORTS - Stream alerts, history, users and blocked users as CSV/XLSX
+// Rows are read page by page and written straight to the response, so large
+// collections are never held in memory.
+// ============================================================================
+
+const EXPORT_CONFIG = {
+  PAGE_SIZE: 500,            // Firestore documents read per page while streaming
+  FORMATS: ['csv', 'xlsx']
+};
+
+/**
+ * Iterate over every document of an ordered query, one page at a time
+ * @param {object} query - Firestore query with an orderBy
+ */
+async function* iterateQuery(query) {
+  let lastDoc = null;
+  while (true) {
+    const page = lastDoc ? query.startAfter(lastDoc) : query;
+    const snapshot = await page.limit(EXPORT_CONFIG.PAGE_SIZE).get();
+
+    for (const doc of snapshot.docs) {
+      yield doc;
+    }
+
+    if (snapshot.docs.length < EXPORT_CONFIG.PAGE_SIZE) return;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Iterate over a query restricted to the caller's districts
+ * (chunked like getDocsInScope, one chunk after another)
+ */
+async function* iterateQueryInScope(query, scope, field = 'district') {
+  if (scope.isSuperAdmin) {
+    yield* iterateQuery(query);
+    return;
+  }
+
+  for (let i = 0; i < scope.assignedDistricts.length; i += 30) {
+    yield* iterateQuery(query.where(field, 'in', scope.assignedDistricts.slice(i, i + 30)));
+  }
+}
+
+/**
+ * Mask all but the last 4 digits of a phone number: "+91 98765 43210" -> "+** ***** *3210"
+ */
+function maskPhone(value) {
+  if (typeof value !== 'string') return value;
+  const digitCount = (value.match(/\d/g) || []).length;
+  let seen = 0;
+  return value.replace(/\d/g, digit => (++seen <= digitCount - 4 ? '*' : digit));
+}
+
+/**
+ * Escape a value for CSV. Cells that a spreadsheet would evaluate as a formula are
+ * prefixed with a quote; phone numbers like "+91..." (masked or not) are left alone.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s()*-]*$/.test(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a streaming CSV or XLSX writer on an Express response
+ * @param {object} res - Express response
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} filename - Download name without extension
+ * @param {{key: string, header: string}[]} columns
+ * @returns {{writeRow: function(object): Promise<void>, end: function(): Promise<void>}}
+ */
+function createExportWriter(res, format, filename, columns) {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(filename.slice(0, 31));
+    worksheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: 20 }));
+
+    return {
+      writeRow: async (row) => worksheet.addRow(row).commit(),
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  const write = (line) => new Promise(resolve => {
+    // Respect backpressure so slow clients don't make us buffer the whole export
+    if (res.write(line)) resolve();
+    else res.once('drain', resolve);
+  });
+
+  // BOM so Excel opens UTF-8 (Kannada/Hindi names) correctly
+  const header = write('\ufeff' + columns.map(c => toCsvCell(c.header)).join(',') + '\r\n');
+
+  return {
+    writeRow: async (row) => {
+      await header;
+      await write(columns.map(c => toCsvCell(row[c.key])).join(',') + '\r\n');
+    },
+    end: async () => {
+      await header;
+      res.end();
+    }
+  };
+}
+
+/**
+ * Export datasets. Each has its columns, the fields holding phone numbers (for masking),
+ * an optional validate(req) returning an error, and rows(req) yielding row objects.
+ * Filters and district scoping mirror the matching JSON endpoints.
+ */
+const EXPORT_DATASETS = {
+  'sos-alerts': {
+    columns: [
+      { key: 'sender_id', header: 'Sender ID' },
+      { key: 'active', header: 'Active' },
+      { key: 'district', header: 'District' },
+      { key: 'state', header: 'State' },
+      { key: 'name', header: 'Name' },
+      { key: 'mobile_number', header: 'Mobile Number' },
+      { key: 'message', header: 'Message' },
+      { key: 'approx_loc', header: 'Approx. Location' },
+      { key: 'latitude', header: 'Latitude' },
+      { key: 'longitude', header: 'Longitude' },
+      { key: 'responders', header: 'Responders' },
+      { key: 'timestamp', header: 'Timestamp' }
+    ],
+    phoneFields: ['mobile_number'],
+    rows: async function* (req) {
+      let query = admin.firestore().collection('sos_alerts');
+      if (req.query.active === 'true') {
+        query = query.where('active', '==', true);
+      }
+
+      for await (const doc of iterateQueryInScope(query.orderBy('timestamp', 'desc'), req.adminScope)) {
+        const data = doc.data();
+        yield {
+          sender_id: doc.id,
+          active: data.active,
+          district: data.district,
+          state: data.state,
+          name: data.userInfo?.name,
+          mobile_number: data.userInfo?.mobile_number,
+          message: data.userInfo?.message,
+          approx_loc: data.approx_loc,
+          latitude: data.location?.latitude,
+          longitude: data.location?.longitude,
+          responders: Object.keys(data.responders || {}).length,
+          timestamp: data.timestamp?.toDate().toISOString()
+        };
+      }
+    }
+  },
+
+  'sos-history': {
+    columns: [
+      { key: 'id', header: 'Event ID' },
+      { key: 'event', header: 'Event' },
+      { key: 'sender_id', header: 'Sender ID' },
+      { key: 'district', header: 'District' },
+      { key: 'state', header: 'State' },
+      { key: 'name', header: 'Name' },
+      { key: 'mobile_number', header: 'Mobile Number' },
+      { key: 'message', header: 'Message' },
+      { key: 'latitude', header: 'Latitude' },
+      { key: 'longitude', header: 'Longitude' },
+      { key: 'responder_fid', header: 'Responder FID' },
+      { key: 'timestamp', header: 'Timestamp' }
+    ],
+    phoneFields: ['mobile_number'],
+    validate: (req) => buildSOSHistoryQuery(req.query, req.adminScope).error,
+    rows: async function* (req) {
+      const { query } = buildSOSHistoryQuery(req.query, req.adminScope);
+      if (!query) return;
+
+      for await (const doc of iterateQuery(query)) {
+        const data = doc.data();
+        yield {
+          id: doc.id,
+          event: data.event,
+          sender_id: data.sender_id,
+          district: data.district,
+          state: data.state,
+          name: data.userInfo?.name,
+          mobile_number: data.userInfo?.mobile_number,
+          message: data.userInfo?.message,
+          latitude: data.location?.latitude,
+          longitude: data.location?.longitude,
+          responder_fid: data.responder?.fid,
+          timestamp: data.timestamp?.toDate().toISOString()
+        };
+      }
+    }
+  },
+
+  users: {
+    columns: [
+      { key: 'sender_id', header: 'Sender ID' },
+      { key: 'name', header: 'Name' },
+      { key: 'mobile_number', header: 'Mobile Number' },
+      { key: 'state', header: 'State' },
+      { key: 'district', header: 'District' },
+      { key: 'blocked', header: 'Blocked' },
+      { key: 'blockedAt', header: 'Blocked At' },
+      { key: 'blockedBy', header: 'Blocked By' },
+      { key: 'reason', header: 'Block Reason' },
+      { key: 'expiresAt', header: 'Block Expires At' }
+    ],
+    phoneFields: ['mobile_number'],
+    rows: async function* (req) {
+      const db = admin.firestore();
+      const search = req.query.search || '';
+      const query = db.collection('sos_alerts').orderBy(admin.firestore.FieldPath.documentId());
+
+      // Blocked status is looked up per page rather than loading every block up front
+      let pending = [];
+      const flush = async function* () {
+        if (pending.length === 0) return;
+        const blockedDocs = await db.getAll(...pending.map(u => db.collection('blocked_users').doc(u.sender_id)));
+        for (let i = 0; i < pending.length; i++) {
+          const blockData = blockedDocs[i].exists ? blockedDocs[i].data() : null;
+          yield isBlockActive(blockData) ? { ...pending[i], ...toBlockInfo(blockData) } : pending[i];
+        }
+        pending = [];
+      };
+
+      for await (const doc of iterateQueryInScope(query, req.adminScope)) {
+        const user = toUserRow(doc);
+        if (!user || (search && !matchesUserSearch(user, search))) continue;
+
+        pending.push(user);
+        if (pending.length >= EXPORT_CONFIG.PAGE_SIZE) {
+          yield* flush();
+        }
+      }
+      yield* flush();
+    }
+  },
+
+  'blocked-users': {
+    columns: [
+      { key: 'sender_id', header: 'Sender ID' },
+      { key: 'district', header: 'District' },
+      { key: 'reason', header: 'Reason' },
+      { key: 'blockedBy', header: 'Blocked By' },
+      { key: 'blockedAt', header: 'Blocked At' },
+      { key: 'expiresAt', header: 'Expires At' }
+    ],
+    phoneFields: [],
+    rows: async function* (req) {
+      const scope = req.adminScope;
+      const query = admin.firestore()
+        .collection('blocked_users')
+        .where('blocked', '==', true)
+        .orderBy('blockedAt', 'desc');
+
+      for await (const doc of iterateQuery(query)) {
+        const data = doc.data();
+        if (!isBlockActive(data)) continue;
+
+        // Same scoping as listBlockedUsers
+        const district = data.district || (scope.isSuperAdmin ? null : await getSenderDistrict(doc.id));
+        if (!isDistrictInScope(scope, district)) continue;
+
+        yield {
+          sender_id: doc.id,
+          district: district || data.district,
+          reason: data.reason,
+          blockedBy: data.blockedBy,
+          blockedAt: data.blockedAt?.toDate().toISOString(),
+          expiresAt: data.expiresAt?.toDate().toISOString() || null
+        };
+      }
+    }
+  }
+};
+
+// Admin endpoint: Export a dataset as CSV or XLSX
+// GET /admin/export/:dataset?format=csv|xlsx&maskPhones=true&<same filters as the JSON endpoint>
+// dataset: sos-alerts | sos-history | users | blocked-users
+app.get('/admin/export/:dataset', authenticateUser, requirePermission('data:export'), validateRequest(REQUEST_SCHEMAS.export), async (req, res) => {
+  console.log('📤 Export request received:', req.params.dataset, req.query);
+
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+  const format = req.query.format || 'csv';
+  const maskPhones = req.query.maskPhones === 'true';
+
+  if (!dataset) {
+    return res.status(404).json({
+      error: 'Unknown dataset',
+      code: 'EXPORT_UNKNOWN_DATASET',
+      message: `dataset must be one of: ${Object.keys(EXPORT_DATASETS).join(', ')}`
+    });
+  }
+
+  const validationError = dataset.validate?.(req);
+  if (validationError) {
+    return res.status(validationError.status).json(validationError.body);
+  }
+
+  try {
+    const filename = `${req.params.dataset}-${new Date().toISOString().slice(0, 10)}`;
+    const writer = createExportWriter(res, format, filename, dataset.columns);
+    let rowCount = 0;
+
+    for await (const row of dataset.rows(req)) {
+      if (maskPhones) {
+        for (const field of dataset.phoneFields) {
+          row[field] = maskPhone(row[field]);
+        }
+      }
+      await writer.writeRow(row);
+      rowCount++;
+    }
+
+    await writer.end();
+
+    await recordAuditLog(req, {
+      action: 'data.export',
+      target: { type: 'dataset', id: req.params.dataset },
+      after: { format, maskPhones, rows: rowCount, filters: req.query },
+      districts: req.adminScope.assignedDistricts
+    });
+
+    console.log(`✅ Exported ${rowCount} ${req.params.dataset} rows as ${format}`);
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ 
+        error: 'Failed to export data',
+        code: 'INTERNAL_ERROR',
+        message: error.message
+      });
+    }
+    // Headers (and maybe rows) are already out - abort so the client sees a failed download
+    res.destroy(error);
+  }
+});
+
+// ============================================================================
+// STATISTICS - Daily per-district aggregation of sos_alert_history
+// ============================================================================
+
+const STATS_CONFIG = {
+  TIMEZONE_OFFSET_MS: 5.5 * 60 * 60 * 1000,  // Days are IST calendar days (no DST)
+  MAX_RANGE_DAYS: 366,                        // Largest from..to span accepted by /admin/stats
+  DEFAULT_RANGE_DAYS: 30,
+  BACKFILL_BATCH_SIZE: 400                    // first_subscribed_at backfill writes per batch
+};
+
+/**
+ * Convert an IST calendar date ("YYYY-MM-DD") into its UTC start/end instants
+ * @param {string} dateKey
+ * @returns {{start: Date, end: Date}|null} null if dateKey isn't a valid date
+ */
+function getISTDayBounds(dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+  if (!match) return null;
+
+  const utcMidnight = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  if (isNaN(utcMidnight) || new Date(utcMidnight).toISOString().slice(0, 10) !== dateKey) return null;
+
+  const start = new Date(utcMidnight - STATS_CONFIG.TIMEZONE_OFFSET_MS);
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+/**
+ * IST calendar date ("YYYY-MM-DD") of an instant
+ * @param {Date} date
+ */
+function toISTDateKey(date) {
+  return new Date(date.getTime() + STATS_CONFIG.TIMEZONE_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Median of a list of numbers (null for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Set first_subscribed_at on subscribed_users docs written before it existed, from the
+ * doc's create time, so every subscriber is counted once as new. Progress is kept in
+ * stats_meta/first_subscribed_backfill, so an interrupted run resumes where it
+ * stopped; once complete this is a single read.
+ * @returns {Promise<{backfilled: number, done: boolean}>}
+ */
+async function backfillFirstSubscribedAt() {
+  const db = admin.firestore();
+  const metaRef = db.collection('stats_meta').doc('first_subscribed_backfill');
+  const meta = (await metaRef.get()).data() || {};
+  if (meta.done) return { backfilled: 0, done: true };
+
+  let query = db.collection('subscribed_users').orderBy(admin.firestore.FieldPath.documentId());
+  if (meta.cursor) query = query.startAfter(meta.cursor);
+
+  let backfilled = 0;
+  let batch = db.batch();
+  let batchSize = 0;
+  let cursor = meta.cursor || null;
+  const commit = async () => {
+    if (batchSize > 0) await batch.commit();
+    await metaRef.set({ cursor, updated_at: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    batch = db.batch();
+    batchSize = 0;
+  };
+
+  for await (const doc of iterateQuery(query)) {
+    cursor = doc.id;
+    const data = doc.data();
+    if (data.first_subscribed_at) continue;
+
+    batch.update(doc.ref, { first_subscribed_at: doc.createTime || data.last_subscribed_at || admin.firestore.FieldValue.serverTimestamp() });
+    batchSize++;
+    backfilled++;
+    if (batchSize >= STATS_CONFIG.BACKFILL_BATCH_SIZE) await commit();
+  }
+  await commit();
+  await metaRef.set({ done: true, completed_at: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+  console.log(`📈 Backfilled first_subscribed_at on ${backfilled} subscriber(s)`);
+  return { backfilled, done: true };
+}
+
+/**
+ * Aggregate one IST day of sos_alert_history and subscribed_users into per-district
+ * docs in the `stats` collection (ID: "<date>_<district>"). Safe to re-run: each run
+ * overwrites that day's docs.
+ *
+ * Time to stop is measured from a sender's latest 'triggered' event to their manual
+ * 'stopped' event; triggers from the previous day are looked up so alerts spanning
+ * midnight are counted on the day they were stopped.
+ *
+ * @param {string} dateKey - IST date "YYYY-MM-DD"
+ * @returns {Promise<object>} Summary {date, districts}
+ */
+async function aggregateDailyStats(dateKey) {
+  const bounds = getISTDayBounds(dateKey);
+  if (!bounds) throw new Error(`Invalid date: ${dateKey}`);
+
+  const db = admin.firestore();
+  const lookbackStart = new Date(bounds.start.getTime() - 24 * 60 * 60 * 1000);
+
+  const historySnapshot = await db.collection('sos_alert_history')
+    .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(lookbackStart))
+    .where('timestamp', '<', admin.firestore.Timestamp.fromDate(bounds.end))
+    .orderBy('timestamp', 'asc')
+    .get();
+
+  const byDistrict = new Map();
+  const districtStats = (district) => {
+    const key = district || 'unknown';
+    if (!byDistrict.has(key)) {
+      byDistrict.set(key, {
+        alerts_triggered: 0,
+        alerts_stopped: 0,
+        alerts_expired: 0,
+        responses: 0,
+        blocked_attempts: 0,
+        new_subscribers: 0,
+        senders: new Set(),
+        stopDurations: []
+      });
+    }
+    return byDistrict.get(key);
+  };
+
+  const lastTrigger = new Map(); // sender_id -> Date of latest trigger
+  for (const doc of historySnapshot.docs) {
+    const data = doc.data();
+    const at = data.timestamp?.toDate();
+    if (!at) continue;
+
+    const inDay = at >= bounds.start;
+
+    if (data.event === 'triggered') {
+      lastTrigger.set(data.sender_id, at);
+    }
+    if (!inDay) continue;
+
+    const stats = districtStats(data.district);
+    switch (data.event) {
+      case 'triggered':
+        stats.alerts_triggered++;
+        stats.senders.add(data.sender_id);
+        break;
+      case 'stopped': {
+        stats.alerts_stopped++;
+        const triggeredAt = lastTrigger.get(data.sender_id);
+        if (triggeredAt) {
+          stats.stopDurations.push((at.getTime() - triggeredAt.getTime()) / 1000);
+          lastTrigger.delete(data.sender_id);
+        }
+        break;
+      }
+      case 'expired':
+        stats.alerts_expired++;
+        lastTrigger.delete(data.sender_id);
+        break;
+      case 'responded':
+        stats.responses++;
+        break;
+      case 'blocked_attempt':
+        stats.blocked_attempts++;
+        break;
+    }
+  }
+
+  // Subscribers from before first_subscribed_at would otherwise never be counted
+  try {
+    await backfillFirstSubscribedAt();
+  } catch (error) {
+    console.error('⚠️  first_subscribed_at backfill failed (will resume next run):', error.message);
+  }
+
+  const subscribersSnapshot = await db.collection('subscribed_users')
+    .where('first_subscribed_at', '>=', admin.firestore.Timestamp.fromDate(bounds.start))
+    .where('first_subscribed_at', '<', admin.firestore.Timestamp.fromDate(bounds.end))
+    .get();
+
+  subscribersSnapshot.forEach(doc => {
+    districtStats(doc.data().district).new_subscribers++;
+  });
+
+  const batch = db.batch();
+  const summary = [];
+  for (const [district, stats] of byDistrict.entries()) {
+    const { senders, stopDurations, ...counts } = stats;
+    const statsData = {
+      date: dateKey,
+      district,
+      ...counts,
+      unique_senders: senders.size,
+      median_time_to_stop_seconds: median(stopDurations),
+      computed_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+    batch.set(db.collection('stats').doc(`${dateKey}_${district}`), statsData);
+    summary.push({ district, alerts_triggered: counts.alerts_triggered });
+  }
+  await batch.commit();
+
+  console.log(`📈 Aggregated stats for ${dateKey}: ${summary.length} district(s)`);
+  return { date: dateKey, districts: summary.length };
+}
+
+// Admin endpoint: Daily statistics per district
+// GET /admin/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&district=
+app.get('/admin/stats', authenticateUser, requirePermission('stats:read'), validateRequest(REQUEST_SCHEMAS.stats), async (req, res) => {
+  console.log('📈 Get stats request received:', req.query);
+
+  try {
+    const scope = req.adminScope;
+    const { district } = req.query;
+    const today = toISTDateKey(new Date());
+    const to = req.query.to || today;
+    const from = req.query.from ||
+      toISTDateKey(new Date(Date.now() - (STATS_CONFIG.DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+    const fromBounds = getISTDayBounds(from);
+    const toBounds = getISTDayBounds(to);
+    if (!fromBounds || !toBounds || fromBounds.start > toBounds.start) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        code: 'STATS_INVALID_RANGE',
+        message: 'from and to must be dates (YYYY-MM-DD) with from <= to'
+      });
+    }
+    if ((toBounds.start - fromBounds.start) / (24 * 60 * 60 * 1000) >= STATS_CONFIG.MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        code: 'STATS_INVALID_RANGE',
+        message: `Date range cannot exceed ${STATS_CONFIG.MAX_RANGE_DAYS} days`
+      });
+    }
+
+    if (district && !isDistrictInScope(scope, district)) {
+      return res.status(403).json({ 
+        error: 'Forbidden',
+        code: 'DISTRICT_NOT_IN_SCOPE',
+        message: `District ${district} is not assigned to you`
+      });
+    }
+
+    let query = admin.firestore()
+      .collection('stats')
+      .where('date', '>=', from)
+      .where('date', '<=', to);
+
+    let docs;
+    if (district) {
+      docs = (await query.where('district', '==', district).get()).docs;
+    } else {
+      docs = await getDocsInScope(query, scope);
+    }
+
+    const days = docs
+      .map(doc => {
+        const { computed_at, ...data } = doc.data();
+        return { ...data, computed_at: computed_at?.toDate().toISOString() };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date) || a.district.localeCompare(b.district));
+
+    const countFields = ['alerts_triggered', 'alerts_stopped', 'alerts_expired', 'responses', 'blocked_attempts', 'new_subscribers'];
+    const totals = Object.fromEntries(countFields.map(field => [
+      field,
+      days.reduce((sum, day) => sum + (day[field] || 0), 0)
+    ]));
+
+    console.log(`✅ Found ${days.length} stats rows (${from} to ${to})`);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      district: district || null,
+      count: days.length,
+      totals,
+      days,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get stats error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve stats',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Per-district subscriber and FCM token counts from validateFcmTokens
+// Query: date (YYYY-MM-DD, default: latest run)
+app.get('/admin/subscriber-counts', authenticateUser, requirePermission('stats:read'), validateRequest(REQUEST_SCHEMAS.subscriberCounts), async (req, res) => {
+  console.log('📈 Get subscriber counts request received:', req.query);
+
+  try {
+    const collectionRef = admin.firestore().collection('subscriber_counts');
+    let date = req.query.date;
+
+    if (date && !getISTDayBounds(date)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        code: 'SUBSCRIBER_COUNTS_INVALID_DATE',
+        message: 'date must be a date (YYYY-MM-DD)'
+      });
+    }
+    if (!date) {
+      const latest = await collectionRef.orderBy('date', 'desc').limit(1).get();
+      date = latest.empty ? null : latest.docs[0].data().date;
+    }
+
+    const docs = date ? await getDocsInScope(collectionRef.where('date', '==', date), req.adminScope) : [];
+    const districts = docs
+      .map(doc => {
+        const { computed_at, ...data } = doc.data();
+        return { ...data, computed_at: computed_at?.toDate().toISOString() };
+      })
+      .sort((a, b) => a.district.localeCompare(b.district));
+
+    const countFields = ['subscribers', 'valid_tokens', 'pruned_tokens', 'unverified_tokens'];
+    const totals = Object.fromEntries(countFields.map(field => [
+      field,
+      districts.reduce((sum, row) => sum + (row[field] || 0), 0)
+    ]));
+
+    res.json({
+      success: true,
+      date,
+      count: districts.length,
+      totals,
+      districts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get subscriber counts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve subscriber counts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ADMIN INVITES - Onboarding via one-time password-setup links
+// ============================================================================
+
+/**
+ * Effective status of an admin invite.
+ * A pending invite past its expiresAt is reported as expired even before
+ * expireAdminInvites has persisted it. Admins without an invite were created
+ * before invites existed and count as accepted.
+ * @param {object|undefined} invite - invite map from the admins doc
+ * @returns {'pending'|'accepted'|'expired'|'revoked'}
+ */
+function getInviteStatus(invite) {
+  if (!invite) return 'accepted';
+  if (invite.status === 'pending' && invite.expiresAt && invite.expiresAt.toMillis() <= Date.now()) {
+    return 'expired';
+  }
+  return invite.status;
+}
+
+/**
+ * Invite fields safe to return from the API
+ */
+function formatInvite(invite) {
+  if (!invite) return { status: 'accepted' };
+  return {
+    status: getInviteStatus(invite),
+    sentAt: invite.sentAt?.toDate().toISOString(),
+    expiresAt: invite.expiresAt?.toDate().toISOString(),
+    sentCount: invite.sentCount || 0,
+    acceptedAt: invite.acceptedAt?.toDate().toISOString(),
+    revokedAt: invite.revokedAt?.toDate().toISOString()
+  };
+}
+
+/**
+ * Generate a one-time password-setup link and email it to the admin.
+ * Email failures are reported (not thrown) so the invite can be resent later.
+ * @param {string} email - Admin email (must already exist in Firebase Auth)
+ * @param {object} adminData - {role, assignedDistricts}
+ * @param {object|null} previousInvite - Existing invite map (for sentCount)
+ * @returns {Promise<{invite: object, emailSent: boolean}>} invite map to store on the admins doc
+ */
+async function issueAdminInvite(email, adminData, previousInvite = null) {
+  const continueUrl = adminDashboardUrl.value();
+  const inviteLink = await admin.auth().generatePasswordResetLink(
+    email,
+    continueUrl ? { url: continueUrl } : undefined
+  );
+  const expiresAt = new Date(Date.now() + INVITE_CONFIG.EXPIRY_MS);
+
+  let emailSent = true;
+  try {
+    await sendWelcomeEmail(email, inviteLink, adminData.assignedDistricts || [], adminData.role, expiresAt);
+    console.log(`✅ Invite email sent to ${email}`);
+  } catch (emailError) {
+    console.error('⚠️ Failed to send invite email:', emailError);
+    emailSent = false;
+  }
+
+  return {
+    emailSent,
+    invite: {
+      status: 'pending',
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      sentCount: (previousInvite?.sentCount || 0) + 1
+    }
+  };
+}
+
+/**
+ * Mark an admin's invite as accepted (called on their first authenticated request)
+ * @param {string} email
+ */
+async function markInviteAccepted(email) {
+  await admin.firestore()
+    .collection('admins')
+    .doc(email)
+    .update({
+      'invite.status': 'accepted',
+      'invite.acceptedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+  console.log(`✅ Invite accepted: ${email}`);
+}
+
+/**
+ * Settle pending invites: mark them accepted if the admin has signed in
+ * (covers super-admins, whose requests skip the admins doc), otherwise expired
+ * once expiresAt has passed.
+ * @returns {Promise<object>} Summary {accepted, expired}
+ */
+async function expireAdminInvites() {
+  const snapshot = await admin.firestore()
+    .collection('admins')
+    .where('invite.status', '==', 'pending')
+    .get();
+
+  const accepted = [];
+  const expired = [];
+  for (const doc of snapshot.docs) {
+    let signedIn = false;
+    try {
+      const userRecord = await admin.auth().getUserByEmail(doc.id);
+      signedIn = !!userRecord.metadata?.lastSignInTime;
+    } catch (authError) {
+      console.error(`⚠️  Auth lookup failed for ${doc.id}:`, authError.message);
+    }
+
+    if (signedIn) {
+      await markInviteAccepted(doc.id);
+      accepted.push(doc.id);
+    } else if (getInviteStatus(doc.data().invite) === 'expired') {
+      await doc.ref.update({ 'invite.status': 'expired' });
+      expired.push(doc.id);
+    }
+  }
+
+  console.log(`✅ Invite check: ${accepted.length} accepted, ${expired.length} expired`);
+  return { accepted: accepted.length, expired: expired.length, expiredInvites: expired };
+}
+
+// ============================================================================
+// ADMIN MANAGEMENT ENDPOINTS
+// ============================================================================
+
+// Get current user profile (authenticated user - super admin or admin)
+app.get('/admin/profile', authenticateUser, requirePermission('profile:read'), async (req, res) => {
+  console.log('👤 Get profile request received for:', req.user.email);
+  
+  try {
+    const scope = req.adminScope;
+    
+    res.json({ 
+      success: true,
+      user: {
+        email: req.user.email,
+        role: legacyRoleName(scope.role, 'superadmin'),
+        accessRole: scope.role,
+        permissions: scope.permissions,
+        assignedDistricts: scope.assignedDistricts,
+        active: true
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get profile error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve profile',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// List all admins (super admin only)
+app.get('/admin/admins', authenticateUser, requirePermission('admins:manage'), async (req, res) => {
+  console.log('📋 List admins request received');
+  
+  try {
+    const snapshot = await admin.firestore()
+      .collection('admins')
+      .orderBy('createdAt', 'desc')
+      .get();
+    
+    const admins = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const accessRole = normalizeRole(data.role) || data.role;
+      admins.push({
+        email: doc.id,
+        role: legacyRoleName(accessRole, 'super-admin'),
+        accessRole,
+        assignedDistricts: data.assignedDistricts || [],
+        active: data.active !== false,
+        invite: formatInvite(data.invite),
+        createdAt: data.createdAt?.toDate().toISOString(),
+        createdBy: data.createdBy || 'unknown'
+      });
+    });
+    
+    console.log(`✅ Found ${admins.length} admins`);
+    
+    res.json({ 
+      success: true,
+      count: admins.length,
+      admins: admins,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ List admins error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve admins',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Create new admin (super admin only)
+app.post('/admin/admins', authenticateUser, requirePermission('admins:manage'), validateRequest(REQUEST_SCHEMAS.adminCreate), async (req, res) => {
+  console.log('➕ Create admin request received:', req.body);
+  
+  try {
+    const { email, assignedDistricts, role } = req.body;
+
+    // Resolve role (defaults to district-admin; legacy 'admin' is accepted)
+    const adminRole = normalizeRole(role);
+
+    // Super-admins see all districts — assigned districts are not applicable
+    let districts = [];
+    if (adminRole !== 'super-admin' && assignedDistricts) {
+      const { keys, value, lookup } = await resolveDistrictKeys(assignedDistricts);
+      if (!keys) {
+        return sendDistrictError(res, 'ADMIN', 'assignedDistricts', value, lookup);
+      }
+      districts = keys;
+    }
+    
+    // Check if admin already exists in Firestore
+    const existingAdmin = await getAdmin(email);
+    if (existingAdmin) {
+      return res.status(409).json({ 
+        error: 'Admin already exists',
+        code: 'ADMIN_ALREADY_EXISTS',
+        message: `Admin with email ${email} already exists`
+      });
+    }
+    
+    // Create user in Firebase Auth (no password until the invite is accepted)
+    let userRecord;
+    try {
+      userRecord = await admin.auth().createUser({
+        email: email,
+        emailVerified: true
+      });
+    } catch (authError) {
+      console.error('Auth creation error:', authError);
+      return res.status(400).json({ 
+        error: 'Failed to create user account',
+        code: 'ADMIN_AUTH_CREATE_FAILED',
+        message: authError.message
+      });
+    }
+
+    // Set superadmin custom claim immediately for super-admin role
+    if (adminRole === 'super-admin') {
+      await admin.auth().setCustomUserClaims(userRecord.uid, { superadmin: true });
+      console.log(`✅ Set superadmin custom claim for ${email}`);
+      await recordAuditLog(req, {
+        action: 'admin.claims.set',
+        target: { type: 'admin', id: email },
+        before: { superadmin: false },
+        after: { superadmin: true }
+      });
+    }
+    
+    // Create admin document in Firestore
+    const adminData = {
+      role: adminRole,
+      assignedDistricts: districts,
+      active: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.email
+    };
+
+    // Generate the invite link and send the welcome email (don't fail if email fails - it can be resent)
+    const { invite, emailSent } = await issueAdminInvite(email, adminData);
+    adminData.invite = { ...invite, invitedBy: req.user.email };
+    
+    await admin.firestore()
+      .collection('admins')
+      .doc(email)
+      .set(adminData);
+
+    await recordAuditLog(req, {
+      action: 'admin.create',
+      target: { type: 'admin', id: email },
+      after: adminData,
+      districts
+    });
+
+    // Invalidate cache so the new super-admin is recognised on next request
+    if (adminRole === 'super-admin') {
+      invalidateSuperAdminCache();
+    }
+    
+    console.log(`✅ ${adminRole} created successfully: ${email}`);
+    
+    res.json({ 
+      success: true,
+      message: emailSent
+        ? 'Admin created successfully - invite sent'
+        : 'Admin created, but the invite email could not be sent - resend the invite',
+      emailSent,
+      admin: {
+        email: email,
+        uid: userRecord.uid,
+        ...adminData,
+        role: legacyRoleName(adminRole, 'super-admin'),
+        accessRole: adminRole,
+        invite: {
+          status: 'pending',
+          sentCount: invite.sentCount,
+          expiresAt: invite.expiresAt.toDate().toISOString()
+        },
+        createdAt: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Create admin error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create admin',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Update admin (super admin only)
+app.put('/admin/admins/:email', authenticateUser, requirePermission('admins:manage'), validateRequest(REQUEST_SCHEMAS.adminUpdate), async (req, res) => {
+  console.log('✏️ Update admin request received:', req.params.email, req.body);
+  
+  try {
+    const { email } = req.params;
+    const { assignedDistricts, active, role } = req.body;
+    
+    // Super admin accounts cannot be modified via API
+    if (await isSuperAdmin(email)) {
+      return res.status(400).json({ 
+        error: 'Cannot update super admin',
+        code: 'ADMIN_SUPER_ADMIN_IMMUTABLE',
+        message: 'Super admin accounts cannot be modified'
+      });
+    }
+    
+    // Check if admin exists
+    const existingAdmin = await getAdmin(email);
+    if (!existingAdmin) {
+      return res.status(404).json({ 
+        error: 'Admin not found',
+        code: 'ADMIN_NOT_FOUND',
+        message: `Admin with email ${email} does not exist`
+      });
+    }
+    
+    // Build update data
+    const updateData = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.email
+    };
+    
+    if (role !== undefined) {
+      updateData.role = normalizeRole(role);
+    }
+    
+    if (assignedDistricts !== undefined) {
+      const { keys, value, lookup } = await resolveDistrictKeys(assignedDistricts);
+      if (!keys) {
+        return sendDistrictError(res, 'ADMIN', 'assignedDistricts', value, lookup);
+      }
+      updateData.assignedDistricts = keys;
+    }
+    
+    if (active !== undefined) {
+      updateData.active = active;
+    }
+
+    // Promoted super-admins see all districts - assigned districts are not applicable
+    if (updateData.role === 'super-admin') {
+      updateData.assignedDistricts = [];
+    }
+    
+    // Update admin document
+    await admin.firestore()
+      .collection('admins')
+      .doc(email)
+      .update(updateData);
+
+    await recordAuditLog(req, {
+      action: 'admin.update',
+      target: { type: 'admin', id: email },
+      before: existingAdmin,
+      after: { ...existingAdmin, ...updateData },
+      districts: [...(existingAdmin.assignedDistricts || []), ...(updateData.assignedDistricts || [])]
+    });
+
+    // The superadmin claim is set by authenticateUser on the promoted admin's next request
+    if (updateData.role === 'super-admin') {
+      invalidateSuperAdminCache();
+    }
+    
+    console.log(`✅ Admin updated successfully: ${email}`);
+    
+    res.json({ 
+      success: true,
+      message: 'Admin updated successfully',
+      email: email,
+      updates: updateData.role
+        ? { ...updateData, role: legacyRoleName(updateData.role, 'super-admin'), accessRole: updateData.role }
+        : updateData,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Update admin error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update admin',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Resend an admin invite (super admin only)
+// Issues a fresh link; also re-activates an invite that was revoked or expired
+app.post('/admin/admins/:email/resend-invite', authenticateUser, requirePermission('admins:manage'), validateRequest(REQUEST_SCHEMAS.adminByEmail), async (req, res) => {
+  console.log('📨 Resend invite request received:', req.params.email);
+
+  try {
+    const { email } = req.params;
+
+    const existingAdmin = await getAdmin(email);
+    if (!existingAdmin) {
+      return res.status(404).json({ 
+        error: 'Admin not found',
+        code: 'ADMIN_NOT_FOUND',
+        message: `Admin with email ${email} does not exist`
+      });
+    }
+
+    const status = getInviteStatus(existingAdmin.invite);
+    if (status === 'accepted') {
+      return res.status(409).json({ 
+        error: 'Invite already accepted',
+        code: 'ADMIN_INVITE_ACCEPTED',
+        message: `${email} has already completed onboarding; use password reset instead`
+      });
+    }
+
+    // A revoked invite disabled the account - enable it again so the new link works
+    if (status === 'revoked') {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      await admin.auth().updateUser(userRecord.uid, { disabled: false });
+    }
+
+    const { invite, emailSent } = await issueAdminInvite(email, {
+      role: normalizeRole(existingAdmin.role),
+      assignedDistricts: existingAdmin.assignedDistricts
+    }, existingAdmin.invite);
+
+    const updateData = {
+      invite: { ...invite, invitedBy: req.user.email },
+      active: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.email
+    };
+
+    await admin.firestore()
+      .collection('admins')
+      .doc(email)
+      .update(updateData);
+
+    await recordAuditLog(req, {
+      action: 'admin.invite.resend',
+      target: { type: 'admin', id: email },
+      before: { invite: { status, sentCount: existingAdmin.invite?.sentCount || 0 }, active: existingAdmin.active },
+      after: { invite: { status: 'pending', sentCount: invite.sentCount }, active: true },
+      districts: existingAdmin.assignedDistricts || []
+    });
+
+    console.log(`✅ Invite resent: ${email}`);
+
+    res.json({ 
+      success: true,
+      message: emailSent ? 'Invite resent successfully' : 'Invite renewed, but the email could not be sent',
+      emailSent,
+      email: email,
+      invite: {
+        status: 'pending',
+        sentCount: invite.sentCount,
+        expiresAt: invite.expiresAt.toDate().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Resend invite error:', error);
+    res.status(500).json({ 
+      error: 'Failed to resend invite',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a pending admin invite (super admin only)
+// Disables the account so an already-sent link can no longer be used to sign in
+app.post('/admin/admins/:email/revoke-invite', authenticateUser, requirePermission('admins:manage'), validateRequest(REQUEST_SCHEMAS.adminByEmail), async (req, res) => {
+  console.log('🚫 Revoke invite request received:', req.params.email);
+
+  try {
+    const { email } = req.params;
+
+    const existingAdmin = await getAdmin(email);
+    if (!existingAdmin) {
+      return res.status(404).json({ 
+        error: 'Admin not found',
+        code: 'ADMIN_NOT_FOUND',
+        message: `Admin with email ${email} does not exist`
+      });
     }
-    
-    // Get blocked users information
-    const blockedSnapshot = await admin.firestore()
-      .collection('blocked_users')
-      .where('blocked', '==', true)
-      .get();
-    
-    const blockedMap = new Map();
-    blockedSnapshot.forEach(doc => {
-      const data = doc.data();
-      blockedMap.set(doc.id, {
-        blocked: true,
-        blockedAt: data.blockedAt?.toDate().toISOString(),
-        blockedBy: data.blockedBy,
-        reason: data.reason
+
+    const status = getInviteStatus(existingAdmin.invite);
+    if (status !== 'pending' && status !== 'expired') {
+      return res.status(409).json({ 
+        error: 'Invite not revocable',
+        code: 'ADMIN_INVITE_NOT_REVOCABLE',
+        message: `Invite for ${email} is ${status}; only pending or expired invites can be revoked`
+      });
+    }
+
+    try {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      await admin.auth().updateUser(userRecord.uid, { disabled: true });
+      await admin.auth().revokeRefreshTokens(userRecord.uid);
+    } catch (authError) {
+      console.error('Auth disable error:', authError);
+      // Continue - the inactive admins doc already denies API access
+    }
+
+    await admin.firestore()
+      .collection('admins')
+      .doc(email)
+      .update({
+        'invite.status': 'revoked',
+        'invite.revokedAt': admin.firestore.FieldValue.serverTimestamp(),
+        'invite.revokedBy': req.user.email,
+        active: false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: req.user.email
       });
+
+    await recordAuditLog(req, {
+      action: 'admin.invite.revoke',
+      target: { type: 'admin', id: email },
+      before: { invite: { status }, active: existingAdmin.active },
+      after: { invite: { status: 'revoked' }, active: false },
+      districts: existingAdmin.assignedDistricts || []
+    });
+
+    console.log(`✅ Invite revoked: ${email}`);
+
+    res.json({ 
+      success: true,
+      message: 'Invite revoked successfully',
+      email: email,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Revoke invite error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke invite',
+      code: 'INTERNAL_ERROR',
+      message: error.message
     });
+  }
+});
+
+// Delete admin (super admin only)
+app.delete('/admin/admins/:email', authenticateUser, requirePermission('admins:manage'), validateRequest(REQUEST_SCHEMAS.adminByEmail), async (req, res) => {
+  console.log('🗑️ Delete admin request received:', req.params.email);
+  
+  try {
+    const { email } = req.params;
     
-    // Merge blocked info into user map
-    for (const [senderId, userData] of userMap.entries()) {
-      if (blockedMap.has(senderId)) {
-        const blockedInfo = blockedMap.get(senderId);
-        userMap.set(senderId, { ...userData, ...blockedInfo });
-      }
+    // Super admin accounts cannot be deleted via API
+    if (await isSuperAdmin(email)) {
+      return res.status(400).json({ 
+        error: 'Cannot delete super admin',
+        code: 'ADMIN_SUPER_ADMIN_IMMUTABLE',
+        message: 'Super admin accounts cannot be deleted'
+      });
     }
     
-    // Convert map to array
-    let users = Array.from(userMap.values());
-    
-    // Apply search filter if provided
-    if (search) {
-      const searchLower = search.toLowerCase();
-      users = users.filter(user => 
-        user.name.toLowerCase().includes(searchLower) ||
-        user.mobile_number.toLowerCase().includes(searchLower) ||
-        user.state.toLowerCase().includes(searchLower) ||
-        user.district.toLowerCase().includes(searchLower)
-      );
+    // Check if admin exists
+    const existingAdmin = await getAdmin(email);
+    if (!existingAdmin) {
+      return res.status(404).json({ 
+        error: 'Admin not found',
+        code: 'ADMIN_NOT_FOUND',
+        message: `Admin with email ${email} does not exist`
+      });
     }
+
+    const wasSuper = existingAdmin.role === 'super-admin';
     
-    // Sort by name
-    users.sort((a, b) => a.name.localeCompare(b.name));
+    // Get user by email to delete from Auth
+    let userRecord;
+    try {
+      userRecord = await admin.auth().getUserByEmail(email);
+      await admin.auth().deleteUser(userRecord.uid);
+    } catch (authError) {
+      console.error('Auth deletion error:', authError);
+      // Continue to delete from Firestore even if Auth deletion fails
+    }
     
-    // Calculate pagination
-    const total = users.length;
-    const totalPages = Math.ceil(total / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedUsers = users.slice(startIndex, endIndex);
+    // Delete admin document from Firestore
+    await admin.firestore()
+      .collection('admins')
+      .doc(email)
+      .delete();
+
+    await recordAuditLog(req, {
+      action: 'admin.delete',
+      target: { type: 'admin', id: email },
+      before: existingAdmin,
+      after: null,
+      districts: existingAdmin.assignedDistricts || []
+    });
+
+    // Invalidate cache if we just removed a super-admin
+    if (wasSuper) {
+      invalidateSuperAdminCache();
+    }
     
-    console.log(`✅ Found ${total} users (showing ${paginatedUsers.length} on page ${page})`);
+    console.log(`✅ Admin deleted successfully: ${email}`);
     
     res.json({ 
       success: true,
-      users: paginatedUsers,
-      total: total,
-      page: page,
-      pageSize: pageSize,
-      totalPages: totalPages,
+      message: 'Admin deleted successfully',
+      email: email,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Delete admin error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete admin',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Query the admin audit log (super admins see everything, admins see their districts)
+// GET /admin/audit-log?actor=&target=&action=&from=&to=&limit=&cursor=
+app.get('/admin/audit-log', authenticateUser, requirePermission('audit:read'), validateRequest(REQUEST_SCHEMAS.auditLog), async (req, res) => {
+  console.log('📜 Get audit log request received:', req.query);
+
+  try {
+    const { actor, target, action, from, to, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const isSuperAdminUser = req.adminScope.isSuperAdmin;
+    const allowedDistricts = req.adminScope.assignedDistricts;
+
+    if (!isSuperAdminUser && allowedDistricts.length === 0) {
+      return res.json({ success: true, count: 0, entries: [], nextCursor: null, timestamp: new Date().toISOString() });
+    }
+
+    const range = parseDateRange({ from, to });
+    if (!range) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        code: 'AUDIT_INVALID_DATE',
+        message: 'from and to must be ISO 8601 dates'
+      });
+    }
+
+    const collectionRef = admin.firestore().collection('admin_audit_log');
+    let query = collectionRef;
+
+    if (actor) query = query.where('actor', '==', actor);
+    if (action) query = query.where('action', '==', action);
+    if (target) query = query.where('target.id', '==', target);
+    if (range.from) query = query.where('timestamp', '>=', range.from);
+    if (range.to) query = query.where('timestamp', '<=', range.to);
+    query = query.orderBy('timestamp', 'desc');
+
+    // array-contains-any accepts at most 30 values, so larger assignments are
+    // queried in chunks and merged into one page
+    const queries = [];
+    if (isSuperAdminUser) {
+      queries.push(query);
+    } else {
+      for (let i = 0; i < allowedDistricts.length; i += 30) {
+        queries.push(query.where('districts', 'array-contains-any', allowedDistricts.slice(i, i + 30)));
+      }
+    }
+
+    const page = await fetchMergedPage(queries, collectionRef, cursor, limit);
+    if (!page) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        code: 'AUDIT_INVALID_CURSOR',
+        message: 'cursor does not refer to an audit log entry'
+      });
+    }
+
+    const entries = page.docs.map(doc => ({
+      id: doc.id,
+      ...toSerializable(doc.data())
+    }));
+
+    console.log(`✅ Found ${entries.length} audit log entries`);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries,
+      nextCursor: page.nextCursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Get audit log error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve audit log',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// WEBHOOK SUBSCRIPTIONS - Partner endpoints for SOS events (super admin only)
+// ============================================================================
+
+// List webhook subscriptions
+app.get('/admin/webhooks', authenticateUser, requirePermission('webhooks:manage'), async (req, res) => {
+  console.log('🪝 List webhooks request received');
+
+  try {
+    const snapshot = await admin.firestore()
+      .collection('webhook_subscriptions')
+      .orderBy('created_at', 'desc')
+      .get();
+
+    const webhooks = snapshot.docs.map(formatWebhookSubscription);
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks,
+      events: WEBHOOK_CONFIG.EVENTS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ List webhooks error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve webhooks',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Create a webhook subscription
+// Body: { url, districts?, events?, description? } - the secret is only returned here
+app.post('/admin/webhooks', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookCreate), async (req, res) => {
+  console.log('🪝 Create webhook request received:', req.body);
+
+  try {
+    const { subscription, error } = parseWebhookSubscription(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid webhook', code: 'WEBHOOK_INVALID', message: error });
+    }
+
+    const secret = generateWebhookSecret();
+    const docRef = await admin.firestore().collection('webhook_subscriptions').add({
+      description: null,
+      ...subscription,
+      secret,
+      active: true,
+      consecutive_failures: 0,
+      created_by: req.user.email,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await recordAuditLog(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: docRef.id },
+      after: subscription,
+      districts: subscription.districts
+    });
+
+    console.log(`✅ Webhook ${docRef.id} created for ${subscription.url}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it is not shown again.',
+      webhook: formatWebhookSubscription(await docRef.get()),
+      secret,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Create webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Update a webhook subscription
+// Body: any of { url, districts, events, description, active } - re-enabling resets the failure count
+app.put('/admin/webhooks/:id', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookUpdate), async (req, res) => {
+  console.log('🪝 Update webhook request received:', req.params.id, req.body);
+
+  try {
+    const docRef = admin.firestore().collection('webhook_subscriptions').doc(req.params.id);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND',
+        message: `Webhook ${req.params.id} does not exist`
+      });
+    }
+
+    const { subscription, error } = parseWebhookSubscription(req.body, true);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid webhook', code: 'WEBHOOK_INVALID', message: error });
+    }
+
+    const updateData = {
+      ...subscription,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (subscription.active === true) {
+      updateData.consecutive_failures = 0;
+      updateData.disabled_at = admin.firestore.FieldValue.delete();
+      updateData.disabled_reason = admin.firestore.FieldValue.delete();
+    }
+    await docRef.update(updateData);
+
+    const before = formatWebhookSubscription(existing);
+    await recordAuditLog(req, {
+      action: 'webhook.update',
+      target: { type: 'webhook', id: existing.id },
+      before,
+      after: { ...before, ...subscription },
+      districts: [...before.districts, ...(subscription.districts || [])]
+    });
+
+    console.log(`✅ Webhook ${existing.id} updated`);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: formatWebhookSubscription(await docRef.get()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Update webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Replace a webhook's HMAC secret (the new secret is only returned here)
+app.post('/admin/webhooks/:id/rotate-secret', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookById), async (req, res) => {
+  console.log('🪝 Rotate webhook secret request received:', req.params.id);
+
+  try {
+    const docRef = admin.firestore().collection('webhook_subscriptions').doc(req.params.id);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND',
+        message: `Webhook ${req.params.id} does not exist`
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    await docRef.update({
+      secret,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await recordAuditLog(req, {
+      action: 'webhook.rotate_secret',
+      target: { type: 'webhook', id: existing.id },
+      districts: existing.data().districts || []
+    });
+
+    console.log(`✅ Webhook ${existing.id} secret rotated`);
+
+    res.json({
+      success: true,
+      message: 'Secret rotated. Pending retries are signed with the new secret.',
+      secret,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate webhook secret',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Send a signed 'webhook.test' event to one subscription (also works while it is disabled)
+app.post('/admin/webhooks/:id/test', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookById), async (req, res) => {
+  console.log('🪝 Test webhook request received:', req.params.id);
+
+  try {
+    const existing = await admin.firestore().collection('webhook_subscriptions').doc(req.params.id).get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND',
+        message: `Webhook ${req.params.id} does not exist`
+      });
+    }
+
+    const { deliveryRef, delivery, subscription } = await queueWebhookDelivery(existing, 'webhook.test', null, {
+      message: 'Test event from RRT',
+      requested_by: req.user.email
+    });
+    const delivered = await attemptWebhookDelivery(deliveryRef, delivery, subscription);
+
+    res.json({
+      success: true,
+      delivered,
+      message: delivered ? 'Test event delivered' : 'Test event failed - see the delivery log',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Get users list error:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve users',
+    console.error('❌ Test webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to send test webhook',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
-// ============================================================================
-// ADMIN MANAGEMENT ENDPOINTS
-// ============================================================================
+// Delivery log of a webhook (newest first; filter: status; cursor pagination)
+app.get('/admin/webhooks/:id/deliveries', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookDeliveries), async (req, res) => {
+  console.log('🪝 Webhook deliveries request received:', req.params.id, req.query);
 
-// Get current user profile (authenticated user - super admin or admin)
-app.get('/admin/profile', authenticateUser, async (req, res) => {
-  console.log('👤 Get profile request received for:', req.user.email);
-  
   try {
-    const isSuperAdminUser = await isSuperAdmin(req.user.email);
-    let adminDoc = null;
-    
-    if (!isSuperAdminUser) {
-      adminDoc = await getAdmin(req.user.email);
-      
-      if (!adminDoc || !adminDoc.active) {
-        return res.status(403).json({ 
-          error: 'Forbidden',
-          message: 'Admin account is inactive or not found'
-        });
-      }
+    const { status, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const collectionRef = admin.firestore().collection('webhook_deliveries');
+    let query = collectionRef.where('subscription_id', '==', req.params.id);
+    if (status) query = query.where('status', '==', status);
+
+    const page = await fetchPage(query.orderBy('created_at', 'desc'), collectionRef, cursor, limit);
+    if (!page) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        code: 'WEBHOOK_INVALID_CURSOR',
+        message: 'cursor does not refer to a webhook delivery'
+      });
     }
-    
-    res.json({ 
+
+    const deliveries = page.docs.map(doc => {
+      const { body, ...data } = doc.data();
+      return { id: doc.id, ...toSerializable(data), payload: JSON.parse(body) };
+    });
+
+    res.json({
       success: true,
-      user: {
-        email: req.user.email,
-        role: isSuperAdminUser ? 'superadmin' : 'admin',
-        assignedDistricts: isSuperAdminUser ? [] : (adminDoc?.assignedDistricts || []),
-        active: isSuperAdminUser ? true : (adminDoc?.active || false)
-      },
+      count: deliveries.length,
+      deliveries,
+      nextCursor: page.nextCursor,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Get profile error:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve profile',
+    console.error('❌ Webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve webhook deliveries',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
-// List all admins (super admin only)
-app.get('/admin/admins', authenticateUser, requireSuperAdmin, async (req, res) => {
-  console.log('📋 List admins request received');
-  
+// Delete a webhook subscription (its delivery log is kept; pending retries are abandoned)
+app.delete('/admin/webhooks/:id', authenticateUser, requirePermission('webhooks:manage'), validateRequest(REQUEST_SCHEMAS.webhookById), async (req, res) => {
+  console.log('🪝 Delete webhook request received:', req.params.id);
+
   try {
-    const snapshot = await admin.firestore()
-      .collection('admins')
-      .orderBy('createdAt', 'desc')
-      .get();
-    
-    const admins = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      admins.push({
-        email: doc.id,
-        role: data.role || 'admin',
-        assignedDistricts: data.assignedDistricts || [],
-        active: data.active !== false,
-        createdAt: data.createdAt?.toDate().toISOString(),
-        createdBy: data.createdBy || 'unknown'
+    const docRef = admin.firestore().collection('webhook_subscriptions').doc(req.params.id);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND',
+        message: `Webhook ${req.params.id} does not exist`
       });
+    }
+
+    await docRef.delete();
+
+    const before = formatWebhookSubscription(existing);
+    await recordAuditLog(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: existing.id },
+      before,
+      districts: before.districts
     });
-    
-    console.log(`✅ Found ${admins.length} admins`);
-    
-    res.json({ 
+
+    console.log(`✅ Webhook ${existing.id} deleted`);
+
+    res.json({
       success: true,
-      count: admins.length,
-      admins: admins,
+      message: 'Webhook deleted successfully',
+      id: existing.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ List admins error:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve admins',
+    console.error('❌ Delete webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
-// Create new admin (super admin only)
-app.post('/admin/admins', authenticateUser, requireSuperAdmin, async (req, res) => {
-  console.log('➕ Create admin request received:', req.body);
-  
+// ============================================================================
+// DISTRICT REGISTRY - Canonical districts, names and aliases (super admin only)
+// ============================================================================
+
+// List every registered district with its aliases
+app.get('/admin/districts', authenticateUser, requirePermission('districts:manage'), async (req, res) => {
+  console.log('🗺️  List districts request received');
+
   try {
-    const { email, password, assignedDistricts, role } = req.body;
+    const { byKey } = await getDistrictRegistry();
+    const districts = [...byKey.values()]
+      .sort((a, b) => a.state.localeCompare(b.state) || a.name.localeCompare(b.name));
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['email', 'password']
-      });
+    res.json({
+      success: true,
+      count: districts.length,
+      districts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ List districts error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve districts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Register a district
+// Body: { key, name, state, names?, aliases? } - key is permanent (it is part of FCM topic names)
+app.post('/admin/districts', authenticateUser, requirePermission('districts:manage'), validateRequest(REQUEST_SCHEMAS.districtCreate), async (req, res) => {
+  console.log('🗺️  Create district request received:', req.body);
+
+  try {
+    const { district, error } = parseDistrictEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid district', code: 'DISTRICT_INVALID', message: error });
     }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        error: 'Invalid email format'
+
+    invalidateDistrictRegistry();
+    const registry = await getDistrictRegistry();
+    if (registry.byKey.has(district.key)) {
+      return res.status(409).json({
+        error: 'District already exists',
+        code: 'DISTRICT_ALREADY_EXISTS',
+        message: `District ${district.key} already exists`
       });
     }
 
-    // Resolve role: only 'super-admin' or 'admin' are valid
-    const adminRole = role === 'super-admin' ? 'super-admin' : 'admin';
-
-    // Super-admins see all districts — assigned districts are not applicable
-    const districts = adminRole === 'super-admin' ? [] : (assignedDistricts || []);
-    
-    // Check if admin already exists in Firestore
-    const existingAdmin = await getAdmin(email);
-    if (existingAdmin) {
-      return res.status(409).json({ 
-        error: 'Admin already exists',
-        message: `Admin with email ${email} already exists`
+    const conflicts = findDistrictConflicts(district, registry);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'District name conflict',
+        code: 'DISTRICT_NAME_CONFLICT',
+        message: 'A key, name or alias is already used by another district in the same state (or as its key)',
+        conflicts
       });
     }
-    
-    // Create user in Firebase Auth
-    let userRecord;
-    try {
-      userRecord = await admin.auth().createUser({
-        email: email,
-        password: password,
-        emailVerified: true
-      });
-    } catch (authError) {
-      console.error('Auth creation error:', authError);
-      return res.status(400).json({ 
-        error: 'Failed to create user account',
-        message: authError.message
+
+    const { key, ...fields } = district;
+    const docRef = admin.firestore().collection('districts').doc(key);
+    await docRef.set({
+      ...fields,
+      created_by: req.user.email,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateDistrictRegistry();
+
+    await recordAuditLog(req, {
+      action: 'district.create',
+      target: { type: 'district', id: key },
+      after: district,
+      districts: [key]
+    });
+
+    console.log(`✅ District ${key} (${district.state}) registered`);
+
+    res.json({
+      success: true,
+      message: 'District created successfully',
+      district: formatDistrict(await docRef.get()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Create district error:', error);
+    res.status(500).json({
+      error: 'Failed to create district',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Update a district
+// Body: any of { name, state, names, aliases } - names/aliases replace the stored lists
+app.put('/admin/districts/:key', authenticateUser, requirePermission('districts:manage'), validateRequest(REQUEST_SCHEMAS.districtUpdate), async (req, res) => {
+  console.log('🗺️  Update district request received:', req.params.key, req.body);
+
+  try {
+    const docRef = admin.firestore().collection('districts').doc(req.params.key);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'District not found',
+        code: 'DISTRICT_NOT_FOUND',
+        message: `District ${req.params.key} does not exist`
       });
     }
 
-    // Set superadmin custom claim immediately for super-admin role
-    if (adminRole === 'super-admin') {
-      await admin.auth().setCustomUserClaims(userRecord.uid, { superadmin: true });
-      console.log(`✅ Set superadmin custom claim for ${email}`);
+    const { district, error } = parseDistrictEntry(req.body, true);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid district', code: 'DISTRICT_INVALID', message: error });
     }
-    
-    // Create admin document in Firestore
-    const adminData = {
-      role: adminRole,
-      assignedDistricts: districts,
-      active: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdBy: req.user.email
-    };
-    
-    await admin.firestore()
-      .collection('admins')
-      .doc(email)
-      .set(adminData);
 
-    // Invalidate cache so the new super-admin is recognised on next request
-    if (adminRole === 'super-admin') {
-      invalidateSuperAdminCache();
-    }
-    
-    console.log(`✅ ${adminRole} created successfully: ${email}`);
-    
-    // Send welcome email (don't fail if email fails)
-    try {
-      await sendWelcomeEmail(email, password, districts, adminRole);
-      console.log(`✅ Welcome email sent to ${email}`);
-    } catch (emailError) {
-      console.error('⚠️ Failed to send welcome email:', emailError);
-      // Continue anyway - admin is created successfully
+    const before = formatDistrict(existing);
+    invalidateDistrictRegistry();
+    const conflicts = findDistrictConflicts({ ...before, ...district }, await getDistrictRegistry());
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'District name conflict',
+        code: 'DISTRICT_NAME_CONFLICT',
+        message: 'A name or alias is already used by another district in the same state (or as its key)',
+        conflicts
+      });
     }
-    
-    res.json({ 
+
+    await docRef.update({
+      ...district,
+      updated_by: req.user.email,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateDistrictRegistry();
+
+    await recordAuditLog(req, {
+      action: 'district.update',
+      target: { type: 'district', id: existing.id },
+      before,
+      after: { ...before, ...district },
+      districts: [existing.id]
+    });
+
+    console.log(`✅ District ${existing.id} updated`);
+
+    res.json({
       success: true,
-      message: 'Admin created successfully',
-      admin: {
-        email: email,
-        uid: userRecord.uid,
-        ...adminData,
-        createdAt: new Date().toISOString()
-      },
+      message: 'District updated successfully',
+      district: formatDistrict(await docRef.get()),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Create admin error:', error);
-    res.status(500).json({ 
-      error: 'Failed to create admin',
+    console.error('❌ Update district error:', error);
+    res.status(500).json({
+      error: 'Failed to update district',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
-// Update admin (super admin only)
-app.put('/admin/admins/:email', authenticateUser, requireSuperAdmin, async (req, res) => {
-  console.log('✏️ Update admin request received:', req.params.email, req.body);
-  
+// Remove a district from the registry (refused while admins are assigned to it).
+// Subscribers and alerts keep the key; new subscriptions to it are rejected.
+app.delete('/admin/districts/:key', authenticateUser, requirePermission('districts:manage'), validateRequest(REQUEST_SCHEMAS.districtByKey), async (req, res) => {
+  console.log('🗺️  Delete district request received:', req.params.key);
+
   try {
-    const { email } = req.params;
-    const { assignedDistricts, active } = req.body;
-    
-    // Super admin accounts cannot be modified via API
-    if (await isSuperAdmin(email)) {
-      return res.status(400).json({ 
-        error: 'Cannot update super admin',
-        message: 'Super admin accounts cannot be modified'
+    const docRef = admin.firestore().collection('districts').doc(req.params.key);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'District not found',
+        code: 'DISTRICT_NOT_FOUND',
+        message: `District ${req.params.key} does not exist`
       });
     }
-    
-    // Check if admin exists
-    const existingAdmin = await getAdmin(email);
-    if (!existingAdmin) {
-      return res.status(404).json({ 
-        error: 'Admin not found',
-        message: `Admin with email ${email} does not exist`
+
+    const assignedAdmins = await admin.firestore()
+      .collection('admins')
+      .where('assignedDistricts', 'array-contains', existing.id)
+      .limit(1)
+      .get();
+    if (!assignedAdmins.empty) {
+      return res.status(409).json({
+        error: 'District in use',
+        code: 'DISTRICT_IN_USE',
+        message: `Admins are still assigned to ${existing.id} - reassign them first`
       });
     }
-    
-    // Build update data
-    const updateData = {
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedBy: req.user.email
-    };
-    
-    if (assignedDistricts !== undefined) {
-      updateData.assignedDistricts = assignedDistricts;
+
+    await docRef.delete();
+    invalidateDistrictRegistry();
+
+    await recordAuditLog(req, {
+      action: 'district.delete',
+      target: { type: 'district', id: existing.id },
+      before: formatDistrict(existing),
+      districts: [existing.id]
+    });
+
+    console.log(`✅ District ${existing.id} deleted`);
+
+    res.json({
+      success: true,
+      message: 'District deleted successfully',
+      key: existing.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Delete district error:', error);
+    res.status(500).json({
+      error: 'Failed to delete district',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Move subscribers, admins and alerts stored under a legacy name/alias to its key now
+// rather than at the next migrateLegacyDistrictKeysScheduled run (e.g. after adding an alias)
+app.post('/admin/districts/migrate-legacy-keys', authenticateUser, requirePermission('districts:manage'), async (req, res) => {
+  console.log('🗺️  Migrate legacy district keys request received');
+
+  try {
+    invalidateDistrictRegistry();
+    const migrated = await migrateLegacyDistrictKeys();
+
+    await recordAuditLog(req, {
+      action: 'district.migrate_legacy_keys',
+      target: { type: 'district', id: null },
+      after: migrated
+    });
+
+    res.json({
+      success: true,
+      message: 'Legacy district keys migrated',
+      migrated,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Migrate legacy district keys error:', error);
+    res.status(500).json({
+      error: 'Failed to migrate legacy district keys',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ESCALATION POLICIES - Per-district escalation settings (super admin only)
+// ============================================================================
+// Stored in escalation_policies/{district} and read on every escalation run, so
+// changes apply without a deploy. Districts without a doc use ESCALATION_CONFIG.
+
+// List stored policies (and the ESCALATION_CONFIG fallbacks they replace)
+app.get('/admin/escalation-policies', authenticateUser, requirePermission('districts:manage'), async (req, res) => {
+  console.log('📣 List escalation policies request received');
+
+  try {
+    const snapshot = await admin.firestore().collection('escalation_policies').get();
+    const policies = snapshot.docs.map(doc => ({
+      district: doc.id,
+      neighbours: doc.data().neighbours || [],
+      steps: doc.data().steps || null,
+      source: 'firestore',
+      updatedBy: doc.data().updated_by || null,
+      updatedAt: doc.data().updated_at?.toDate().toISOString() || null
+    }));
+    for (const [district, config] of Object.entries(ESCALATION_CONFIG.DISTRICTS)) {
+      if (policies.some(policy => policy.district === district)) continue;
+      policies.push({ district, neighbours: config.neighbours || [], steps: config.steps || null, source: 'config' });
+    }
+
+    res.json({
+      success: true,
+      count: policies.length,
+      defaultSteps: ESCALATION_CONFIG.DEFAULT_STEPS,
+      policies,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ List escalation policies error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve escalation policies',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Set a district's escalation policy (replaces the stored one)
+// Body: { neighbours, steps? } - districts may be keys, names or aliases; without steps
+// the district uses ESCALATION_CONFIG.DEFAULT_STEPS
+app.put('/admin/escalation-policies/:district', authenticateUser, requirePermission('districts:manage'), validateRequest(REQUEST_SCHEMAS.escalationPolicyUpdate), async (req, res) => {
+  console.log('📣 Set escalation policy request received:', req.params.district, req.body);
+
+  try {
+    const { neighbours, steps } = req.body;
+
+    const districtLookup = await findDistrict(req.params.district);
+    if (!districtLookup.district) {
+      return sendDistrictError(res, 'ESCALATION', 'district', req.params.district, districtLookup);
     }
-    
-    if (active !== undefined) {
-      updateData.active = active;
+    const district = districtLookup.district.key;
+
+    const resolved = await resolveDistrictKeys(neighbours);
+    if (!resolved.keys) {
+      return sendDistrictError(res, 'ESCALATION', 'neighbours', resolved.value, resolved.lookup);
     }
-    
-    // Update admin document
-    await admin.firestore()
-      .collection('admins')
-      .doc(email)
-      .update(updateData);
-    
-    console.log(`✅ Admin updated successfully: ${email}`);
-    
-    res.json({ 
+
+    const docRef = admin.firestore().collection('escalation_policies').doc(district);
+    const existing = await docRef.get();
+    const policy = {
+      neighbours: resolved.keys.filter(key => key !== district),
+      ...(steps ? { steps: steps.map(({ after_minutes, unless, action }) => ({ after_minutes, unless, action })) } : {})
+    };
+
+    await docRef.set({
+      ...policy,
+      updated_by: req.user.email,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await recordAuditLog(req, {
+      action: 'escalation_policy.update',
+      target: { type: 'district', id: district },
+      before: existing.exists ? { neighbours: existing.data().neighbours, steps: existing.data().steps || null } : null,
+      after: { neighbours: policy.neighbours, steps: policy.steps || null },
+      districts: [district]
+    });
+
+    console.log(`✅ Escalation policy for ${district} saved`);
+
+    res.json({
       success: true,
-      message: 'Admin updated successfully',
-      email: email,
-      updates: updateData,
+      message: 'Escalation policy saved',
+      policy: { district, neighbours: policy.neighbours, steps: policy.steps || null, source: 'firestore' },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Update admin error:', error);
-    res.status(500).json({ 
-      error: 'Failed to update admin',
+    console.error('❌ Set escalation policy error:', error);
+    res.status(500).json({
+      error: 'Failed to save escalation policy',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
-// Delete admin (super admin only)
-app.delete('/admin/admins/:email', authenticateUser, requireSuperAdmin, async (req, res) => {
-  console.log('🗑️ Delete admin request received:', req.params.email);
-  
+// Remove a district's stored policy (it falls back to ESCALATION_CONFIG)
+app.delete('/admin/escalation-policies/:district', authenticateUser, requirePermission('districts:manage'), validateRequest(REQUEST_SCHEMAS.escalationPolicyByDistrict), async (req, res) => {
+  console.log('📣 Delete escalation policy request received:', req.params.district);
+
   try {
-    const { email } = req.params;
-    
-    // Super admin accounts cannot be deleted via API
-    if (await isSuperAdmin(email)) {
-      return res.status(400).json({ 
-        error: 'Cannot delete super admin',
-        message: 'Super admin accounts cannot be deleted'
-      });
-    }
-    
-    // Check if admin exists
-    const existingAdmin = await getAdmin(email);
-    if (!existingAdmin) {
-      return res.status(404).json({ 
-        error: 'Admin not found',
-        message: `Admin with email ${email} does not exist`
+    const docRef = admin.firestore().collection('escalation_policies').doc(req.params.district);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Escalation policy not found',
+        code: 'ESCALATION_POLICY_NOT_FOUND',
+        message: `No stored escalation policy for ${req.params.district}`
       });
     }
 
-    const wasSuper = existingAdmin.role === 'super-admin';
-    
-    // Get user by email to delete from Auth
-    let userRecord;
-    try {
-      userRecord = await admin.auth().getUserByEmail(email);
-      await admin.auth().deleteUser(userRecord.uid);
-    } catch (authError) {
-      console.error('Auth deletion error:', authError);
-      // Continue to delete from Firestore even if Auth deletion fails
-    }
-    
-    // Delete admin document from Firestore
-    await admin.firestore()
-      .collection('admins')
-      .doc(email)
-      .delete();
+    await docRef.delete();
 
-    // Invalidate cache if we just removed a super-admin
-    if (wasSuper) {
-      invalidateSuperAdminCache();
-    }
-    
-    console.log(`✅ Admin deleted successfully: ${email}`);
-    
-    res.json({ 
+    await recordAuditLog(req, {
+      action: 'escalation_policy.delete',
+      target: { type: 'district', id: existing.id },
+      before: { neighbours: existing.data().neighbours, steps: existing.data().steps || null },
+      districts: [existing.id]
+    });
+
+    console.log(`✅ Escalation policy for ${existing.id} deleted`);
+
+    res.json({
       success: true,
-      message: 'Admin deleted successfully',
-      email: email,
+      message: 'Escalation policy deleted',
+      district: existing.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Delete admin error:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete admin',
+    console.error('❌ Delete escalation policy error:', error);
+    res.status(500).json({
+      error: 'Failed to delete escalation policy',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 });
 
 // Feedback / Contact Us endpoint
-app.post('/feedback', async (req, res) => {
+app.post('/feedback', validateRequest(REQUEST_SCHEMAS.feedback), async (req, res) => {
   console.log('📬 Feedback request received:', req.body);
 
   try {
     const { name, email, subject, message } = req.body;
 
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: gmailUser.value(),
-        pass: gmailPass.value()
-      }
-    });
-
     const senderName = (name && name.trim()) ? name.trim() : 'Anonymous';
     const senderEmail = (email && email.trim()) ? email.trim() : null;
     const emailSubject = (subject && subject.trim()) ? subject.trim() : 'General';
 
-    await transporter.sendMail({
-      from: `RRT App <${gmailUser.value()}>`,
-      to: 'ask@rapid-response.in',
-      subject: `[App Feedback] ${emailSubject} - from ${senderName}`,
-      text: `Name: ${senderName}\nEmail: ${senderEmail ?? 'Not provided'}\nSubject: ${emailSubject}\n\n${message.trim()}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #EF4444;">New Feedback from RRT App</h2>
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr><td style="padding: 8px; color: #666;"><strong>From:</strong></td><td style="padding: 8px;">${senderName}</td></tr>
-            <tr><td style="padding: 8px; color: #666;"><strong>Email:</strong></td><td style="padding: 8px;">${senderEmail ? `<a href="mailto:${senderEmail}">${senderEmail}</a>` : '<em style="color:#999">Not provided</em>'}</td></tr>
-            <tr><td style="padding: 8px; color: #666;"><strong>Subject:</strong></td><td style="padding: 8px;">${emailSubject}</td></tr>
-          </table>
-          <div style="background: #f5f5f5; padding: 16px; border-radius: 8px; margin-top: 16px;">
-            <p style="margin: 0; white-space: pre-wrap;">${message.trim()}</p>
-          </div>
-          <p style="color: #999; font-size: 12px; margin-top: 24px;">Sent via RRT App feedback form</p>
-        </div>
-      `
+    await mailer.sendMail('feedback', {
+      name: senderName,
+      email: senderEmail,
+      subject: emailSubject,
+      message: message.trim()
+    }, {
+      to: FEEDBACK_RECIPIENT,
+      replyTo: senderEmail
     });
 
     console.log(`✅ Feedback email sent from ${senderName}`);
     res.json({ success: true, message: 'Feedback sent successfully' });
   } catch (error) {
     console.error('❌ Failed to send feedback email:', error);
-    res.status(500).json({ error: 'Failed to send feedback', details: error.message });
+    res.status(500).json({ error: 'Failed to send feedback', code: 'INTERNAL_ERROR', message: error.message });
   }
 });
 
 // SOS Alert endpoint
-app.post('/sos', async (req, res) => {
+app.post('/sos', validateRequest(REQUEST_SCHEMAS.sos), async (req, res) => {
   console.log('📡 SOS request received:', req.body);
   
   try {
-    const { sender_id, sos_type, location, userInfo, timestamp } = req.body;
-    
-    // Validate required fields
-    if (!sender_id || !sos_type || !location) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['sender_id', 'sos_type', 'location']
-      });
-    }
+    const { sender_id, sos_type, location, category } = req.body;
+    const userInfo = sanitizeSOSUserInfo(req.body.userInfo);
+    // FCM data values must be strings; any other client timestamp is replaced by the server's
+    const timestamp = ['string', 'number'].includes(typeof req.body.timestamp) ? String(req.body.timestamp) : null;
 
     // Check if sender is blocked (shadow block - return success but don't process)
     if (await isSenderBlocked(sender_id)) {
       console.log(`🚫 Blocked sender attempted SOS: ${sender_id} (shadow blocked)`);
-      return res.status(200).json({ 
+      const webhooks = await recordBlockedAttempt(sender_id, sos_type, userInfo);
+      res.status(200).json({ 
         success: true,
         message: 'SOS alert sent successfully',
         messageId: `blocked-${Date.now()}`,
         senderId: sender_id,
         timestamp: new Date().toISOString()
       });
+      await webhooks?.delivered;
+      return;
+    }
+
+    // Optional proof that the caller is the sender's install (see isDeviceOwner); it
+    // decides auto-blocking and whether emergency contacts are notified
+    const senderVerified = await isDeviceOwner(req, sender_id);
+
+    // Per-sender and per-IP rate limits on new alerts (verified repeat offenders are
+    // auto-blocked). Stops are never limited - a sender must always be able to cancel a live alert.
+    const rateLimit = sos_type === 'sos_alert'
+      ? await checkRateLimit('sos', sender_id, getClientIp(req), senderVerified)
+      : { limited: false, quarantined: false };
+    if (rateLimit.quarantined) {
+      // Just blocked - respond like any other blocked sender
+      const webhooks = await recordBlockedAttempt(sender_id, sos_type, userInfo);
+      res.status(200).json({ 
+        success: true,
+        message: 'SOS alert sent successfully',
+        messageId: `blocked-${Date.now()}`,
+        senderId: sender_id,
+        timestamp: new Date().toISOString()
+      });
+      await webhooks?.delivered;
+      return;
+    }
+    if (rateLimit.limited) {
+      return sendRateLimited(res, rateLimit.retryAfterMs);
+    }
+
+    // An unknown category still sends the alert, as the default one
+    const requestedCategory = parseSOSCategory(category);
+    if (!requestedCategory) {
+      console.warn(`⚠️  Unknown SOS category ${JSON.stringify(category)}, using ${DEFAULT_SOS_CATEGORY}`);
+    }
+    const sosCategory = requestedCategory || DEFAULT_SOS_CATEGORY;
+
+    if (sos_type === 'stop') {
+      console.log(`🛑 Stopping SOS alert from sender: ${sender_id}`);
+      
+      // Stop goes to the district the alert was stored under (it may have been
+      // corrected by the district check), else the one the client reports
+      const activeAlert = await getSOSAlert(sender_id);
+      const claimed = userInfo?.district ? await findDistrictOrAsSent(userInfo.district, userInfo.state) : null;
+      const district = (activeAlert?.active && activeAlert.district) || claimed?.district?.key || userInfo?.district;
+      const alsoDistricts = activeAlert?.active ? getAlertAlsoDistricts(activeAlert) : [];
+      if (!district) {
+        return res.status(400).json({ 
+          error: 'Missing district in userInfo',
+          code: 'SOS_MISSING_DISTRICT',
+          message: 'district is required for stop notification'
+        });
+      }
+      
+      const userLocation = userInfo?.location || district.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+      const state = userInfo?.state?.toUpperCase() || userLocation.split(',').pop().trim().toUpperCase();
+      
+      // Send stop notification to the same audience the alert reached
+      // (title/body are filled per language from the message catalog)
+      const stopMessage = {
+        data: {
+          type: 'sos_resolved',
+          sender_id: sender_id,
+          district: district,
+          timestamp: timestamp || Date.now().toString()
+        },
+      android: {
+        priority: 'high',  // Critical: Forces immediate delivery bypassing Doze mode
+        notification: {
+          channelId: 'sos_alerts',  // Use high-importance channel
+          icon: 'ic_notification',
+          color: '#00FF00',
+          sound: 'default',
+          priority: 'high'
+        }
+      },
+        apns: {
+          headers: {
+            'apns-priority': '10',
+            'apns-push-type': 'alert'
+          },
+          payload: {
+            aps: {
+              sound: 'default'
+            }
+          }
+        }
+      };
+
+      // Target around the alert's stored location (trigger point or latest live update)
+      const stopLocation = hasCoordinates(activeAlert?.location) ? activeAlert.location : location;
+      const stopCategory = getSOSCategory(activeAlert?.category);
+      stopMessage.data.category = stopCategory.name;
+      stopMessage.android.notification.channelId = stopCategory.channel_id;
+
+      // Send stop FCM message (skilled volunteers further away were alerted too)
+      const stopDelivery = await deliverSOSNotification(stopMessage, {
+        district,
+        alsoDistricts,
+        location: stopLocation,
+        excludeFid: sender_id,
+        text: { key: 'sos_resolved', params: { name: userInfo?.name, location: userLocation } },
+        volunteers: { skills: stopCategory.skills, radiusKm: stopCategory.skill_radius_km }
+      });
+      const stopResponse = stopDelivery.messageId;
+      
+      console.log('✅ Stop notification sent successfully:', stopResponse);
+      
+      // Update SOS alert status to inactive in Firestore (optional)
+      await storeSOSAlert(sender_id, false, null, userInfo, district, state);
+
+      const webhooks = await dispatchWebhookEvent('sos.stopped', district, {
+        ...buildWebhookAlertData(sender_id, { district, state, location: stopLocation, userInfo, category: stopCategory.name }),
+        stopped_at: new Date().toISOString()
+      });
+      
+      res.json({ 
+        success: true, 
+        message: 'SOS alert stopped successfully',
+        messageId: stopResponse,
+        targeting: stopDelivery.targeting,
+        targetedDevices: stopDelivery.targetedDevices,
+        contacts: senderVerified ? 'queued' : 'sender_not_verified',
+        senderId: sender_id,
+        district: district,
+        timestamp: new Date().toISOString()
+      });
+
+      // Emergency contacts (only for a verified sender) and webhook attempts finish after
+      // the response (webhooks are retried by retryWebhookDeliveries if not)
+      await Promise.all([
+        senderVerified && notifyEmergencyContacts(sender_id, {
+          resolved: true,
+          location: stopLocation,
+          userInfo,
+          place: userLocation
+        }),
+        webhooks?.delivered
+      ]);
+    }
+    else if (sos_type === 'sos_alert') {
+      // District from userInfo (registry key, name or alias; an unregistered one is
+      // used as sent), checked against the location's district (DISTRICT_CHECK_CONFIG)
+      const claimed = userInfo?.district ? await findDistrictOrAsSent(userInfo.district, userInfo.state) : null;
+      const districtCheck = await verifySOSDistrict(claimed?.district?.key || null, location);
+      const district = districtCheck.district;
+      if (!district) {
+        return res.status(400).json({ 
+          error: 'Missing district in userInfo',
+          code: 'SOS_MISSING_DISTRICT',
+          message: 'district is required for SOS alert (unless location coordinates resolve to one)'
+        });
+      }
+      const districtUnregistered = !!claimed?.unregistered && district === claimed.district.key;
+      
+      const categoryConfig = getSOSCategory(sosCategory);
+      console.log(`🚨 Sending ${sosCategory} SOS alert to district: ${district} (Sender: ${sender_id})`);
+      
+      // Extract user info for notification
+      const userLocation = userInfo?.location || district.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+      const state = userInfo?.state?.toUpperCase() || userLocation.split(',').pop().trim().toUpperCase();
+      
+      // Prepare FCM message (target and localized title/body are added by deliverSOSNotification)
+      const message = buildSOSAlertPayload({
+        sender_id,
+        district,
+        location,
+        timestamp: timestamp || Date.now().toString(),
+        userInfo,
+        category: sosCategory
+      });
+
+      // Send FCM message to subscribers in range (or the district topic as fallback)
+      const delivery = await deliverSOSNotification(message, {
+        district,
+        alsoDistricts: districtCheck.districts,
+        location,
+        excludeFid: sender_id,
+        text: { key: categoryConfig.message_key, params: { name: userInfo?.name, location: userLocation } },
+        volunteers: { skills: categoryConfig.skills, radiusKm: categoryConfig.skill_radius_km }
+      });
+      const response = delivery.messageId;
+      
+      console.log(`✅ SOS alert sent successfully via ${delivery.targeting} targeting:`, response);
+      
+      // Store SOS alert snapshot in Firestore for admin dashboard (optional)
+      await storeSOSAlert(sender_id, true, location, userInfo, district, state, sosCategory, districtCheck.check, districtUnregistered);
+
+      const webhooks = await dispatchWebhookEvent('sos.triggered', district, {
+        ...buildWebhookAlertData(sender_id, { district, state, location, userInfo, category: sosCategory }),
+        message: userInfo?.message || null,
+        targeting: delivery.targeting,
+        district_check: districtCheck.check,
+        triggered_at: new Date().toISOString()
+      });
+      
+      res.json({ 
+        success: true, 
+        message: 'SOS alert sent successfully',
+        messageId: response,
+        category: sosCategory,
+        topic: delivery.topic,
+        targeting: delivery.targeting,
+        languages: delivery.languages,
+        radiusKm: delivery.radiusKm,
+        targetedDevices: delivery.targetedDevices,
+        skilledDevices: delivery.skilledDevices,
+        deliveredDevices: delivery.deliveredDevices,
+        sms: isSmsEnabledDistrict(district) ? { status: 'queued' } : null,
+        contacts: senderVerified ? 'queued' : 'sender_not_verified',
+        senderId: sender_id,
+        district: district,
+        districtUnregistered,
+        districtCheck: districtCheck.check,
+        timestamp: new Date().toISOString()
+      });
+
+      // Text the same audience in SMS-enabled districts, notify the emergency contacts and
+      // finish the webhook attempts after responding, so a slow gateway, mail server or
+      // endpoint never delays the SOS (outcomes are recorded on the alert and the delivery
+      // docs; none of them throws). Contacts are only told when the caller proved it is
+      // the sender's install - otherwise anyone knowing a FID could alarm their family.
+      await Promise.all([
+        sendSOSSms(sender_id, {
+          district,
+          location,
+          targeting: delivery.targeting,
+          params: { name: userInfo?.name, location: userLocation }
+        }),
+        senderVerified && notifyEmergencyContacts(sender_id, {
+          resolved: false,
+          location,
+          userInfo,
+          place: userLocation
+        }),
+        webhooks?.delivered
+      ]);
+    }
+  } catch (error) {
+    console.error('❌ SOS send error:', error);
+    
+    res.status(500).json({ 
+      error: 'Failed to send SOS alert',
+      code: 'INTERNAL_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Test push notification endpoint
+//
+// Accepts (all optional, sensible defaults provided):
+//   type        - "sos_alert" (default) | "stop"
+//   category    - key of SOS_CATEGORIES (default: "general", sos_alert only)
+//   district    - e.g. "udupi" (default)
+//   sender_id   - document ID used in Firestore (default: "test-sender-fid")
+//   name        - display name in notification body
+//   phone       - phone number stored in userInfo
+//   message     - optional message stored in userInfo
+//   approx_loc  - human-readable location string
+//   latitude    - GPS latitude  (sos_alert only)
+//   longitude   - GPS longitude (sos_alert only)
+//   accuracy    - GPS accuracy  (sos_alert only)
+app.post('/test-push', validateRequest(REQUEST_SCHEMAS.testPush), async (req, res) => {
+  console.log('📡 Test push notification request received:', req.body);
+
+  try {
+    const {
+      type       = 'sos_alert',
+      category,
+      district   = 'udupi',
+      sender_id  = 'test-sender-fid',
+      name       = 'Test User',
+      phone      = '+91-XXXX-XXXX',
+      message    = '',
+      approx_loc,
+      latitude   = 13.3409,
+      longitude  = 74.7421,
+      accuracy   = 10
+    } = req.body;
+
+    const sosCategory = parseSOSCategory(category);
+    const categoryConfig = getSOSCategory(sosCategory);
+
+    const rateLimit = await checkRateLimit('test-push', sender_id, getClientIp(req), await isDeviceOwner(req, sender_id));
+    if (rateLimit.limited) {
+      return sendRateLimited(res, rateLimit.retryAfterMs);
     }
 
-    // Validate sos_type
-    if (!['sos_alert', 'stop'].includes(sos_type)) {
-      return res.status(400).json({ 
-        error: 'Invalid sos_type',
-        message: 'sos_type must be either "sos_alert" or "stop"'
-      });
-    }
+    const districtLabel = district.charAt(0).toUpperCase() + district.slice(1);
+    const locationLabel = approx_loc || `${districtLabel} Test Location`;
+
+    const testUserInfo = {
+      name,
+      district,
+      location: locationLabel,
+      phone,
+      message
+    };
+
+    // ── STOP ────────────────────────────────────────────────────────────────
+    if (type === 'stop') {
+      console.log(`🧪 Sending test STOP notification to district: ${district}`);
 
-    if (sos_type === 'stop') {
-      console.log(`🛑 Stopping SOS alert from sender: ${sender_id}`);
-      
-      // Extract district and user info for stop notification
-      const district = userInfo?.district;
-      if (!district) {
-        return res.status(400).json({ 
-          error: 'Missing district in userInfo',
-          message: 'district is required for stop notification'
-        });
-      }
-      
-      const userName = userInfo?.name || 'Someone';
-      const userLocation = userInfo?.location || district.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-      const state = userInfo?.state?.toUpperCase() || userLocation.split(',').pop().trim().toUpperCase();
-      
-      // Send stop notification to all devices in the district
       const stopMessage = {
-        topic: `district-${district}`,
-        notification: {
-          title: '✅ Emergency Resolved',
-          body: `All good now. ${userName} • ${userLocation}`
-        },
         data: {
           type: 'sos_resolved',
-          sender_id: sender_id,
-          district: district,
-          timestamp: timestamp || Date.now().toString()
+          sender_id,
+          district,
+          timestamp: Date.now().toString()
+        },
+        android: {
+          priority: 'high',
+          notification: {
+            channelId: 'sos_alerts',
+            icon: 'ic_notification',
+            color: '#00FF00',
+            sound: 'default',
+            priority: 'high'
+          }
         },
-      android: {
-        priority: 'high',  // Critical: Forces immediate delivery bypassing Doze mode
-        notification: {
-          channelId: 'sos_alerts',  // Use high-importance channel
-          icon: 'ic_notification',
-          color: '#00FF00',
-          sound: 'default',
-          priority: 'high'
-        }
-      },
         apns: {
           headers: {
             'apns-priority': '10',
@@ -1336,417 +7340,716 @@ app.post('/sos', async (req, res) => {
           },
           payload: {
             aps: {
-              alert: {
-                title: '✅ Emergency Resolved',
-                body: `All good now. ${userName} • ${userLocation}`
-              },
               sound: 'default'
             }
           }
         }
       };
 
-      // Send stop FCM message
-      const stopResponse = await admin.messaging().send(stopMessage);
-      
-      console.log('✅ Stop notification sent successfully:', stopResponse);
-      
-      // Update SOS alert status to inactive in Firestore (optional)
-      await storeSOSAlert(sender_id, false, null, userInfo, district, state);
-      
-      return res.json({ 
-        success: true, 
-        message: 'SOS alert stopped successfully',
+      const { messageId: stopResponse, topics: stopTopics } = await sendToDistrictTopics(stopMessage, district, {
+        key: 'sos_resolved',
+        params: { name, location: locationLabel }
+      });
+      console.log('✅ Test STOP notification sent:', stopResponse);
+
+      await storeSOSAlert(sender_id, false, null, testUserInfo, district);
+
+      return res.json({
+        success: true,
+        message: 'Test STOP notification sent successfully',
+        type: 'stop',
         messageId: stopResponse,
+        topic: stopTopics[0],
+        topics: stopTopics,
+        district,
         senderId: sender_id,
-        district: district,
         timestamp: new Date().toISOString()
       });
     }
-    else if (sos_type === 'sos_alert') {
-      // Extract district from userInfo
-      const district = userInfo?.district;
-      if (!district) {
-        return res.status(400).json({ 
-          error: 'Missing district in userInfo',
-          message: 'district is required for SOS alert'
-        });
-      }
-      
-      console.log(`🚨 Sending SOS alert to district: ${district} (Sender: ${sender_id})`);
-      
-      // Extract user info for notification
-      const userName = userInfo?.name || 'Someone';
-      const userLocation = userInfo?.location || district.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-      const state = userInfo?.state?.toUpperCase() || userLocation.split(',').pop().trim().toUpperCase();
-      
-      // Prepare FCM message
-      const message = {
-        topic: `district-${district}`,
+
+    // ── SOS ALERT ───────────────────────────────────────────────────────────
+    console.log(`🧪 Sending test SOS alert to district: ${district}`);
+
+    const testLocation = { latitude, longitude, accuracy };
+    const state = locationLabel.split(',').pop().trim().toUpperCase();
+
+    const sosMessage = {
+      data: {
+        type: 'sos_alert',
+        sender_id,
+        district,
+        category: sosCategory,
+        location: JSON.stringify(testLocation),
+        timestamp: Date.now().toString(),
+        userInfo: JSON.stringify(testUserInfo)
+      },
+      android: {
+        priority: 'high',
         notification: {
-          title: '🚨 Emergency Alert',
-          body: `Help needed. ${userName} • ${userLocation}`
-        },
-        data: {
-          type: 'sos_alert',
-          sender_id: sender_id,
-          district: district,
-          location: JSON.stringify(location),
-          timestamp: timestamp || Date.now().toString(),
-          userInfo: userInfo ? JSON.stringify(userInfo) : '{}'
+          channelId: categoryConfig.channel_id,
+          icon: categoryConfig.icon,
+          color: categoryConfig.color,
+          sound: 'default',
+          priority: 'high',
+          defaultSound: true
+        }
+      },
+      apns: {
+        headers: {
+          'apns-priority': '10'
         },
-        android: {
-          priority: 'high',  // Critical: Forces immediate delivery bypassing Doze mode
-          notification: {
-            channelId: 'sos_alerts',  // Use high-importance channel
-            icon: 'ic_notification',
-            color: '#FF0000',
+        payload: {
+          aps: {
+            contentAvailable: true,
             sound: 'default',
-            priority: 'high',
-            defaultSound: true
-          }
-        },
-        apns: {
-          headers: {
-            'apns-priority': '10'  // High priority for iOS
-          },
-          payload: {
-            aps: {
-              contentAvailable: true, 
-              alert: {
-                title: '🚨 Emergency Alert',
-                body: `Help needed. ${userName} • ${userLocation}`
-              },
-              sound: 'default',
-              badge: 1
-            }
+            badge: 1
           }
         }
-      };
+      }
+    };
 
-      // Send FCM message
-      const response = await admin.messaging().send(message);
-      
-      console.log('✅ SOS alert sent successfully:', response);
-      
-      // Store SOS alert snapshot in Firestore for admin dashboard (optional)
-      await storeSOSAlert(sender_id, true, location, userInfo, district, state);
-      
-      res.json({ 
-        success: true, 
-        message: 'SOS alert sent successfully',
-        messageId: response,
-        topic: `district-${district}`,
-        senderId: sender_id,
-        district: district,
-        timestamp: new Date().toISOString()
-      });
-    }
-    else {
-      return res.status(400).json({ 
-        error: 'Invalid sos_type',
-        message: 'sos_type must be either "sos_alert" or "stop"'
+    const { messageId: sosResponse, topics: sosTopics } = await sendToDistrictTopics(sosMessage, district, {
+      key: categoryConfig.message_key,
+      params: { name, location: locationLabel }
+    });
+    console.log('✅ Test SOS alert sent:', sosResponse);
+
+    await storeSOSAlert(sender_id, true, testLocation, testUserInfo, district, state, sosCategory);
+
+    return res.json({
+      success: true,
+      message: 'Test SOS alert sent successfully',
+      type: 'sos_alert',
+      category: sosCategory,
+      messageId: sosResponse,
+      topic: sosTopics[0],
+      topics: sosTopics,
+      district,
+      senderId: sender_id,
+      testData: {
+        location: testLocation,
+        userInfo: testUserInfo
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Test notification error:', error);
+
+    res.status(500).json({
+      error: 'Failed to send test notification',
+      code: 'INTERNAL_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Registered districts for the app's district picker
+// GET /districts?state=Karnataka&language=kn
+// `name` is the display name in `language` (default English); `key` is what the
+// app sends as district to /subscribe-user and /sos.
+app.get('/districts', validateRequest(REQUEST_SCHEMAS.districts), async (req, res) => {
+  const { state, language } = req.query;
+
+  const displayLanguage = language ? messages.normalizeLanguage(language) : messages.DEFAULT_LANGUAGE;
+
+  try {
+    const { byKey } = await getDistrictRegistry();
+    const stateTerm = normalizeDistrictTerm(state);
+    const districts = [...byKey.values()]
+      .filter(district => !stateTerm || normalizeDistrictTerm(district.state) === stateTerm)
+      .map(district => ({
+        key: district.key,
+        name: district.names[displayLanguage] || district.name,
+        state: district.state,
+        aliases: district.aliases
+      }))
+      .sort((a, b) => a.state.localeCompare(b.state) || a.name.localeCompare(b.name));
+
+    return res.json({
+      success: true,
+      count: districts.length,
+      language: displayLanguage,
+      districts
+    });
+  } catch (error) {
+    console.error('❌ /districts error:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve districts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// 404 handler
+// Reverse geocode a lat/lng to a district key usable as an FCM topic segment.
+// Called by the mobile app on first launch / location update to resolve district.
+// GET /geocode/district?lat=13.3409&lng=74.7421
+// `source` in the response says what answered (cache, provider or polygon), `provider` which provider.
+app.get('/geocode/district', validateRequest(REQUEST_SCHEMAS.geocodeDistrict), async (req, res) => {
+  const { lat, lng } = req.query;
+
+  const latitude  = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  console.log(`📍 /geocode/district request — lat: ${latitude}, lng: ${longitude}`);
+
+  const resolved = await reverseGeocodeDistrict(latitude, longitude);
+
+  if (!resolved) {
+    return res.status(404).json({
+      error: 'District not found',
+      code: 'GEOCODE_DISTRICT_NOT_FOUND',
+      message: 'Could not determine district from the provided coordinates'
+    });
+  }
+
+  const { district, source, provider } = resolved;
+  return res.json({
+    district,
+    source,
+    provider,
+    fcmTopic: `district-${district}`,
+    lat: latitude,
+    lng: longitude
+  });
+});
+
+// ============================================================================
+// MARK ALERTS SEEN
+// Records that a user (identified by FID) has viewed one or more SOS alerts.
+// seen_by is stored as a map { [fid]: true } for O(1) lookup with no duplicates.
+// With the ID token of the FID's install (Authorization: Bearer) the FID is also added
+// to verified_seen_by, the only one escalation trusts (see isAlertAcknowledged).
+// POST /sos/mark-seen
+// Body: { fid: string, alert_ids: string[] }
+// ============================================================================
+app.post('/sos/mark-seen', validateRequest(REQUEST_SCHEMAS.sosMarkSeen), async (req, res) => {
+  console.log('👁️  /sos/mark-seen request received');
+
+  try {
+    const { fid, alert_ids } = req.body;
+    const verified = await isDeviceOwner(req, fid);
+
+    // Batch update: set seen_by.[fid] = true on each alert doc.
+    // Using set+merge so a missing doc (already expired) is silently skipped
+    // by catching the individual error rather than failing the whole batch.
+    const db = admin.firestore();
+    const batch = db.batch();
+
+    for (const alertId of alert_ids) {
+      const ref = db.collection('sos_alerts').doc(alertId);
+      // Dot-notation key sets only this map entry, leaving the rest untouched
+      batch.update(ref, {
+        [`seen_by.${fid}`]: true,
+        ...(verified ? { [`verified_seen_by.${fid}`]: true } : {})
       });
     }
+
+    await batch.commit();
+
+    console.log(`✅ mark-seen: FID ${fid} saw ${alert_ids.length} alert(s)`);
+
+    return res.json({
+      success: true,
+      fid,
+      marked: alert_ids.length,
+      verified,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('❌ SOS send error:', error);
-    
-    res.status(500).json({ 
-      error: 'Failed to send SOS alert',
-      message: error.message,
+    // batch.update throws if ANY doc doesn't exist; treat as non-fatal
+    // (alert may have been expired/deleted between fetch and mark-seen)
+    console.warn('⚠️  /sos/mark-seen partial failure (likely expired alerts):', error.message);
+    return res.status(200).json({
+      success: true,
+      warning: 'Some alerts may have expired',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Test push notification endpoint
-//
-// Accepts (all optional, sensible defaults provided):
-//   type        - "sos_alert" (default) | "stop"
-//   district    - e.g. "udupi" (default)
-//   sender_id   - document ID used in Firestore (default: "test-sender-fid")
-//   name        - display name in notification body
-//   phone       - phone number stored in userInfo
-//   message     - optional message stored in userInfo
-//   approx_loc  - human-readable location string
-//   latitude    - GPS latitude  (sos_alert only)
-//   longitude   - GPS longitude (sos_alert only)
-//   accuracy    - GPS accuracy  (sos_alert only)
-app.post('/test-push', async (req, res) => {
-  console.log('📡 Test push notification request received:', req.body);
+// ============================================================================
+// LIVE LOCATION UPDATES
+// The sender's app streams its position while an SOS is active. Every update is
+// stored as a breadcrumb in sos_alerts/{sender_id}/trail and moves the alert's
+// current location; a data-only push (throttled by LOCATION_UPDATE_CONFIG) goes to
+// the responders if anyone has accepted, otherwise to the audience of the trigger.
+// Only the sender's install may post (ID token, see requireDeviceOwner).
+// POST /sos/location
+// Headers: Authorization: Bearer <Firebase ID token of the sender's install>
+// Body: { sender_id: string, location: { latitude, longitude, accuracy? } }
+// ============================================================================
+app.post('/sos/location', validateRequest(REQUEST_SCHEMAS.sosLocation), async (req, res) => {
+  console.log('🛰️  /sos/location request received');
 
   try {
-    const {
-      type       = 'sos_alert',
-      district   = 'udupi',
-      sender_id  = 'test-sender-fid',
-      name       = 'Test User',
-      phone      = '+91-XXXX-XXXX',
-      message    = '',
-      approx_loc,
-      latitude   = 13.3409,
-      longitude  = 74.7421,
-      accuracy   = 10
-    } = req.body;
+    const { sender_id, location } = req.body;
 
-    if (!['sos_alert', 'stop'].includes(type)) {
-      return res.status(400).json({
-        error: 'Invalid type',
-        message: 'type must be either "sos_alert" or "stop"'
+    // Anyone who received the alert knows sender_id - only the sender's install may move it
+    if (!(await requireDeviceOwner(req, res, sender_id))) return;
+
+    // Shadow block - same behaviour as /sos
+    if (await isSenderBlocked(sender_id)) {
+      console.log(`🚫 Blocked sender attempted location update: ${sender_id} (shadow blocked)`);
+      return res.json({
+        success: true,
+        alert_id: sender_id,
+        pushed: false,
+        timestamp: new Date().toISOString()
       });
     }
 
-    const districtLabel = district.charAt(0).toUpperCase() + district.slice(1);
-    const locationLabel = approx_loc || `${districtLabel} Test Location`;
+    const result = await appendSOSLocation(sender_id, location);
 
-    const testUserInfo = {
-      name,
-      district,
-      location: locationLabel,
-      phone,
-      message
-    };
+    if (result.status !== 'ok') {
+      const messages = {
+        not_found: `No SOS alert exists for ${sender_id}`,
+        inactive: 'The SOS alert has been stopped',
+        expired: 'The SOS alert has expired'
+      };
+      return res.status(result.status === 'not_found' ? 404 : 409).json({
+        error: 'Alert not active',
+        code: 'LOCATION_ALERT_NOT_ACTIVE',
+        reason: result.status,
+        message: messages[result.status]
+      });
+    }
 
-    // ── STOP ────────────────────────────────────────────────────────────────
-    if (type === 'stop') {
-      console.log(`🧪 Sending test STOP notification to district: ${district}`);
+    const { alert, shouldPush } = result;
+    let pushTarget = null;
 
-      const stopMessage = {
-        topic: `district-${district}`,
-        notification: {
-          title: '✅ Emergency Resolved',
-          body: `All good now. ${name} • ${locationLabel}`
-        },
+    if (shouldPush) {
+      const payload = {
         data: {
-          type: 'sos_resolved',
-          sender_id,
-          district,
+          type: 'sos_location_update',
+          sender_id: sender_id,
+          district: alert.district || '',
+          location: JSON.stringify(alert.location),
           timestamp: Date.now().toString()
         },
         android: {
-          priority: 'high',
-          notification: {
-            channelId: 'sos_alerts',
-            icon: 'ic_notification',
-            color: '#00FF00',
-            sound: 'default',
-            priority: 'high'
-          }
+          priority: 'high'
         },
         apns: {
           headers: {
-            'apns-priority': '10',
-            'apns-push-type': 'alert'
+            'apns-priority': '5',
+            'apns-push-type': 'background'
           },
           payload: {
             aps: {
-              alert: {
-                title: '✅ Emergency Resolved',
-                body: `All good now. ${name} • ${locationLabel}`
-              },
-              sound: 'default'
+              contentAvailable: true
             }
           }
         }
       };
 
-      const stopResponse = await admin.messaging().send(stopMessage);
-      console.log('✅ Test STOP notification sent:', stopResponse);
+      try {
+        // Responders are navigating to the sender, so they get updates first-hand
+        const responderFids = Object.keys(alert.responders || {});
+        if (responderFids.length > 0) {
+          const db = admin.firestore();
+          const responderDocs = await db.getAll(
+            ...responderFids.map(fid => db.collection('subscribed_users').doc(fid))
+          );
+          const tokens = responderDocs
+            .map(doc => doc.exists ? doc.data().fcm_token : null)
+            .filter(Boolean);
+          if (tokens.length > 0) {
+            await sendToTokens(payload, tokens);
+            pushTarget = 'responders';
+          }
+        }
 
-      await storeSOSAlert(sender_id, false, null, testUserInfo, district);
+        // Otherwise the audience the trigger reached: same districts, same radius
+        // around the trigger point, same skilled volunteers
+        if (!pushTarget && alert.district) {
+          const category = getSOSCategory(alert.category);
+          const delivery = await deliverSOSNotification(payload, {
+            district: alert.district,
+            alsoDistricts: getAlertAlsoDistricts(alert),
+            location: hasCoordinates(alert.trigger_location) ? alert.trigger_location : alert.location,
+            excludeFid: sender_id,
+            text: null,
+            volunteers: { skills: category.skills, radiusKm: category.skill_radius_km }
+          });
+          pushTarget = delivery.targeting;
+        }
+      } catch (pushError) {
+        // Breadcrumb is stored either way; apps can also read sos_alerts directly
+        console.error('⚠️  Failed to push location update:', pushError.message);
+      }
+    }
 
-      return res.json({
-        success: true,
-        message: 'Test STOP notification sent successfully',
-        type: 'stop',
-        messageId: stopResponse,
-        topic: `district-${district}`,
-        district,
-        senderId: sender_id,
-        timestamp: new Date().toISOString()
+    console.log(`✅ Location updated for alert ${sender_id}${pushTarget ? ` (pushed to ${pushTarget})` : ''}`);
+
+    return res.json({
+      success: true,
+      alert_id: sender_id,
+      location: alert.location,
+      pushed: pushTarget !== null,
+      pushTarget,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ /sos/location error:', error);
+    return res.status(500).json({
+      error: 'Failed to update location',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// RESPOND TO ALERT
+// A volunteer (identified by FID) accepts an active SOS alert ("I'm on my way").
+// The responder is recorded on the alert and in history, and the sender's device
+// (fcm_token from subscribed_users) receives a data-only push.
+// Requires the ID token of the responder's install (see requireDeviceOwner), so only
+// a registered subscriber can respond - and so acknowledge the alert for escalation.
+// POST /sos/respond
+// Body: { fid: string, alert_id: string, eta_minutes?: number }
+// ============================================================================
+app.post('/sos/respond', validateRequest(REQUEST_SCHEMAS.sosRespond), async (req, res) => {
+  console.log('🏃 /sos/respond request received:', req.body);
+
+  try {
+    const { fid, alert_id, eta_minutes } = req.body;
+
+    if (fid === alert_id) {
+      return res.status(400).json({
+        error: 'Invalid responder',
+        code: 'RESPOND_INVALID_RESPONDER',
+        message: 'A sender cannot respond to their own alert'
       });
     }
 
-    // ── SOS ALERT ───────────────────────────────────────────────────────────
-    console.log(`🧪 Sending test SOS alert to district: ${district}`);
+    if (!(await requireDeviceOwner(req, res, fid))) return;
 
-    const testLocation = { latitude, longitude, accuracy };
-    const state = locationLabel.split(',').pop().trim().toUpperCase();
+    // Responder's display details come from their own subscription record
+    const db = admin.firestore();
+    const responderDoc = await db.collection('subscribed_users').doc(fid).get();
+    const responderData = responderDoc.exists ? responderDoc.data() : {};
 
-    const sosMessage = {
-      topic: `district-${district}`,
-      notification: {
-        title: '🚨 Emergency Alert',
-        body: `Help needed. ${name} • ${locationLabel}`
-      },
-      data: {
-        type: 'sos_alert',
-        sender_id,
-        district,
-        location: JSON.stringify(testLocation),
-        timestamp: Date.now().toString(),
-        userInfo: JSON.stringify(testUserInfo)
-      },
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'sos_alerts',
-          icon: 'ic_notification',
-          color: '#FF0000',
-          sound: 'default',
-          priority: 'high',
-          defaultSound: true
-        }
-      },
-      apns: {
-        headers: {
-          'apns-priority': '10'
-        },
-        payload: {
-          aps: {
-            contentAvailable: true,
-            alert: {
-              title: '🚨 Emergency Alert',
-              body: `Help needed. ${name} • ${locationLabel}`
+    const alert = await recordSOSResponder(alert_id, fid, {
+      name: responderData.name,
+      mobile_number: responderData.number,
+      eta_minutes: eta_minutes ?? null
+    });
+
+    if (!alert) {
+      return res.status(409).json({
+        error: 'Alert not active',
+        code: 'RESPOND_ALERT_NOT_ACTIVE',
+        message: `Alert ${alert_id} does not exist or has already been stopped`
+      });
+    }
+
+    const responders = formatResponders(alert.responders);
+
+    // Notify the sender (data-only so the app can update its "who is coming" list)
+    let senderNotified = false;
+    const senderDoc = await db.collection('subscribed_users').doc(alert_id).get();
+    const senderToken = senderDoc.exists ? senderDoc.data().fcm_token : null;
+
+    if (senderToken) {
+      try {
+        await admin.messaging().send({
+          token: senderToken,
+          data: {
+            type: 'sos_responder',
+            alert_id: alert_id,
+            responder_fid: fid,
+            responder_name: responderData.name || 'Volunteer',
+            eta_minutes: eta_minutes !== undefined && eta_minutes !== null ? String(eta_minutes) : '',
+            responder_count: String(responders.length),
+            timestamp: Date.now().toString()
+          },
+          android: {
+            priority: 'high'
+          },
+          apns: {
+            headers: {
+              'apns-priority': '5',
+              'apns-push-type': 'background'
             },
-            sound: 'default',
-            badge: 1
+            payload: {
+              aps: {
+                contentAvailable: true
+              }
+            }
           }
-        }
+        });
+        senderNotified = true;
+      } catch (pushError) {
+        // Responder is recorded either way; the sender app also reads sos_alerts directly
+        console.error('⚠️  Failed to notify sender of responder:', pushError.message);
       }
-    };
-
-    const sosResponse = await admin.messaging().send(sosMessage);
-    console.log('✅ Test SOS alert sent:', sosResponse);
+    } else {
+      console.warn(`⚠️  No fcm_token for sender ${alert_id}, responder push skipped`);
+    }
 
-    await storeSOSAlert(sender_id, true, testLocation, testUserInfo, district, state);
+    console.log(`✅ FID ${fid} responding to alert ${alert_id} (${responders.length} responder(s))`);
 
     return res.json({
       success: true,
-      message: 'Test SOS alert sent successfully',
-      type: 'sos_alert',
-      messageId: sosResponse,
-      topic: `district-${district}`,
-      district,
-      senderId: sender_id,
-      testData: {
-        location: testLocation,
-        userInfo: testUserInfo
-      },
+      alert_id,
+      fid,
+      eta_minutes: eta_minutes ?? null,
+      responders,
+      senderNotified,
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('❌ Test notification error:', error);
+    console.error('❌ /sos/respond error:', error);
+    return res.status(500).json({
+      error: 'Failed to record response',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
 
-    res.status(500).json({
-      error: 'Failed to send test notification',
-      message: error.message,
+// ============================================================================
+// EMERGENCY CONTACTS API
+// A user's (FID's) personal contacts, notified on every SOS trigger/stop.
+// Only the install that owns the FID may read or change them (see requireDeviceOwner).
+// A contact_fid (another app user) is asked first and only gets alert pushes once its
+// install accepts; asking is rate limited (RATE_LIMIT_CONFIG 'contact-request').
+// Headers: Authorization: Bearer <Firebase ID token of the install>
+// ============================================================================
+// List a user's emergency contacts
+// GET /emergency-contacts?fid=
+app.get('/emergency-contacts', validateRequest(REQUEST_SCHEMAS.contactsList), async (req, res) => {
+  console.log('👪 List emergency contacts request received');
+
+  try {
+    const { fid } = req.query;
+
+    if (!(await requireDeviceOwner(req, res, fid))) return;
+
+    const contacts = await listEmergencyContacts(fid);
+
+    res.json({
+      success: true,
+      fid,
+      count: contacts.length,
+      maxContacts: CONTACTS_CONFIG.MAX_CONTACTS,
+      contacts,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('❌ List emergency contacts error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve emergency contacts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
   }
 });
 
-// 404 handler
-// Reverse geocode a lat/lng to a district key usable as an FCM topic segment.
-// Called by the mobile app on first launch / location update to resolve district.
-// GET /geocode/district?lat=13.3409&lng=74.7421
-app.get('/geocode/district', async (req, res) => {
-  const { lat, lng } = req.query;
+// Add an emergency contact
+// Body: { fid, name, phone?, email?, contact_fid?, language? } (at least one of phone/email/contact_fid)
+app.post('/emergency-contacts', validateRequest(REQUEST_SCHEMAS.contactsCreate), async (req, res) => {
+  console.log('👪 Add emergency contact request received');
 
-  if (!lat || !lng) {
-    return res.status(400).json({
-      error: 'Missing parameters',
-      message: 'lat and lng query parameters are required'
+  try {
+    const { fid } = req.body;
+
+    if (!(await requireDeviceOwner(req, res, fid))) return;
+
+    const { contact, error } = parseEmergencyContact(req.body, fid);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid contact', code: 'CONTACTS_INVALID_CONTACT', message: error });
+    }
+
+    const countSnapshot = await emergencyContactsRef(fid).count().get();
+    if (countSnapshot.data().count >= CONTACTS_CONFIG.MAX_CONTACTS) {
+      return res.status(409).json({
+        error: 'Too many contacts',
+        code: 'CONTACTS_LIMIT_REACHED',
+        message: `A user can have at most ${CONTACTS_CONFIG.MAX_CONTACTS} emergency contacts`
+      });
+    }
+
+    if (contact.contact_fid) {
+      const rateLimit = await checkRateLimit('contact-request', fid, getClientIp(req));
+      if (rateLimit.limited) {
+        return sendRateLimited(res, rateLimit.retryAfterMs);
+      }
+    }
+
+    const docRef = await emergencyContactsRef(fid).add({
+      ...contact,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
     });
-  }
 
-  const latitude  = parseFloat(lat);
-  const longitude = parseFloat(lng);
+    const contactRequest = contact.contact_fid ? await sendContactRequest(fid, docRef.id, contact.contact_fid) : null;
 
-  if (isNaN(latitude) || isNaN(longitude)) {
-    return res.status(400).json({
-      error: 'Invalid parameters',
-      message: 'lat and lng must be valid numbers'
+    console.log(`✅ Emergency contact ${docRef.id} added for ${fid}`);
+
+    res.json({
+      success: true,
+      message: 'Emergency contact added',
+      contact: { id: docRef.id, ...contact },
+      contactRequest,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Add emergency contact error:', error);
+    res.status(500).json({
+      error: 'Failed to add emergency contact',
+      code: 'INTERNAL_ERROR',
+      message: error.message
     });
   }
+});
 
-  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-    return res.status(400).json({
-      error: 'Invalid parameters',
-      message: 'lat must be in [-90, 90] and lng in [-180, 180]'
+// Replace an emergency contact
+// Body: { fid, name, phone?, email?, contact_fid?, language? }
+app.put('/emergency-contacts/:contact_id', validateRequest(REQUEST_SCHEMAS.contactsUpdate), async (req, res) => {
+  console.log('👪 Update emergency contact request received:', req.params.contact_id);
+
+  try {
+    const { fid } = req.body;
+
+    if (!(await requireDeviceOwner(req, res, fid))) return;
+
+    const { contact, error } = parseEmergencyContact(req.body, fid);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid contact', code: 'CONTACTS_INVALID_CONTACT', message: error });
+    }
+
+    const contactRef = emergencyContactsRef(fid).doc(req.params.contact_id);
+    const existing = await contactRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        code: 'CONTACTS_NOT_FOUND',
+        message: `No emergency contact ${req.params.contact_id} for this user`
+      });
+    }
+
+    // The same contact_fid stays accepted; a new (or not yet accepted) one is asked again
+    const requestNeeded = contact.contact_fid &&
+      !(existing.data().contact_fid === contact.contact_fid && existing.data().contact_fid_status === 'accepted');
+    if (contact.contact_fid && !requestNeeded) {
+      contact.contact_fid_status = 'accepted';
+    }
+    if (requestNeeded) {
+      const rateLimit = await checkRateLimit('contact-request', fid, getClientIp(req));
+      if (rateLimit.limited) {
+        return sendRateLimited(res, rateLimit.retryAfterMs);
+      }
+    }
+
+    await contactRef.update({
+      ...contact,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const contactRequest = requestNeeded ? await sendContactRequest(fid, req.params.contact_id, contact.contact_fid) : null;
+
+    res.json({
+      success: true,
+      message: 'Emergency contact updated',
+      contact: { id: req.params.contact_id, ...contact },
+      contactRequest,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Update emergency contact error:', error);
+    res.status(500).json({
+      error: 'Failed to update emergency contact',
+      code: 'INTERNAL_ERROR',
+      message: error.message
     });
   }
+});
 
-  console.log(`📍 /geocode/district request — lat: ${latitude}, lng: ${longitude}`);
+// Remove an emergency contact
+// DELETE /emergency-contacts/:contact_id?fid=
+app.delete('/emergency-contacts/:contact_id', validateRequest(REQUEST_SCHEMAS.contactsDelete), async (req, res) => {
+  console.log('👪 Delete emergency contact request received:', req.params.contact_id);
 
-  const district = await reverseGeocodeDistrict(latitude, longitude);
+  try {
+    const { fid } = req.query;
 
-  if (!district) {
-    return res.status(404).json({
-      error: 'District not found',
-      message: 'Could not determine district from the provided coordinates'
+    if (!(await requireDeviceOwner(req, res, fid))) return;
+
+    const contactRef = emergencyContactsRef(fid).doc(req.params.contact_id);
+    if (!(await contactRef.get()).exists) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        code: 'CONTACTS_NOT_FOUND',
+        message: `No emergency contact ${req.params.contact_id} for this user`
+      });
+    }
+
+    await contactRef.delete();
+
+    res.json({
+      success: true,
+      message: 'Emergency contact removed',
+      id: req.params.contact_id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Delete emergency contact error:', error);
+    res.status(500).json({
+      error: 'Failed to remove emergency contact',
+      code: 'INTERNAL_ERROR',
+      message: error.message
     });
   }
-
-  return res.json({
-    district,
-    fcmTopic: `district-${district}`,
-    lat: latitude,
-    lng: longitude
-  });
 });
 
-// ============================================================================
-// MARK ALERTS SEEN
-// Records that a user (identified by FID) has viewed one or more SOS alerts.
-// seen_by is stored as a map { [fid]: true } for O(1) lookup with no duplicates.
-// POST /sos/mark-seen
-// Body: { fid: string, alert_ids: string[] }
-// ============================================================================
-app.post('/sos/mark-seen', async (req, res) => {
-  console.log('👁️  /sos/mark-seen request received');
+// Accept being another user's emergency contact (answer to a 'contact_request' push).
+// Called by the contact's install: requires the ID token of contact_fid, not of fid.
+// Body: { fid (the user who added the contact), contact_fid }
+app.post('/emergency-contacts/:contact_id/accept', validateRequest(REQUEST_SCHEMAS.contactsAccept), async (req, res) => {
+  console.log('👪 Accept emergency contact request received:', req.params.contact_id);
 
   try {
-    const { fid, alert_ids } = req.body;
+    const { fid, contact_fid } = req.body;
 
-    if (!fid || !Array.isArray(alert_ids) || alert_ids.length === 0) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['fid', 'alert_ids (non-empty array)']
-      });
-    }
-
-    // Batch update: set seen_by.[fid] = true on each alert doc.
-    // Using set+merge so a missing doc (already expired) is silently skipped
-    // by catching the individual error rather than failing the whole batch.
-    const db = admin.firestore();
-    const batch = db.batch();
+    if (!(await requireDeviceOwner(req, res, contact_fid))) return;
 
-    for (const alertId of alert_ids) {
-      const ref = db.collection('sos_alerts').doc(alertId);
-      // Dot-notation key sets only this map entry, leaving the rest untouched
-      batch.update(ref, { [`seen_by.${fid}`]: true });
+    const contactRef = emergencyContactsRef(fid).doc(req.params.contact_id);
+    const existing = await contactRef.get();
+    if (!existing.exists || existing.data().contact_fid !== contact_fid) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        code: 'CONTACTS_NOT_FOUND',
+        message: `${contact_fid} is not emergency contact ${req.params.contact_id} of this user`
+      });
     }
 
-    await batch.commit();
+    await contactRef.update({
+      contact_fid_status: 'accepted',
+      accepted_at: admin.firestore.FieldValue.serverTimestamp()
+    });
 
-    console.log(`✅ mark-seen: FID ${fid} saw ${alert_ids.length} alert(s)`);
+    console.log(`✅ ${contact_fid} accepted being emergency contact of ${fid}`);
 
-    return res.json({
+    res.json({
       success: true,
+      message: 'Emergency contact accepted',
+      id: req.params.contact_id,
       fid,
-      marked: alert_ids.length,
+      contact_fid,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    // batch.update throws if ANY doc doesn't exist; treat as non-fatal
-    // (alert may have been expired/deleted between fetch and mark-seen)
-    console.warn('⚠️  /sos/mark-seen partial failure (likely expired alerts):', error.message);
-    return res.status(200).json({
-      success: true,
-      warning: 'Some alerts may have expired',
-      timestamp: new Date().toISOString()
+    console.error('❌ Accept emergency contact error:', error);
+    res.status(500).json({
+      error: 'Failed to accept emergency contact',
+      code: 'INTERNAL_ERROR',
+      message: error.message
     });
   }
 });
@@ -1756,51 +8059,333 @@ app.post('/sos/mark-seen', async (req, res) => {
 // Upserts a subscribed_users document when a device subscribes to a district.
 // Called by the mobile app on district subscription (init + district change).
 // POST /subscribe-user
-// Body: { fid, name, number, district, state, fcm_token }
+// Body: { fid, name, number, district, state, fcm_token, location, language, skills }
+// location ({ latitude, longitude }) is the device's last-known position; it is
+// stored with a geohash so /sos can target subscribers within a radius.
+// language (en/kn/hi) selects the localized district topic and SMS text; skills
+// (VOLUNTEER_SKILLS) opt the device in to category-matched alerts.
+// Response: { fid, district, districtUnregistered, language, skills, topic, claimRequired } -
+// topic is the FCM topic the device's token is subscribed to (null without a token);
+// claimRequired means an ID token was sent for an already-known FID, which is bound
+// with POST /device/claim instead (see DEVICE OWNERSHIP).
 // ============================================================================
-app.post('/subscribe-user', async (req, res) => {
+app.post('/subscribe-user', validateRequest(REQUEST_SCHEMAS.subscribeUser), async (req, res) => {
   console.log('📋 /subscribe-user request received');
 
   try {
-    const { fid, name, number, district, state, fcm_token } = req.body;
+    const { fid, name, number, district, state, fcm_token, location, language, skills } = req.body;
 
-    if (!fid || !district) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['fid', 'district'],
-        optional: ['name', 'number', 'state', 'fcm_token']
-      });
-    }
+    const preferredLanguage = language !== undefined && language !== null
+      ? messages.normalizeLanguage(language)
+      : null;
+
+    // Store the registry key whatever name/alias the app sent ("Mangaluru" -> dakshina_kannada);
+    // an unregistered district is stored as sent and flagged
+    const districtLookup = await findDistrictOrAsSent(district, state);
+    const districtKey = districtLookup.district.key;
 
     const userData = {
       fid,
-      district,
+      district: districtKey,
+      district_unregistered: districtLookup.unregistered || admin.firestore.FieldValue.delete(),
       last_subscribed_at: admin.firestore.FieldValue.serverTimestamp(),
     };
 
     if (name)      userData.name      = name;
     if (number)    userData.number    = number;
-    if (state)     userData.state     = state;
+    if (state || districtLookup.district.state) userData.state = state || districtLookup.district.state;
     if (fcm_token) userData.fcm_token = fcm_token;
+    if (preferredLanguage) userData.language = preferredLanguage;
+    if (Array.isArray(skills)) userData.skills = [...new Set(skills)];
 
-    await admin.firestore()
-      .collection('subscribed_users')
-      .doc(fid)
-      .set(userData, { merge: true });
+    if (location) {
+      userData.location = {
+        latitude: location.latitude,
+        longitude: location.longitude
+      };
+      userData.geohash = geofire.geohashForLocation([location.latitude, location.longitude]);
+      userData.location_updated_at = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    const userRef = admin.firestore().collection('subscribed_users').doc(fid);
+    const existingDoc = await userRef.get();
+
+    // An authenticated registration of a never-seen FID binds the install to the caller's
+    // uid; an already-known FID is bound with POST /device/claim instead. Once bound,
+    // only the owner may re-register it (see requireDeviceOwner).
+    const ownerUid = existingDoc.data()?.owner_uid || null;
+    let uid = null;
+    try {
+      uid = await getDeviceUid(req);
+    } catch (error) {
+      console.warn(`⚠️  Invalid device token for ${fid}:`, error.message);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        code: 'DEVICE_INVALID_TOKEN',
+        message: 'Invalid or expired token'
+      });
+    }
+    if (ownerUid && uid !== ownerUid) {
+      return res.status(uid ? 403 : 401).json({
+        error: uid ? 'Forbidden' : 'Unauthorized',
+        code: uid ? 'DEVICE_NOT_OWNER' : 'DEVICE_MISSING_TOKEN',
+        message: `${fid} is bound to another sign-in; send its ID token (Authorization: Bearer <token>)`
+      });
+    }
+    let claimRequired = false;
+    if (uid && !ownerUid) {
+      const alertDoc = existingDoc.exists ? null : await admin.firestore().collection('sos_alerts').doc(fid).get();
+      if (alertDoc && !alertDoc.exists) {
+        userData.owner_uid = uid;
+      } else {
+        claimRequired = true;
+      }
+    }
+
+    // A token change restarts the age a device claim requires (DEVICE_CLAIM_CONFIG.TOKEN_MIN_AGE_MS)
+    if (fcm_token && fcm_token !== existingDoc.data()?.fcm_token) {
+      userData.fcm_token_updated_at = admin.firestore.FieldValue.serverTimestamp();
+    }
 
-    console.log(`✅ subscribed_users upserted for FID: ${fid} (district: ${district})`);
+    // first_subscribed_at marks new subscribers for daily stats (docs from before it
+    // existed get their create time, see backfillFirstSubscribedAt)
+    if (!existingDoc.exists) {
+      userData.first_subscribed_at = admin.firestore.FieldValue.serverTimestamp();
+    } else if (!existingDoc.data().first_subscribed_at && existingDoc.createTime) {
+      userData.first_subscribed_at = existingDoc.createTime;
+    }
+
+    // Move the device onto its district's topic in its language (and off the previous
+    // district's topics) unless it is already there
+    const previous = existingDoc.data() || {};
+    const token = fcm_token || previous.fcm_token;
+    const topicLanguage = preferredLanguage || messages.normalizeLanguage(previous.language) || messages.DEFAULT_LANGUAGE;
+    let topic = previous.fcm_topic || null;
+    if (token && (token !== previous.fcm_token || districtKey !== previous.district || getDistrictTopic(districtKey, topicLanguage) !== topic)) {
+      topic = await syncDistrictTopics(token, {
+        district: districtKey,
+        language: topicLanguage,
+        previous: { token: previous.fcm_token || null, district: previous.district || null }
+      });
+      userData.fcm_topic = topic || admin.firestore.FieldValue.delete();
+    }
+
+    await userRef.set(userData, { merge: true });
+
+    console.log(`✅ subscribed_users upserted for FID: ${fid} (district: ${districtKey})`);
 
     return res.json({
       success: true,
       message: 'User subscription registered',
       fid,
-      district,
+      district: districtKey,
+      districtUnregistered: !!districtLookup.unregistered,
+      language: preferredLanguage || existingDoc.data()?.language || messages.DEFAULT_LANGUAGE,
+      skills: userData.skills || existingDoc.data()?.skills || [],
+      topic,
+      claimRequired,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('❌ /subscribe-user error:', error);
     return res.status(500).json({
       error: 'Failed to register user subscription',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// DEVICE CLAIM
+// Binds an already-known FID (see DEVICE OWNERSHIP) to the caller's sign-in once the
+// app proves it is that install: a 6-digit code goes to the FCM token on record as a
+// data-only push ({type: 'device_claim', fid, code}) and the app sends it back.
+// The token must have been on record for DEVICE_CLAIM_CONFIG.TOKEN_MIN_AGE_MS, so
+// re-registering a FID with another token and claiming it at once does not work.
+// POST /device/claim          Body: { fid }        Response: { fid, expiresAt }
+// POST /device/claim/confirm  Body: { fid, code }  Response: { fid, bound: true }
+// Both need Authorization: Bearer <ID token>; confirm must use the same sign-in.
+// ============================================================================
+
+/**
+ * uid of the request's ID token, or a 401 (and null) when it is missing or invalid
+ */
+async function requireDeviceUid(req, res) {
+  try {
+    const uid = await getDeviceUid(req);
+    if (uid) return uid;
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'DEVICE_MISSING_TOKEN',
+      message: 'An ID token of the app install is required (Authorization: Bearer <token>)'
+    });
+  } catch (error) {
+    console.warn('⚠️  Invalid device token:', error.message);
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'DEVICE_INVALID_TOKEN',
+      message: 'Invalid or expired token'
+    });
+  }
+  return null;
+}
+
+/**
+ * SHA-256 of a claim code (only the hash is stored)
+ */
+function hashClaimCode(fid, code) {
+  return crypto.createHash('sha256').update(`${fid}:${code}`).digest('hex');
+}
+
+app.post('/device/claim', validateRequest(REQUEST_SCHEMAS.deviceClaim), async (req, res) => {
+  console.log('🔐 /device/claim request received:', req.body);
+
+  try {
+    const { fid } = req.body;
+    const uid = await requireDeviceUid(req, res);
+    if (!uid) return;
+
+    const userRef = admin.firestore().collection('subscribed_users').doc(fid);
+    const userDoc = await userRef.get();
+    const data = userDoc.data() || {};
+
+    if (data.owner_uid) {
+      return res.status(409).json({
+        error: 'Already bound',
+        code: data.owner_uid === uid ? 'CLAIM_ALREADY_OWNER' : 'CLAIM_ALREADY_BOUND',
+        message: data.owner_uid === uid ? `${fid} is already bound to this sign-in` : `${fid} is bound to another sign-in`
+      });
+    }
+    if (!data.fcm_token) {
+      return res.status(409).json({
+        error: 'No token on record',
+        code: 'CLAIM_NO_TOKEN',
+        message: `${fid} has no FCM token on record to send the claim code to - register one with POST /subscribe-user`
+      });
+    }
+
+    const tokenSince = data.fcm_token_updated_at?.toMillis?.() ?? 0;
+    const retryAfterMs = tokenSince + DEVICE_CLAIM_CONFIG.TOKEN_MIN_AGE_MS - Date.now();
+    if (retryAfterMs > 0) {
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(409).json({
+        error: 'Token too new',
+        code: 'CLAIM_TOKEN_TOO_NEW',
+        message: `The FCM token of ${fid} changed recently; it can be claimed in ${retryAfterSeconds} seconds`,
+        retryAfterSeconds
+      });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + DEVICE_CLAIM_CONFIG.CODE_TTL_MS);
+
+    try {
+      await admin.messaging().send({
+        token: data.fcm_token,
+        data: { type: 'device_claim', fid, code },
+        android: { priority: 'high' },
+        apns: {
+          headers: { 'apns-priority': '5', 'apns-push-type': 'background' },
+          payload: { aps: { contentAvailable: true } }
+        }
+      });
+    } catch (pushError) {
+      console.error(`⚠️  Failed to send claim code to ${fid}:`, pushError.message);
+      return res.status(409).json({
+        error: 'Claim code not delivered',
+        code: 'CLAIM_PUSH_FAILED',
+        message: `The FCM token on record for ${fid} did not accept the claim code - register a current one with POST /subscribe-user`
+      });
+    }
+
+    await userRef.update({
+      claim: {
+        uid,
+        code_hash: hashClaimCode(fid, code),
+        token: data.fcm_token,
+        attempts: 0,
+        expires_at: expiresAt
+      }
+    });
+
+    console.log(`🔐 Claim code sent to ${fid}`);
+
+    res.json({
+      success: true,
+      message: 'Claim code sent to the install',
+      fid,
+      expiresAt: expiresAt.toDate().toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ /device/claim error:', error);
+    res.status(500).json({
+      error: 'Failed to start device claim',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+app.post('/device/claim/confirm', validateRequest(REQUEST_SCHEMAS.deviceClaimConfirm), async (req, res) => {
+  console.log('🔐 /device/claim/confirm request received:', req.body.fid);
+
+  try {
+    const { fid, code } = req.body;
+    const uid = await requireDeviceUid(req, res);
+    if (!uid) return;
+
+    const db = admin.firestore();
+    const userRef = db.collection('subscribed_users').doc(fid);
+
+    const failure = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const data = userDoc.data() || {};
+      const claim = data.claim;
+
+      if (data.owner_uid) return { status: 409, code: 'CLAIM_ALREADY_BOUND', message: `${fid} is already bound` };
+      // A claim is only good for the sign-in that started it and the token the code went to
+      if (!claim || claim.uid !== uid || claim.token !== data.fcm_token ||
+          claim.expires_at.toMillis() < Date.now() || claim.attempts >= DEVICE_CLAIM_CONFIG.MAX_ATTEMPTS) {
+        return { status: 410, code: 'CLAIM_EXPIRED', message: `No open claim for ${fid} - start one with POST /device/claim` };
+      }
+      if (claim.code_hash !== hashClaimCode(fid, code)) {
+        transaction.update(userRef, { 'claim.attempts': admin.firestore.FieldValue.increment(1) });
+        return { status: 400, code: 'CLAIM_INVALID_CODE', message: 'The claim code is wrong' };
+      }
+
+      transaction.update(userRef, {
+        owner_uid: uid,
+        owner_bound_at: admin.firestore.FieldValue.serverTimestamp(),
+        claim: admin.firestore.FieldValue.delete()
+      });
+      return null;
+    });
+
+    if (failure) {
+      return res.status(failure.status).json({
+        error: 'Claim failed',
+        code: failure.code,
+        message: failure.message
+      });
+    }
+
+    console.log(`✅ ${fid} bound to its sign-in`);
+
+    res.json({
+      success: true,
+      message: 'Device bound to this sign-in',
+      fid,
+      bound: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ /device/claim/confirm error:', error);
+    res.status(500).json({
+      error: 'Failed to confirm device claim',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
@@ -1809,32 +8394,76 @@ app.post('/subscribe-user', async (req, res) => {
 app.use((req, res) => {  // No path specified here—it's implied as catch-all
   res.status(404).json({ 
     error: 'Endpoint not found',
+    code: 'ENDPOINT_NOT_FOUND',
     availableEndpoints: [
       'GET /health',
       'GET /geocode/district?lat=<lat>&lng=<lng>',
+      'GET /districts?state=&language=',
       'POST /sos',
       'POST /subscribe-user',
+      'POST /device/claim',
+      'POST /device/claim/confirm',
+      'GET /emergency-contacts?fid=',
+      'POST /emergency-contacts',
+      'PUT /emergency-contacts/:contact_id',
+      'DELETE /emergency-contacts/:contact_id?fid=',
+      'POST /emergency-contacts/:contact_id/accept',
       'POST /sos/mark-seen',
+      'POST /sos/respond',
+      'POST /sos/location',
       'POST /test-push',
-      'POST /admin/block-user',
-      'POST /admin/unblock-user',
-      'GET /admin/blocked-users',
-      'GET /admin/sos-alerts?active=true',
+      'POST /admin/block-user (auth required)',
+      'POST /admin/unblock-user (auth required)',
+      'GET /admin/blocked-users (auth required)',
+      'GET /admin/blocked-users/:sender_id (auth required)',
+      'GET /admin/sos-alerts?active=true (auth required)',
+      'GET /admin/sos-history (auth required)',
+      'GET /admin/stats?from=&to=&district= (auth required)',
+      'GET /admin/subscriber-counts?date= (auth required)',
+      'GET /admin/export/:dataset?format=csv|xlsx (auth required)',
       'GET /admin/profile (auth required)',
       'GET /admin/users (auth required)',
+      'GET /admin/audit-log (auth required)',
       'GET /admin/admins (super admin only)',
       'POST /admin/admins (super admin only)',
       'PUT /admin/admins/:email (super admin only)',
-      'DELETE /admin/admins/:email (super admin only)'
+      'POST /admin/admins/:email/resend-invite (super admin only)',
+      'POST /admin/admins/:email/revoke-invite (super admin only)',
+      'DELETE /admin/admins/:email (super admin only)',
+      'GET /admin/webhooks (super admin only)',
+      'POST /admin/webhooks (super admin only)',
+      'PUT /admin/webhooks/:id (super admin only)',
+      'DELETE /admin/webhooks/:id (super admin only)',
+      'POST /admin/webhooks/:id/rotate-secret (super admin only)',
+      'POST /admin/webhooks/:id/test (super admin only)',
+      'GET /admin/webhooks/:id/deliveries (super admin only)',
+      'GET /admin/districts (super admin only)',
+      'POST /admin/districts (super admin only)',
+      'PUT /admin/districts/:key (super admin only)',
+      'DELETE /admin/districts/:key (super admin only)',
+      'POST /admin/districts/migrate-legacy-keys (super admin only)',
+      'GET /admin/escalation-policies (super admin only)',
+      'PUT /admin/escalation-policies/:district (super admin only)',
+      'DELETE /admin/escalation-policies/:district (super admin only)'
     ]
   });
 });
 
 // Error handler (unchanged)
 app.use((error, req, res, next) => { // eslint-disable-line no-unused-vars
+  // express.json() rejects malformed bodies before any route runs
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      code: 'INVALID_JSON',
+      message: 'Request body is not valid JSON'
+    });
+  }
+
   console.error('Server error:', error);
   res.status(500).json({ 
     error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
     message: error.message 
   });
 });
@@ -1853,7 +8482,8 @@ exports.api = functions.https.onRequest(app);
  * 
  * Configuration:
  * - ALERT_EXPIRATION_CHECK_INTERVAL: How often to run (default: every 1 hours)
- * - ALERT_EXPIRATION_THRESHOLD_MS: How old alerts must be to expire (default: 1 hour)
+ * - SOS_CATEGORIES[].lifetime_ms: How old alerts of each category must be to expire
+ *   (general: ALERT_EXPIRATION_THRESHOLD_MS, 1 hour)
  */
 exports.expireOldAlertsScheduled = onSchedule({
   schedule: SCHEDULE_CONFIG.ALERT_EXPIRATION_CHECK_INTERVAL,
@@ -1871,4 +8501,174 @@ exports.expireOldAlertsScheduled = onSchedule({
     console.error('❌ Scheduled alert expiration failed:', error);
     throw error;
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Scheduled function to lift temporary blocks whose expiresAt has passed
+ * Runs every hour (configurable via SCHEDULE_CONFIG.BLOCK_EXPIRATION_CHECK_INTERVAL)
+ * Lifted blocks are moved to block_history and recorded in the audit log.
+ */
+exports.liftExpiredBlocksScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.BLOCK_EXPIRATION_CHECK_INTERVAL,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+}, async (event) => {
+  console.log('⏰ Running scheduled block expiration check');
+
+  if (!FEATURES.BLOCKED_USERS) {
+    console.log('⏭️  Block expiration disabled (blocked users disabled)');
+    return { lifted: 0, enabled: false };
+  }
+  
+  try {
+    const result = await liftExpiredBlocks();
+    
+    console.log('✅ Scheduled block expiration completed:', result);
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled block expiration failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to aggregate yesterday's (IST) SOS activity into `stats`
+ * Runs daily at 00:30 IST (configurable via SCHEDULE_CONFIG.STATS_AGGREGATION_SCHEDULE)
+ */
+exports.aggregateDailyStatsScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.STATS_AGGREGATION_SCHEDULE,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+}, async (event) => {
+  const yesterday = toISTDateKey(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  console.log(`⏰ Running scheduled stats aggregation for ${yesterday}`);
+  
+  try {
+    const result = await aggregateDailyStats(yesterday);
+    
+    console.log('✅ Scheduled stats aggregation completed:', result);
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled stats aggregation failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to settle pending admin invites
+ * Runs every hour (configurable via SCHEDULE_CONFIG.INVITE_EXPIRATION_CHECK_INTERVAL)
+ */
+exports.expireAdminInvitesScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.INVITE_EXPIRATION_CHECK_INTERVAL,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+}, async (event) => {
+  console.log('⏰ Running scheduled admin invite check');
+  
+  try {
+    const result = await expireAdminInvites();
+    
+    console.log('✅ Scheduled invite check completed:', result);
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled invite check failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to escalate active alerts that nobody has acknowledged
+ * Runs every minute (configurable via SCHEDULE_CONFIG.ESCALATION_CHECK_INTERVAL)
+ */
+exports.escalateAlertsScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.ESCALATION_CHECK_INTERVAL,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+}, async (event) => {
+  if (!ESCALATION_CONFIG.ENABLED || !FEATURES.ENABLE_SOS_ALERT_SNAPSHOT) {
+    console.log('⏭️  Alert escalation disabled');
+    return { escalated: 0, enabled: false };
+  }
+  
+  try {
+    const result = await escalateAlerts();
+    
+    if (result.escalated > 0) {
+      console.log('✅ Scheduled escalation completed:', result);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled escalation failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to retry webhook deliveries that failed
+ * Runs every minute (configurable via SCHEDULE_CONFIG.WEBHOOK_RETRY_INTERVAL)
+ */
+exports.retryWebhookDeliveriesScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.WEBHOOK_RETRY_INTERVAL,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+}, async (event) => {
+  try {
+    const result = await retryWebhookDeliveries();
+    
+    if (result.retried > 0 || result.abandoned > 0) {
+      console.log('✅ Scheduled webhook retry completed:', result);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled webhook retry failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to validate FCM tokens, prune dead ones and count subscribers
+ * Runs daily at 03:00 IST (configurable via SCHEDULE_CONFIG.TOKEN_VALIDATION_SCHEDULE)
+ */
+exports.validateFcmTokensScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.TOKEN_VALIDATION_SCHEDULE,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+  timeoutSeconds: 1800,      // Walks every subscriber (one dry-run send per token)
+  memory: '512MiB'
+}, async (event) => {
+  console.log('⏰ Running scheduled FCM token validation');
+  
+  try {
+    const result = await validateFcmTokens();
+    
+    console.log('✅ Scheduled token validation completed:', result);
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled token validation failed:', error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function to move stored legacy district values to their registry keys
+ * Runs daily at 03:30 IST (configurable via SCHEDULE_CONFIG.DISTRICT_MIGRATION_SCHEDULE)
+ */
+exports.migrateLegacyDistrictKeysScheduled = onSchedule({
+  schedule: SCHEDULE_CONFIG.DISTRICT_MIGRATION_SCHEDULE,
+  timeZone: 'Asia/Kolkata',  // IST timezone
+  timeoutSeconds: 1800,      // Re-subscribes each migrated subscriber's token
+  memory: '512MiB'
+}, async (event) => {
+  console.log('⏰ Running scheduled legacy district key migration');
+
+  try {
+    const result = await migrateLegacyDistrictKeys();
+
+    console.log('✅ Scheduled district key migration completed:', result);
+
+    return result;
+  } catch (error) {
+    console.error('❌ Scheduled district key migration failed:', error);
+    throw error;
+  }
+});
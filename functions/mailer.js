@@ -0,0 +1,399 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {defineString} = require('firebase-functions/params');
+const admin = require('firebase-admin');
+const nodemailer = require('nodemailer');
+
+// ============================================================================
+// MAIL CONFIGURATION - Transport is selected with MAIL_TRANSPORT
+// ============================================================================
+// gmail - Gmail account with an app password (GMAIL_USER / GMAIL_PASS)
+// smtp  - Any SMTP server (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS)
+// file  - Writes each message as JSON to MAIL_FILE_DIR instead of sending (local development)
+
+const mailTransport = defineString('MAIL_TRANSPORT', { default: 'gmail' });
+const mailFrom = defineString('MAIL_FROM', { default: '' });
+const gmailUser = defineString('GMAIL_USER', { default: '' });
+const gmailPass = defineString('GMAIL_PASS', { default: '' });
+const smtpHost = defineString('SMTP_HOST', { default: '' });
+const smtpPort = defineString('SMTP_PORT', { default: '587' });
+const smtpSecure = defineString('SMTP_SECURE', { default: 'false' });
+const smtpUser = defineString('SMTP_USER', { default: '' });
+const smtpPass = defineString('SMTP_PASS', { default: '' });
+const mailFileDir = defineString('MAIL_FILE_DIR', { default: '' });
+
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'file'];
+
+/**
+ * Selected transport name (param defaults only apply in deployed functions)
+ */
+function getTransportName() {
+  return mailTransport.value() || 'gmail';
+}
+
+/**
+ * Build the nodemailer transport selected by MAIL_TRANSPORT.
+ * Created per send (not at module load) so params are read at runtime.
+ * @returns {{name: string, transporter: object, from: string}}
+ */
+function createTransport() {
+  const name = getTransportName();
+
+  switch (name) {
+    case 'gmail':
+      return {
+        name,
+        from: mailFrom.value() || `RRT <${gmailUser.value()}>`,
+        transporter: nodemailer.createTransport({
+          service: 'gmail',
+          auth: {
+            user: gmailUser.value(),
+            pass: gmailPass.value()
+          }
+        })
+      };
+    case 'smtp':
+      return {
+        name,
+        from: mailFrom.value() || `RRT <${smtpUser.value()}>`,
+        transporter: nodemailer.createTransport({
+          host: smtpHost.value(),
+          port: parseInt(smtpPort.value()) || 587,
+          secure: smtpSecure.value() === 'true',
+          auth: smtpUser.value() ? { user: smtpUser.value(), pass: smtpPass.value() } : undefined
+        })
+      };
+    case 'file':
+      return {
+        name,
+        from: mailFrom.value() || 'RRT <rrt@localhost>',
+        transporter: nodemailer.createTransport({ jsonTransport: true })
+      };
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+  }
+}
+
+/**
+ * Write a jsonTransport message to MAIL_FILE_DIR (default: <tmpdir>/rrt-mail)
+ * @returns {string} File path
+ */
+function writeMailFile(info, template) {
+  const dir = mailFileDir.value() || path.join(os.tmpdir(), 'rrt-mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${Date.now()}-${template}.json`);
+  fs.writeFileSync(file, JSON.stringify(JSON.parse(info.message), null, 2));
+  return file;
+}
+
+// ============================================================================
+// TEMPLATES - Every interpolated value is HTML-escaped unless wrapped in raw()
+// ============================================================================
+
+/**
+ * Escape a value for inclusion in HTML text or a quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mark trusted markup (e.g. a nested html`` fragment) so it is not escaped again
+ */
+function raw(markup) {
+  return { __html: String(markup) };
+}
+
+/**
+ * Tagged template that escapes every interpolation (arrays are joined)
+ */
+function html(strings, ...values) {
+  const render = value => {
+    if (Array.isArray(value)) return value.map(render).join('');
+    if (value && typeof value === 'object' && '__html' in value) return value.__html;
+    return escapeHtml(value);
+  };
+
+  return raw(strings.reduce((out, str, i) => out + str + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+const FOOTER_STYLE = 'color: #666; font-size: 12px; margin-top: 30px;';
+
+/**
+ * Named templates: (data) => {subject, html, text}
+ */
+const TEMPLATES = {
+  /**
+   * Admin invite
+   * @param {object} data - {email, inviteLink, roleLabel, districtsList, expiresLabel}
+   */
+  welcome: (data) => ({
+    subject: '🔐 You\'re invited to the RRT Admin Dashboard',
+    html: html`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Welcome to RRT Admin Dashboard</h2>
+
+        <p>An administrator account has been created for you.</p>
+
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">Account Details</h3>
+          <p><strong>Email:</strong> ${data.email}</p>
+          <p><strong>Role:</strong> ${data.roleLabel}</p>
+          <p><strong>Assigned Districts:</strong> ${data.districtsList}</p>
+        </div>
+
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${data.inviteLink}" style="background: #1a73e8; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Set your password</a>
+        </p>
+
+        <p><strong>Next Steps:</strong></p>
+        <ol>
+          <li>Open the link above and choose a password</li>
+          <li>Login to the Admin Dashboard with your email and new password</li>
+        </ol>
+
+        <p>This link can be used once and expires at <strong>${data.expiresLabel}</strong>. If it has expired, ask a super admin to resend your invite.</p>
+
+        <p style="${FOOTER_STYLE}">
+          This is an automated email. If you did not expect this invite, please ignore it or contact support.
+        </p>
+      </div>
+    `,
+    text: `
+Welcome to RRT Admin Dashboard
+
+An administrator account has been created for you.
+
+ACCOUNT DETAILS
+Email: ${data.email}
+Role: ${data.roleLabel}
+Assigned Districts: ${data.districtsList}
+
+SET YOUR PASSWORD
+${data.inviteLink}
+
+NEXT STEPS
+1. Open the link above and choose a password
+2. Login to the Admin Dashboard with your email and new password
+
+This link can be used once and expires at ${data.expiresLabel}. If it has expired, ask a super admin to resend your invite.
+
+This is an automated email. If you did not expect this invite, please ignore it or contact support.
+    `
+  }),
+
+  /**
+   * App feedback forwarded to the team
+   * @param {object} data - {name, email|null, subject, message}
+   */
+  feedback: (data) => ({
+    subject: `[App Feedback] ${data.subject} - from ${data.name}`,
+    html: html`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #EF4444;">New Feedback from RRT App</h2>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr><td style="padding: 8px; color: #666;"><strong>From:</strong></td><td style="padding: 8px;">${data.name}</td></tr>
+          <tr><td style="padding: 8px; color: #666;"><strong>Email:</strong></td><td style="padding: 8px;">${data.email ? html`<a href="mailto:${data.email}">${data.email}</a>` : raw('<em style="color:#999">Not provided</em>')}</td></tr>
+          <tr><td style="padding: 8px; color: #666;"><strong>Subject:</strong></td><td style="padding: 8px;">${data.subject}</td></tr>
+        </table>
+        <div style="background: #f5f5f5; padding: 16px; border-radius: 8px; margin-top: 16px;">
+          <p style="margin: 0; white-space: pre-wrap;">${data.message}</p>
+        </div>
+        <p style="color: #999; font-size: 12px; margin-top: 24px;">Sent via RRT App feedback form</p>
+      </div>
+    `,
+    text: `Name: ${data.name}\nEmail: ${data.email ?? 'Not provided'}\nSubject: ${data.subject}\n\n${data.message}`
+  }),
+
+  /**
+   * SOS triggered/stopped by someone who listed the recipient as an emergency contact
+   * @param {object} data - {contactName, senderName, senderPhone|null, resolved, place, mapLink|null, time}
+   */
+  sos_contact: (data) => ({
+    subject: data.resolved
+      ? `✅ ${data.senderName} is safe - SOS stopped`
+      : `🚨 ${data.senderName} triggered an SOS`,
+    html: html`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${data.resolved ? '#16A34A' : '#EF4444'};">${data.resolved ? `${data.senderName} is safe` : `${data.senderName} needs help`}</h2>
+
+        <p>Hi ${data.contactName},</p>
+        <p>${data.resolved
+          ? `${data.senderName} has stopped the SOS alert they sent from the RRT app.`
+          : `${data.senderName} listed you as an emergency contact and just triggered an SOS alert in the RRT app. Nearby volunteers have been alerted.`}</p>
+
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Location:</strong> ${data.place}</p>
+          ${data.mapLink ? html`<p><a href="${data.mapLink}">Open in Google Maps</a></p>` : ''}
+          ${data.senderPhone ? html`<p><strong>Phone:</strong> <a href="tel:${data.senderPhone}">${data.senderPhone}</a></p>` : ''}
+          <p><strong>Time:</strong> ${data.time}</p>
+        </div>
+
+        <p style="${FOOTER_STYLE}">
+          You are receiving this because ${data.senderName} added this address as an emergency contact in the RRT app.
+        </p>
+      </div>
+    `,
+    text: [
+      data.resolved ? `${data.senderName} is safe` : `${data.senderName} needs help`,
+      '',
+      `Hi ${data.contactName},`,
+      data.resolved
+        ? `${data.senderName} has stopped the SOS alert they sent from the RRT app.`
+        : `${data.senderName} listed you as an emergency contact and just triggered an SOS alert in the RRT app. Nearby volunteers have been alerted.`,
+      '',
+      `Location: ${data.place}`,
+      data.mapLink ? `Map: ${data.mapLink}` : null,
+      data.senderPhone ? `Phone: ${data.senderPhone}` : null,
+      `Time: ${data.time}`,
+      '',
+      `You are receiving this because ${data.senderName} added this address as an emergency contact in the RRT app.`
+    ].filter(line => line !== null).join('\n')
+  }),
+
+  /**
+   * Escalation to district admins: an alert has not been acknowledged in time
+   * @param {object} data - {district, senderName, senderPhone|null, place, mapLink|null, minutesActive, step}
+   */
+  sos_escalation: (data) => ({
+    subject: `🚨 Unanswered SOS in ${data.district} (${data.minutesActive} min)`,
+    html: html`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #EF4444;">SOS alert needs attention</h2>
+
+        <p>An SOS alert in <strong>${data.district}</strong> has been active for ${data.minutesActive} minutes and no volunteer has accepted it yet (escalation step ${data.step}).</p>
+
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Sender:</strong> ${data.senderName}</p>
+          ${data.senderPhone ? html`<p><strong>Phone:</strong> <a href="tel:${data.senderPhone}">${data.senderPhone}</a></p>` : ''}
+          <p><strong>Location:</strong> ${data.place}</p>
+          ${data.mapLink ? html`<p><a href="${data.mapLink}">Open in Google Maps</a></p>` : ''}
+        </div>
+
+        <p>Please check the Admin Dashboard and coordinate a response.</p>
+
+        <p style="${FOOTER_STYLE}">This is an automated escalation from RRT.</p>
+      </div>
+    `,
+    text: [
+      'SOS alert needs attention',
+      '',
+      `An SOS alert in ${data.district} has been active for ${data.minutesActive} minutes and no volunteer has accepted it yet (escalation step ${data.step}).`,
+      '',
+      `Sender: ${data.senderName}`,
+      data.senderPhone ? `Phone: ${data.senderPhone}` : null,
+      `Location: ${data.place}`,
+      data.mapLink ? `Map: ${data.mapLink}` : null,
+      '',
+      'Please check the Admin Dashboard and coordinate a response.',
+      '',
+      'This is an automated escalation from RRT.'
+    ].filter(line => line !== null).join('\n')
+  })
+};
+
+/**
+ * Render a named template
+ * @param {string} template - Key of TEMPLATES
+ * @param {object} data - Template data (raw, unescaped values)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderTemplate(template, data) {
+  const render = TEMPLATES[template];
+  if (!render) throw new Error(`Unknown mail template "${template}"`);
+
+  const rendered = render(data);
+  return { subject: rendered.subject, html: rendered.html.__html, text: rendered.text };
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Record a send outcome in mail_log (message bodies are not stored). Never throws.
+ */
+async function recordMailLog(entry) {
+  try {
+    await admin.firestore()
+      .collection('mail_log')
+      .add({
+        ...entry,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+  } catch (error) {
+    console.error('⚠️  Failed to write mail log:', error);
+  }
+}
+
+/**
+ * Render a template and send it through the configured transport.
+ * Every attempt (sent or failed) is recorded in mail_log.
+ * @param {string} template - Key of TEMPLATES
+ * @param {object} data - Template data
+ * @param {object} options - {to, replyTo?}
+ * @returns {Promise<{messageId: string, transport: string}>}
+ * @throws When rendering or sending fails (after logging the failure)
+ */
+async function sendMail(template, data, { to, replyTo } = {}) {
+  let transportName = getTransportName();
+  let subject = null;
+
+  try {
+    const rendered = renderTemplate(template, data);
+    subject = rendered.subject;
+
+    const { name, transporter, from } = createTransport();
+    transportName = name;
+
+    const info = await transporter.sendMail({
+      from,
+      to,
+      replyTo: replyTo || undefined,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text
+    });
+
+    if (name === 'file') {
+      console.log(`📁 Mail written to ${writeMailFile(info, template)}`);
+    }
+
+    await recordMailLog({
+      template,
+      to,
+      subject,
+      transport: name,
+      status: 'sent',
+      messageId: info.messageId || null
+    });
+
+    return { messageId: info.messageId, transport: name };
+  } catch (error) {
+    await recordMailLog({
+      template,
+      to: to || null,
+      subject,
+      transport: transportName,
+      status: 'failed',
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  escapeHtml,
+  renderTemplate,
+  sendMail
+};
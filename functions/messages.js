@@ -0,0 +1,206 @@
+// ============================================================================
+// MESSAGE CATALOG - Localized push notification strings
+// ============================================================================
+// Placeholders use {name} syntax and are filled by formatMessage().
+// sos_alert_<category> keys are the alert titles of SOS_CATEGORIES in index.js.
+// SMS keys (sms_*) have only a body; keep them short and emoji-free for English
+// so they fit a single GSM-7 segment where possible.
+// Add a language by adding a block with the same keys; missing keys fall back
+// to DEFAULT_LANGUAGE.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    someone: 'Someone',
+    sos_alert: {
+      title: '🚨 Emergency Alert',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_alert_medical: {
+      title: '🚑 Medical Emergency',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_alert_fire: {
+      title: '🔥 Fire Emergency',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_alert_accident: {
+      title: '🚗 Accident Reported',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_alert_personal_safety: {
+      title: '🛡️ Personal Safety Alert',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_alert_flood: {
+      title: '🌊 Flood Emergency',
+      body: 'Help needed. {name} • {location}'
+    },
+    sos_resolved: {
+      title: '✅ Emergency Resolved',
+      body: 'All good now. {name} • {location}'
+    },
+    sms_alert: {
+      body: 'RRT SOS: Help needed. {name}, {location}. {map}'
+    },
+    contact_sos_alert: {
+      title: '🚨 {name} needs help',
+      body: '{name} triggered an SOS near {location}'
+    },
+    contact_sos_resolved: {
+      title: '✅ {name} is safe',
+      body: '{name} stopped their SOS'
+    },
+    sms_contact_alert: {
+      body: 'RRT SOS: {name} listed you as an emergency contact and needs help near {location}. {map}'
+    },
+    sms_contact_resolved: {
+      body: 'RRT: {name} is safe and has stopped their SOS.'
+    }
+  },
+  kn: {
+    someone: 'ಯಾರೋ',
+    sos_alert: {
+      title: '🚨 ತುರ್ತು ಎಚ್ಚರಿಕೆ',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_alert_medical: {
+      title: '🚑 ವೈದ್ಯಕೀಯ ತುರ್ತು',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_alert_fire: {
+      title: '🔥 ಬೆಂಕಿ ಅವಘಡ',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_alert_accident: {
+      title: '🚗 ಅಪಘಾತ',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_alert_personal_safety: {
+      title: '🛡️ ವೈಯಕ್ತಿಕ ಸುರಕ್ಷತೆ ಎಚ್ಚರಿಕೆ',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_alert_flood: {
+      title: '🌊 ಪ್ರವಾಹ ತುರ್ತು',
+      body: 'ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name} • {location}'
+    },
+    sos_resolved: {
+      title: '✅ ತುರ್ತು ಪರಿಸ್ಥಿತಿ ಬಗೆಹರಿದಿದೆ',
+      body: 'ಈಗ ಎಲ್ಲವೂ ಸರಿಯಾಗಿದೆ. {name} • {location}'
+    },
+    sms_alert: {
+      body: 'RRT SOS: ಸಹಾಯ ಬೇಕಾಗಿದೆ. {name}, {location}. {map}'
+    },
+    contact_sos_alert: {
+      title: '🚨 {name} ಅವರಿಗೆ ಸಹಾಯ ಬೇಕಾಗಿದೆ',
+      body: '{name} ಅವರು {location} ಬಳಿ SOS ಕಳುಹಿಸಿದ್ದಾರೆ'
+    },
+    contact_sos_resolved: {
+      title: '✅ {name} ಸುರಕ್ಷಿತವಾಗಿದ್ದಾರೆ',
+      body: '{name} ಅವರು SOS ನಿಲ್ಲಿಸಿದ್ದಾರೆ'
+    },
+    sms_contact_alert: {
+      body: 'RRT SOS: {name} ಅವರಿಗೆ {location} ಬಳಿ ಸಹಾಯ ಬೇಕಾಗಿದೆ. {map}'
+    },
+    sms_contact_resolved: {
+      body: 'RRT: {name} ಸುರಕ್ಷಿತವಾಗಿದ್ದಾರೆ, SOS ನಿಲ್ಲಿಸಿದ್ದಾರೆ.'
+    }
+  },
+  hi: {
+    someone: 'कोई',
+    sos_alert: {
+      title: '🚨 आपातकालीन अलर्ट',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_alert_medical: {
+      title: '🚑 चिकित्सा आपातकाल',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_alert_fire: {
+      title: '🔥 आग की आपात स्थिति',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_alert_accident: {
+      title: '🚗 दुर्घटना',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_alert_personal_safety: {
+      title: '🛡️ व्यक्तिगत सुरक्षा अलर्ट',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_alert_flood: {
+      title: '🌊 बाढ़ आपातकाल',
+      body: 'मदद चाहिए। {name} • {location}'
+    },
+    sos_resolved: {
+      title: '✅ आपात स्थिति समाप्त',
+      body: 'अब सब ठीक है। {name} • {location}'
+    },
+    sms_alert: {
+      body: 'RRT SOS: मदद चाहिए। {name}, {location}। {map}'
+    },
+    contact_sos_alert: {
+      title: '🚨 {name} को मदद चाहिए',
+      body: '{name} ने {location} के पास SOS भेजा है'
+    },
+    contact_sos_resolved: {
+      title: '✅ {name} सुरक्षित हैं',
+      body: '{name} ने अपना SOS बंद कर दिया है'
+    },
+    sms_contact_alert: {
+      body: 'RRT SOS: {name} को {location} के पास मदद चाहिए। {map}'
+    },
+    sms_contact_resolved: {
+      body: 'RRT: {name} सुरक्षित हैं और उन्होंने SOS बंद कर दिया है।'
+    }
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+/**
+ * Normalize a language tag ("kn", "KN", "kn-IN") to a supported catalog key
+ * @param {string} language
+ * @returns {string|null} null if the language is not in the catalog
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== 'string') return null;
+  const primary = language.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(primary) ? primary : null;
+}
+
+/**
+ * Fill {placeholders} in a catalog string
+ */
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (params[key] ?? match));
+}
+
+/**
+ * Localized notification title/body for a catalog key.
+ * A missing params.name is replaced with the language's word for "Someone".
+ * @param {string} key - e.g. 'sos_alert', 'sos_resolved'
+ * @param {string} language - Catalog language (unknown languages use DEFAULT_LANGUAGE)
+ * @param {object} params - Placeholder values, e.g. {name, location}
+ * @returns {{title: string|null, body: string}}
+ */
+function formatMessage(key, language, params = {}) {
+  const catalog = MESSAGES[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+  const fallback = MESSAGES[DEFAULT_LANGUAGE];
+  const message = catalog[key] || fallback[key];
+  if (!message) throw new Error(`Unknown message key "${key}"`);
+
+  const values = { ...params, name: params.name || catalog.someone || fallback.someone };
+  return {
+    title: message.title ? interpolate(message.title, values) : null,
+    body: interpolate(message.body, values)
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  formatMessage
+};
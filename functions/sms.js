@@ -0,0 +1,93 @@
+const {defineString} = require('firebase-functions/params');
+
+// ============================================================================
+// SMS PROVIDERS - Selected with SMS_PROVIDER
+// ============================================================================
+// stub   - Logs messages instead of sending them (default; local development)
+// twilio - Twilio Programmable Messaging (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM)
+//
+// A provider is an object {name, send(to, body)} where send() resolves to
+// {id} on success and throws on failure. Add a provider by adding a factory
+// to SMS_PROVIDERS.
+
+const smsProvider = defineString('SMS_PROVIDER', { default: 'stub' });
+const twilioAccountSid = defineString('TWILIO_ACCOUNT_SID', { default: '' });
+const twilioAuthToken = defineString('TWILIO_AUTH_TOKEN', { default: '' });
+const twilioFrom = defineString('TWILIO_FROM', { default: '' });
+
+const SEND_TIMEOUT_MS = 10 * 1000; // Per message - a hung gateway request counts as a failure
+
+/**
+ * Development provider: logs every message and reports success
+ */
+function createStubProvider() {
+  let sent = 0;
+  return {
+    name: 'stub',
+    async send(to, body) {
+      sent++;
+      console.log(`📱 [stub SMS] to ${to}: ${body}`);
+      return { id: `stub-${Date.now()}-${sent}` };
+    }
+  };
+}
+
+/**
+ * Twilio provider (REST API via fetch, no SDK dependency)
+ */
+function createTwilioProvider() {
+  const accountSid = twilioAccountSid.value();
+  const authToken = twilioAuthToken.value();
+  const from = twilioFrom.value();
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio SMS provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM');
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const authorization = 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+
+  return {
+    name: 'twilio',
+    async send(to, body) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': authorization,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Twilio error ${response.status}: ${result.message || response.statusText}`);
+      }
+      return { id: result.sid };
+    }
+  };
+}
+
+const SMS_PROVIDERS = {
+  stub: createStubProvider,
+  twilio: createTwilioProvider
+};
+
+/**
+ * Create the provider selected by SMS_PROVIDER
+ * (param defaults only apply in deployed functions, hence the fallback)
+ * @returns {{name: string, send: function(string, string): Promise<{id: string}>}}
+ */
+function getSmsProvider() {
+  const name = smsProvider.value() || 'stub';
+  const factory = SMS_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (expected one of: ${Object.keys(SMS_PROVIDERS).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  SMS_PROVIDERS,
+  getSmsProvider
+};
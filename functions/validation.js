@@ -0,0 +1,191 @@
+// ============================================================================
+// REQUEST VALIDATION - Declarative schemas for params, query and body
+// ============================================================================
+// A schema maps field names to rules:
+//   type      - 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'any'
+//   required  - missing (undefined, null or '') is an error; otherwise missing fields are skipped
+//   enum      - allowed values
+//   minLength / maxLength / pattern     - strings
+//   min / max                           - numbers and integers
+//   minItems / maxItems / items (rule)  - arrays
+//   fields (schema)                     - objects
+//   validate(value, input) - extra check, returns an error message or null
+//   message   - replaces the generated "invalid" message
+//   code      - replaces the field name in error codes
+//
+// Query and params values arrive as strings; 'number', 'integer' and 'boolean'
+// rules accept their string forms there. Fields not in the schema are ignored.
+//
+// Every failure has a stable code: <PREFIX>_MISSING_<FIELD> or <PREFIX>_INVALID_<FIELD>
+// (e.g. SOS_MISSING_SENDER_ID), where FIELD is rule.code or the field's own name.
+// Error responses share one envelope:
+//   { error: 'Invalid request', code, message, details: [{field, code, message}] }
+// where code/message are those of the first failure.
+
+/**
+ * Upper-case code segment for a field name: "alert_ids" -> "ALERT_IDS", "sosType" -> "SOS_TYPE"
+ */
+function toCodeSegment(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function describeType(rule) {
+  if (rule.enum) return `one of: ${rule.enum.join(', ')}`;
+  switch (rule.type) {
+    case 'integer': return 'an integer';
+    case 'array': return rule.items?.type ? `an array of ${rule.items.type}s` : 'an array';
+    case 'object': return 'an object';
+    default: return `a ${rule.type}`;
+  }
+}
+
+/**
+ * Check a present value against its rule
+ * @returns {string|null} reason it is invalid, or null
+ */
+function checkValue(value, rule, fromString) {
+  let candidate = value;
+  if (fromString && typeof value === 'string') {
+    if (rule.type === 'number' || rule.type === 'integer') {
+      candidate = value.trim() === '' ? NaN : Number(value);
+    } else if (rule.type === 'boolean') {
+      candidate = value === 'true' ? true : (value === 'false' ? false : value);
+    }
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof candidate !== 'string') return `must be ${describeType(rule)}`;
+      if (rule.minLength !== undefined && candidate.trim().length < rule.minLength) return `must be at least ${rule.minLength} character(s)`;
+      if (rule.maxLength !== undefined && candidate.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(candidate)) return 'has an invalid format';
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof candidate !== 'number' || !Number.isFinite(candidate) ||
+          (rule.type === 'integer' && !Number.isInteger(candidate))) {
+        return `must be ${describeType(rule)}`;
+      }
+      if (rule.min !== undefined && candidate < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && candidate > rule.max) return `must be at most ${rule.max}`;
+      break;
+    case 'boolean':
+      if (typeof candidate !== 'boolean') return 'must be true or false';
+      break;
+    case 'array':
+      if (!Array.isArray(candidate)) return `must be ${describeType(rule)}`;
+      if (rule.minItems !== undefined && candidate.length < rule.minItems) return `must have at least ${rule.minItems} item(s)`;
+      if (rule.maxItems !== undefined && candidate.length > rule.maxItems) return `must have at most ${rule.maxItems} items`;
+      if (rule.items) {
+        const index = candidate.findIndex(item => isMissing(item) || checkValue(item, rule.items, false));
+        if (index !== -1) {
+          return `must be ${describeType(rule)}` +
+            (rule.items.enum ? ` (${rule.items.enum.join(', ')})` : '') +
+            ` - item ${index} is invalid`;
+        }
+      }
+      break;
+    case 'object':
+      if (typeof candidate !== 'object' || Array.isArray(candidate)) return 'must be an object';
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(candidate)) return `must be one of: ${rule.enum.join(', ')}`;
+  return null;
+}
+
+/**
+ * Validate an input object against a schema
+ * @param {object} schema - {field: rule}
+ * @param {object} input - Request params, query or body
+ * @param {object} options - {prefix, path, fromString}
+ * @returns {{field: string, code: string, message: string}[]} failures, empty when valid
+ */
+function validate(schema, input, { prefix, path = '', fromString = false }) {
+  const failures = [];
+  const source = input && typeof input === 'object' ? input : {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = path ? `${path}.${name}` : name;
+    const segment = toCodeSegment(rule.code || name);
+    const value = source[name];
+
+    if (isMissing(value)) {
+      if (rule.required) {
+        failures.push({ field, code: `${prefix}_MISSING_${segment}`, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const reason = checkValue(value, rule, fromString) ||
+      (rule.validate ? rule.validate(value, source) : null);
+    if (reason) {
+      failures.push({ field, code: `${prefix}_INVALID_${segment}`, message: rule.message || `${field} ${reason}` });
+      continue;
+    }
+
+    if (rule.type === 'object' && rule.fields) {
+      failures.push(...validate(rule.fields, value, { prefix, path: field, fromString }));
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Send the validation error envelope (400)
+ * @param {object} res - Express response
+ * @param {{field: string, code: string, message: string}[]} details - validate() failures
+ */
+function sendValidationError(res, details) {
+  return res.status(400).json({
+    error: 'Invalid request',
+    code: details[0].code,
+    message: details[0].message,
+    details
+  });
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body against schemas.
+ * Runs before any lookup in the route, so malformed requests never reach Firestore.
+ * @param {{prefix: string, params?: object, query?: object, body?: object}} schemas - prefix
+ *   is the error code prefix, e.g. 'SOS'
+ * @returns {function} Express middleware
+ */
+function validateRequest({ prefix, params, query, body }) {
+  return (req, res, next) => {
+    const details = [];
+    if (params) details.push(...validate(params, req.params, { prefix, fromString: true }));
+    if (query) details.push(...validate(query, req.query, { prefix, fromString: true }));
+    if (body) {
+      if (req.body !== undefined && (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body))) {
+        details.push({ field: 'body', code: `${prefix}_INVALID_BODY`, message: 'request body must be a JSON object' });
+      } else {
+        details.push(...validate(body, req.body, { prefix }));
+      }
+    }
+
+    if (details.length > 0) {
+      console.log(`⚠️  ${req.method} ${req.path} rejected: ${details.map(detail => detail.code).join(', ')}`);
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateRequest,
+  sendValidationError
+};